@@ -1,4 +1,5 @@
 import { Readable, Writable } from 'stream';
+import { EventEmitter } from 'events';
 
 export interface Config {
   endPoint: string;
@@ -9,13 +10,87 @@ export interface Config {
   region?: string;
   sessionToken?: string;
   partSize?: number;
+  backend?: StorageBackend;
+  directoryMode?: 'marker' | 'implicit';
+  /** Bucket name (required unless multiBucket is set) */
+  bucket?: string;
+  /** The first path segment selects the bucket; '/' lists buckets */
+  multiBucket?: boolean;
+  /** Bucket versioning applied by initialize() (and mkdir() of buckets) */
+  versioning?: 'Enabled' | 'Suspended';
+  /** Encrypt object content client-side with AES-256-GCM */
+  encryption?: { keyProvider: KeyProvider };
+  /** Server-side encryption of written objects (SSE-C keys are also sent on reads) */
+  sse?: SseOptions;
+  /** Compress the content of matching paths (first matching rule applies) */
+  compression?: { rules: CompressionRule[] };
+  /** Read-through cache of readFile(), revalidated with conditional GETs */
+  cache?: CacheOptions;
+  /** Cache object info, missing objects and listings for a time; own changes drop the entries they affect */
+  metadataCache?: MetadataCacheOptions;
+  /** Longest wait of a *Sync method for its worker thread in ms (default 300000, 0 waits forever) */
+  syncTimeout?: number;
+}
+
+/** Lifetimes in ms (negativeTtl for missing objects) and the number of cached infos plus listed objects */
+export interface MetadataCacheOptions {
+  ttl?: number;
+  negativeTtl?: number;
+  maxEntries?: number;
+}
+
+/** Memory (least recently used first out) and/or disk tier of the read cache */
+export interface CacheOptions {
+  maxMemoryBytes?: number;
+  /** Not allowed with client-side encryption (the disk cache holds decrypted content) */
+  directory?: string;
+}
+
+/** Glob pattern ('*', '?', '**', '{a,b}') over paths and the codec of matching files */
+export interface CompressionRule {
+  pattern: string;
+  codec: 'gzip' | 'br';
+}
+
+/** Server-side encryption mode */
+export type SseOptions =
+  | { type: 'SSE-S3' }
+  | { type: 'SSE-KMS'; keyId?: string; context?: Record<string, string> }
+  | { type: 'SSE-C'; key: Buffer | Uint8Array };
+
+/** Wraps the per-object data keys of client-side encryption (e.g. with a KMS) */
+export interface KeyProvider {
+  wrapKey(dataKey: Buffer): Promise<Buffer | Uint8Array>;
+  unwrapKey(wrappedKey: Buffer): Promise<Buffer | Uint8Array>;
 }
 
 export interface StatResult {
   size: number;
+  /** Bytes stored in the backend (differs from size for compressed or encrypted files) */
+  storedSize: number;
+  mode: number;
+  uid: number;
+  gid: number;
+  atime: Date;
   mtime: Date;
+  ctime: Date;
+  birthtime: Date;
+  atimeMs: number;
+  mtimeMs: number;
+  ctimeMs: number;
+  birthtimeMs: number;
+  etag?: string;
+  /** Version of the object (null in buckets without versioning) */
+  versionId?: string | null;
+  contentType?: string;
+  cacheControl?: string;
+  contentEncoding?: string;
+  contentDisposition?: string;
+  /** User metadata (x-amz-meta-*) without the fs-* attributes */
+  metadata: Record<string, string>;
   isFile(): boolean;
   isDirectory(): boolean;
+  isImplicitDirectory(): boolean;
   isBlockDevice(): boolean;
   isCharacterDevice(): boolean;
   isSymbolicLink(): boolean;
@@ -23,10 +98,72 @@ export interface StatResult {
   isSocket(): boolean;
 }
 
-export interface WriteFileOptions {
+export interface ObjectVersion {
+  versionId: string;
+  isLatest: boolean;
+  isDeleteMarker: boolean;
+  size: number;
+  etag: string;
+  lastModified: Date;
+}
+
+export interface Dirent {
+  name: string;
+  isFile(): boolean;
+  isDirectory(): boolean;
+  isImplicitDirectory(): boolean;
+  isBlockDevice(): boolean;
+  isCharacterDevice(): boolean;
+  isSymbolicLink(): boolean;
+  isFIFO(): boolean;
+  isSocket(): boolean;
+}
+
+export interface ContentOptions {
+  /** Detected from the file extension by default */
+  contentType?: string;
+  cacheControl?: string;
+  contentEncoding?: string;
+  contentDisposition?: string;
+  /** User metadata (x-amz-meta-*), replaces the metadata of an existing file */
+  metadata?: Record<string, string>;
+}
+
+export interface WriteFileOptions extends ContentOptions {
   encoding?: BufferEncoding;
   mode?: number;
+  /** 'w' (default), 'wx' (atomic create, EEXIST if it exists), 'a' or 'ax' */
   flag?: string;
+  /** Replace only while the object has this etag (ESTALE otherwise) */
+  ifMatch?: string;
+  /** Tags of the new content (at most 10) */
+  tags?: Record<string, string>;
+  /** Server-side encryption instead of the instance option (null for none) */
+  sse?: SseOptions | null;
+}
+
+export interface SignedUrlOptions {
+  method?: 'GET' | 'PUT';
+  /** Lifetime in seconds (default 3600, at most 604800) */
+  expires?: number;
+  /** GET response headers, e.g. { contentDisposition: 'attachment' } */
+  responseHeaders?: Record<string, string>;
+  /** Server-side encryption instead of the instance option; PUT and SSE-C fail with ENOSYS unless null */
+  sse?: SseOptions | null;
+}
+
+export interface SignedPostOptions extends ContentOptions {
+  /** Lifetime in seconds (default 3600, at most 604800) */
+  expires?: number;
+  minSize?: number;
+  maxSize?: number;
+  /** Server-side encryption instead of the instance option (SSE-C fails with ENOSYS) */
+  sse?: SseOptions | null;
+}
+
+export interface SignedPost {
+  url: string;
+  fields: Record<string, string>;
 }
 
 export interface MkdirOptions {
@@ -34,10 +171,113 @@ export interface MkdirOptions {
   mode?: number;
 }
 
+export interface RmOptions {
+  recursive?: boolean;
+  force?: boolean;
+}
+
+export interface CpOptions {
+  recursive?: boolean;
+  force?: boolean;
+  errorOnExist?: boolean;
+  filter?: (src: string, dest: string) => boolean | Promise<boolean>;
+  concurrency?: number;
+}
+
+export class FileHandle {
+  readonly fd: number;
+  readonly path: string;
+  read(buffer?: Buffer | Uint8Array, offset?: number, length?: number, position?: number | null): Promise<{ bytesRead: number; buffer: Buffer }>;
+  read(options: { buffer?: Buffer | Uint8Array; offset?: number; length?: number; position?: number | null }): Promise<{ bytesRead: number; buffer: Buffer }>;
+  write(buffer: Buffer | Uint8Array, offset?: number, length?: number, position?: number | null): Promise<{ bytesWritten: number; buffer: Buffer }>;
+  write(data: string, position?: number | null, encoding?: BufferEncoding): Promise<{ bytesWritten: number; buffer: string }>;
+  readFile(options?: { encoding?: BufferEncoding } | BufferEncoding): Promise<Buffer | string>;
+  writeFile(data: string | Buffer | Uint8Array, options?: { encoding?: BufferEncoding } | BufferEncoding): Promise<void>;
+  truncate(len?: number): Promise<void>;
+  stat(): Promise<StatResult>;
+  sync(): Promise<void>;
+  datasync(): Promise<void>;
+  close(): Promise<void>;
+}
+
+export interface ReadStreamOptions {
+  start?: number;
+  end?: number;
+  highWaterMark?: number;
+  encoding?: BufferEncoding;
+}
+
+export class ObjectReadStream extends Readable {
+  readonly path: string;
+  readonly start: number;
+  readonly end: number;
+  bytesRead: number;
+  pending: boolean;
+}
+
+export interface WriteStreamOptions extends ContentOptions {
+  flags?: 'w' | 'wx' | 'a' | 'ax';
+  encoding?: BufferEncoding;
+  highWaterMark?: number;
+  mode?: number;
+  /** Tags stored with the object */
+  tags?: Record<string, string>;
+}
+
+export class ObjectWriteStream extends Writable {
+  readonly path: string;
+  readonly flags: string;
+  bytesWritten: number;
+  pending: boolean;
+  /** Set once 'finish' has been emitted */
+  etag?: string;
+  versionId?: string | null;
+  size?: number;
+}
+
+export interface WatchOptions {
+  recursive?: boolean;
+  persistent?: boolean;
+  encoding?: BufferEncoding | 'buffer';
+  /** Polling interval in ms when bucket notifications are unavailable (default 1000) */
+  interval?: number;
+  signal?: AbortSignal;
+}
+
+export type WatchListener = (eventType: 'rename' | 'change', filename: string | Buffer) => void;
+
+export class ObjectWatcher extends EventEmitter {
+  readonly path: string;
+  readonly recursive: boolean;
+  readonly interval: number;
+  close(): void;
+  ref(): this;
+  unref(): this;
+  on(event: 'change', listener: WatchListener): this;
+  on(event: 'error', listener: (error: FileSystemError) => void): this;
+  on(event: 'close', listener: () => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export interface WatchFileOptions {
+  /** Polling interval in ms (default 5007) */
+  interval?: number;
+  persistent?: boolean;
+}
+
+export class StatWatcher extends EventEmitter {
+  readonly path: string;
+  readonly interval: number;
+  stop(): void;
+  ref(): this;
+  unref(): this;
+}
+
 export interface FileSystemError extends Error {
   code: string;
   errno: number;
   path?: string;
+  dest?: string;
   syscall?: string;
 }
 
@@ -48,33 +288,226 @@ export default class ObjectStorage {
   readFile(path: string): Promise<Buffer>;
   readFile(path: string, encoding: BufferEncoding): Promise<string>;
   readFile(path: string, encoding?: BufferEncoding): Promise<Buffer | string>;
+  readFile(path: string, options: { versionId?: string; sse?: SseOptions | null; encoding?: null }): Promise<Buffer>;
+  readFile(path: string, options: { versionId?: string; sse?: SseOptions | null; encoding: BufferEncoding }): Promise<string>;
 
   writeFile(path: string, data: string | Buffer | Uint8Array, options?: WriteFileOptions): Promise<void>;
 
+  appendFile(path: string, data: string | Buffer | Uint8Array, options?: { encoding?: BufferEncoding; tags?: Record<string, string>; sse?: SseOptions | null } | BufferEncoding): Promise<void>;
+
   exists(path: string): Promise<boolean>;
 
-  stat(path: string): Promise<StatResult>;
+  stat(path: string, options?: { versionId?: string }): Promise<StatResult>;
+
+  lstat(path: string): Promise<StatResult>;
 
   unlink(path: string): Promise<void>;
 
-  copyFile(src: string, dest: string): Promise<void>;
+  /** mode: fs.constants.COPYFILE_EXCL copies only if dest does not exist (EEXIST otherwise) */
+  copyFile(src: string, dest: string, mode?: number): Promise<void>;
+
+  rename(src: string, dest: string): Promise<void>;
+
+  rm(path: string, options?: RmOptions): Promise<void>;
+
+  cp(src: string, dest: string, options?: CpOptions): Promise<void>;
+
+  open(path: string, flags?: string, mode?: number): Promise<FileHandle>;
+
+  // Attributes (stored as object metadata)
+  chmod(path: string, mode: number | string): Promise<void>;
+
+  chown(path: string, uid: number, gid: number): Promise<void>;
+
+  utimes(path: string, atime: number | string | Date, mtime: number | string | Date): Promise<void>;
+
+  // Symbolic links (empty objects with the target in metadata)
+  symlink(target: string, path: string, type?: string): Promise<void>;
+
+  readlink(path: string, options?: { encoding?: BufferEncoding } | BufferEncoding): Promise<string>;
+  readlink(path: string, options: { encoding: 'buffer' } | 'buffer'): Promise<Buffer>;
+
+  realpath(path: string, options?: { encoding?: BufferEncoding } | BufferEncoding): Promise<string>;
+  realpath(path: string, options: { encoding: 'buffer' } | 'buffer'): Promise<Buffer>;
 
   // Directory operations
-  readdir(path: string): Promise<string[]>;
+  /** `tags` only returns files that have all of the given tags */
+  readdir(path: string, options?: { withFileTypes?: false; tags?: Record<string, string> }): Promise<string[]>;
+  readdir(path: string, options: { withFileTypes: true; tags?: Record<string, string> }): Promise<Dirent[]>;
 
-  mkdir(path: string, options?: MkdirOptions): Promise<void>;
+  mkdir(path: string, options?: MkdirOptions): Promise<string | undefined>;
 
   rmdir(path: string): Promise<void>;
 
   // Stream operations
-  createReadStream(path: string): Promise<Readable>;
+  createReadStream(path: string, options?: ReadStreamOptions | BufferEncoding): ObjectReadStream;
+
+  createWriteStream(path: string, options?: WriteStreamOptions | BufferEncoding): ObjectWriteStream;
+
+  // Synchronous operations (run on a worker thread, see StorageBackend.getWorkerConfig)
+  readFileSync(path: string): Buffer;
+  readFileSync(path: string, encoding: BufferEncoding | { encoding: BufferEncoding }): string;
+  writeFileSync(path: string, data: string | Buffer | Uint8Array, options?: WriteFileOptions): void;
+  appendFileSync(path: string, data: string | Buffer | Uint8Array, options?: { encoding?: BufferEncoding } | BufferEncoding): void;
+  existsSync(path: string): boolean;
+  statSync(path: string, options?: { versionId?: string }): StatResult;
+  unlinkSync(path: string): void;
+  readdirSync(path: string, options?: { withFileTypes?: false; tags?: Record<string, string> }): string[];
+  readdirSync(path: string, options: { withFileTypes: true; tags?: Record<string, string> }): Dirent[];
+  mkdirSync(path: string, options?: MkdirOptions): string | undefined;
+  rmdirSync(path: string): void;
+  rmSync(path: string, options?: RmOptions): void;
+  copyFileSync(src: string, dest: string, mode?: number): void;
+  renameSync(src: string, dest: string): void;
+  chmodSync(path: string, mode: number | string): void;
+  chownSync(path: string, uid: number, gid: number): void;
+  utimesSync(path: string, atime: number | string | Date, mtime: number | string | Date): void;
+  lstatSync(path: string): StatResult;
+  symlinkSync(target: string, path: string, type?: string): void;
+  readlinkSync(path: string, options?: { encoding?: BufferEncoding | 'buffer' } | BufferEncoding | 'buffer'): string | Buffer;
+  realpathSync(path: string, options?: { encoding?: BufferEncoding | 'buffer' } | BufferEncoding | 'buffer'): string | Buffer;
+
+  // Watching
+  watch(path: string, listener?: WatchListener): ObjectWatcher;
+  watch(path: string, options?: WatchOptions | BufferEncoding, listener?: WatchListener): ObjectWatcher;
+  watchFile(path: string, listener: (current: StatResult, previous: StatResult) => void): StatWatcher;
+  watchFile(path: string, options: WatchFileOptions, listener: (current: StatResult, previous: StatResult) => void): StatWatcher;
+  unwatchFile(path: string, listener?: (current: StatResult, previous: StatResult) => void): void;
 
-  createWriteStream(path: string): Promise<Writable>;
+  // Versions (buckets with versioning enabled)
+  listVersions(path: string): Promise<ObjectVersion[]>;
+  restoreVersion(path: string, versionId: string): Promise<void>;
+
+  // Object tags (links are followed, directories fail with EISDIR)
+  getTags(path: string): Promise<Record<string, string>>;
+  /** Replaces all tags; an empty object removes them */
+  setTags(path: string, tags: Record<string, string>): Promise<void>;
+  removeTags(path: string): Promise<void>;
+
+  // Presigned requests (resolved like any other path)
+  getSignedUrl(path: string, options?: SignedUrlOptions): Promise<string>;
+  /** A path ending with '/' allows uploads of any name below it */
+  getSignedPost(path: string, options?: SignedPostOptions): Promise<SignedPost>;
+
+  /** Stop the worker thread used by the *Sync methods */
+  close(): Promise<void>;
+
+  // Backend access
+  getBackend(): StorageBackend;
+}
+
+export type PathLike = string | Buffer | URL;
+
+/** fs.promises-shaped namespace returned by createFs() */
+export interface ObjectFsPromises {
+  constants: typeof import('fs').constants;
+  access(path: PathLike, mode?: number): Promise<void>;
+  appendFile(path: PathLike, data: string | Buffer | Uint8Array, options?: { encoding?: BufferEncoding; flag?: string } | BufferEncoding): Promise<void>;
+  chmod(path: PathLike, mode: number | string): Promise<void>;
+  chown(path: PathLike, uid: number, gid: number): Promise<void>;
+  copyFile(src: PathLike, dest: PathLike, mode?: number): Promise<void>;
+  cp(src: PathLike, dest: PathLike, options?: CpOptions): Promise<void>;
+  lstat(path: PathLike): Promise<StatResult>;
+  mkdir(path: PathLike, options?: MkdirOptions | number): Promise<string | undefined>;
+  open(path: PathLike, flags?: string, mode?: number): Promise<FileHandle>;
+  readdir(path: PathLike, options?: { withFileTypes?: false; encoding?: BufferEncoding } | BufferEncoding): Promise<string[]>;
+  readdir(path: PathLike, options: { encoding: 'buffer' }): Promise<Buffer[]>;
+  readdir(path: PathLike, options: { withFileTypes: true }): Promise<Dirent[]>;
+  readFile(path: PathLike | FileHandle, options?: { encoding?: null; flag?: string } | null): Promise<Buffer>;
+  readFile(path: PathLike | FileHandle, options: { encoding: BufferEncoding; flag?: string } | BufferEncoding): Promise<string>;
+  readlink(path: PathLike, options?: { encoding?: BufferEncoding | 'buffer' } | BufferEncoding | 'buffer'): Promise<string | Buffer>;
+  realpath(path: PathLike, options?: { encoding?: BufferEncoding | 'buffer' } | BufferEncoding | 'buffer'): Promise<string | Buffer>;
+  rename(oldPath: PathLike, newPath: PathLike): Promise<void>;
+  rm(path: PathLike, options?: RmOptions): Promise<void>;
+  rmdir(path: PathLike): Promise<void>;
+  stat(path: PathLike, options?: { versionId?: string }): Promise<StatResult>;
+  symlink(target: PathLike, path: PathLike, type?: string): Promise<void>;
+  truncate(path: PathLike, len?: number): Promise<void>;
+  unlink(path: PathLike): Promise<void>;
+  utimes(path: PathLike, atime: number | string | Date, mtime: number | string | Date): Promise<void>;
+  watch(filename: PathLike, options?: WatchOptions | BufferEncoding): AsyncIterable<{ eventType: 'rename' | 'change'; filename: string | Buffer }>;
+  writeFile(file: PathLike | FileHandle, data: string | Buffer | Uint8Array, options?: (WriteFileOptions & { flag?: string }) | BufferEncoding): Promise<void>;
+}
+
+type FsCallback = (...args: any[]) => void;
+
+/**
+ * fs-module-shaped object returned by createFs(). Callback methods take the
+ * arguments of their promises counterpart followed by a Node-style callback;
+ * open/read/write/close/fstat/fsync/fdatasync/ftruncate use numeric fds.
+ */
+export interface ObjectFs {
+  constants: typeof import('fs').constants;
+  promises: ObjectFsPromises;
+  createReadStream(path: PathLike, options?: ReadStreamOptions | BufferEncoding): ObjectReadStream;
+  createWriteStream(path: PathLike, options?: WriteStreamOptions | BufferEncoding): ObjectWriteStream;
+  exists(path: PathLike, callback: (exists: boolean) => void): void;
+  watch(filename: PathLike, options?: WatchOptions | BufferEncoding | WatchListener, listener?: WatchListener): ObjectWatcher;
+  watchFile(filename: PathLike, options: WatchFileOptions | ((current: StatResult, previous: StatResult) => void), listener?: (current: StatResult, previous: StatResult) => void): StatWatcher;
+  unwatchFile(filename: PathLike, listener?: (current: StatResult, previous: StatResult) => void): void;
+  access: FsCallback;
+  appendFile: FsCallback;
+  chmod: FsCallback;
+  chown: FsCallback;
+  copyFile: FsCallback;
+  cp: FsCallback;
+  lstat: FsCallback;
+  mkdir: FsCallback;
+  readdir: FsCallback;
+  readFile: FsCallback;
+  readlink: FsCallback;
+  realpath: FsCallback & { native: FsCallback };
+  rename: FsCallback;
+  rm: FsCallback;
+  rmdir: FsCallback;
+  stat: FsCallback;
+  symlink: FsCallback;
+  truncate: FsCallback;
+  unlink: FsCallback;
+  utimes: FsCallback;
+  writeFile: FsCallback;
+  open: FsCallback;
+  close: FsCallback;
+  read: FsCallback;
+  write: FsCallback;
+  fstat: FsCallback;
+  fsync: FsCallback;
+  fdatasync: FsCallback;
+  ftruncate: FsCallback;
+  accessSync(path: PathLike, mode?: number): void;
+  appendFileSync(path: PathLike, data: string | Buffer | Uint8Array, options?: { encoding?: BufferEncoding; flag?: string } | BufferEncoding): void;
+  chmodSync(path: PathLike, mode: number | string): void;
+  chownSync(path: PathLike, uid: number, gid: number): void;
+  copyFileSync(src: PathLike, dest: PathLike, mode?: number): void;
+  existsSync(path: PathLike): boolean;
+  lstatSync(path: PathLike): StatResult;
+  mkdirSync(path: PathLike, options?: MkdirOptions | number): string | undefined;
+  readdirSync(path: PathLike, options?: { withFileTypes?: false; encoding?: BufferEncoding } | BufferEncoding): string[];
+  readdirSync(path: PathLike, options: { encoding: 'buffer' }): Buffer[];
+  readdirSync(path: PathLike, options: { withFileTypes: true }): Dirent[];
+  readFileSync(path: PathLike, options?: { encoding?: null; flag?: string } | null): Buffer;
+  readFileSync(path: PathLike, options: { encoding: BufferEncoding; flag?: string } | BufferEncoding): string;
+  readlinkSync(path: PathLike, options?: { encoding?: BufferEncoding | 'buffer' } | BufferEncoding | 'buffer'): string | Buffer;
+  realpathSync: ((path: PathLike, options?: { encoding?: BufferEncoding | 'buffer' } | BufferEncoding | 'buffer') => string | Buffer) & {
+    native(path: PathLike, options?: { encoding?: BufferEncoding | 'buffer' } | BufferEncoding | 'buffer'): string | Buffer;
+  };
+  renameSync(oldPath: PathLike, newPath: PathLike): void;
+  rmSync(path: PathLike, options?: RmOptions): void;
+  rmdirSync(path: PathLike): void;
+  statSync(path: PathLike, options?: { versionId?: string }): StatResult;
+  symlinkSync(target: PathLike, path: PathLike, type?: string): void;
+  unlinkSync(path: PathLike): void;
+  utimesSync(path: PathLike, atime: number | string | Date, mtime: number | string | Date): void;
+  writeFileSync(file: PathLike, data: string | Buffer | Uint8Array, options?: (WriteFileOptions & { flag?: string }) | BufferEncoding): void;
 }
 
+export function createFs(storage: ObjectStorage): ObjectFs;
+
 export class ErrorHandler {
   static convertMinioError(error: Error, path?: string): FileSystemError;
   static createFileSystemError(code: string, path?: string, syscall?: string): FileSystemError;
+  static createAggregateError(errors: FileSystemError[], path?: string, syscall?: string): FileSystemError & AggregateError;
+  static isPreconditionError(error: Error): boolean;
 }
 
 export class PathConverter {
@@ -95,4 +528,70 @@ export class StreamConverter {
   static normalizeData(data: any): Buffer;
 }
 
+export interface BackendObjectInfo {
+  size: number;
+  etag: string;
+  lastModified: Date;
+  metaData: Record<string, string>;
+  versionId?: string | null;
+  /** Stored bytes, when size reports the content after decoding */
+  storedSize?: number;
+  /** Set when the decoded size is not known and size is the stored size */
+  sizeUnknown?: boolean;
+}
+
+/** Version, SSE-C key and etag precondition of backend reads */
+export interface BackendGetOptions {
+  versionId?: string;
+  SSECustomerAlgorithm?: string;
+  SSECustomerKey?: string;
+  SSECustomerKeyMD5?: string;
+  /** Etag the object must still have (PreconditionFailed otherwise) */
+  matchETag?: string;
+}
+
+export class StorageBackend {
+  bucketExists(bucket: string): Promise<boolean>;
+  makeBucket(bucket: string): Promise<void>;
+  listBuckets(): Promise<Array<{ name: string; creationDate: Date }>>;
+  removeBucket(bucket: string): Promise<void>;
+  getObject(bucket: string, key: string, getOpts?: BackendGetOptions): Promise<Readable>;
+  /** null when the object still has `etag` */
+  getObjectIfChanged(bucket: string, key: string, etag: string | null, getOpts?: BackendGetOptions): Promise<{ stream: Readable; etag: string } | null>;
+  getPartialObject(bucket: string, key: string, offset: number, length?: number, getOpts?: BackendGetOptions): Promise<Readable>;
+  putObject(bucket: string, key: string, data: Readable | Buffer | string, size?: number, metaData?: Record<string, string | number>): Promise<{ etag: string; versionId: string | null }>;
+  statObject(bucket: string, key: string, statOpts?: BackendGetOptions): Promise<BackendObjectInfo>;
+  listObjectVersions(bucket: string, prefix: string): Readable;
+  getBucketVersioning(bucket: string): Promise<{ Status?: string }>;
+  setBucketVersioning(bucket: string, versionConfig: { Status: 'Enabled' | 'Suspended' }): Promise<void>;
+  listObjectsV2(bucket: string, prefix?: string, recursive?: boolean): Readable;
+  copyObject(bucket: string, key: string, source: string, conditions?: any, headers?: Record<string, string>): Promise<any>;
+  composeObject(bucket: string, key: string, sources: Array<{ key: string; matchETag?: string }>, metaData?: Record<string, string | number>): Promise<{ etag: string; versionId: string | null }>;
+  setObjectMetadata(bucket: string, key: string, metaData: Record<string, string | number>): Promise<{ etag: string; lastModified: Date }>;
+  getObjectTagging(bucket: string, key: string): Promise<Array<{ Key: string; Value: string }>>;
+  setObjectTagging(bucket: string, key: string, tags: Record<string, string>): Promise<void>;
+  removeObjectTagging(bucket: string, key: string): Promise<void>;
+  removeObject(bucket: string, key: string): Promise<void>;
+  removeObjects(bucket: string, keys: string[]): Promise<Array<{ key: string; error: Error }>>;
+  presignedUrl(method: string, bucket: string, key: string, expires: number, reqParams?: Record<string, string>): Promise<string>;
+  presignedPostPolicy(bucket: string, key: string, conditions: { expires: Date; keyStartsWith?: boolean; metaData?: Record<string, string>; contentLengthRange?: [number, number] | null }): Promise<{ postURL: string; formData: Record<string, string> }>;
+  listenBucketNotification(bucket: string, prefix: string, suffix: string, events: string[]): EventEmitter & { stop(): void };
+  getWorkerConfig(): { type: string; options: Record<string, unknown> } | null;
+  static createError(code: string, message: string): Error;
+}
+
+export class MinioBackend extends StorageBackend {
+  constructor(options: { endpoint: string; accessKey: string; secretKey: string; useSSL?: boolean; region?: string });
+  client: any;
+}
+
+export class FsBackend extends StorageBackend {
+  constructor(options: { root: string; fs?: any });
+}
+
+export class MemoryBackend extends FsBackend {
+  constructor(options?: { buckets?: string[] });
+  reset(): void;
+}
+
 export default ObjectStorage;
@@ -5,12 +5,32 @@ import ObjectStorage from './lib/ObjectStorage.js';
 import PathConverter from './lib/PathConverter.js';
 import StreamConverter from './lib/StreamConverter.js';
 import ErrorHandler from './lib/ErrorHandler.js';
+import FileHandle from './lib/FileHandle.js';
+import ObjectReadStream from './lib/ObjectReadStream.js';
+import ObjectWriteStream from './lib/ObjectWriteStream.js';
+import ObjectWatcher from './lib/ObjectWatcher.js';
+import StatWatcher from './lib/StatWatcher.js';
+import createFs from './lib/createFs.js';
+import StorageBackend from './lib/backends/StorageBackend.js';
+import MinioBackend from './lib/backends/MinioBackend.js';
+import FsBackend from './lib/backends/FsBackend.js';
+import MemoryBackend from './lib/backends/MemoryBackend.js';
 
 export {
   ObjectStorage,
   PathConverter,
   StreamConverter,
-  ErrorHandler
+  ErrorHandler,
+  FileHandle,
+  ObjectReadStream,
+  ObjectWriteStream,
+  ObjectWatcher,
+  StatWatcher,
+  createFs,
+  StorageBackend,
+  MinioBackend,
+  FsBackend,
+  MemoryBackend
 };
 
 // Default export for convenience
@@ -5,11 +5,25 @@ class ErrorHandler {
     // MinIO/S3 specific errors
     'NoSuchKey': { code: 'ENOENT', errno: -2, message: 'no such file or directory' },
     'NoSuchBucket': { code: 'ENOENT', errno: -2, message: 'no such file or directory' },
+    'NoSuchVersion': { code: 'ENOENT', errno: -2, message: 'no such file or directory' },
+    'NotFound': { code: 'ENOENT', errno: -2, message: 'no such file or directory' },
     'BucketNotFound': { code: 'ENOENT', errno: -2, message: 'no such file or directory' },
     'AccessDenied': { code: 'EACCES', errno: -13, message: 'permission denied' },
     'InvalidBucketName': { code: 'EINVAL', errno: -22, message: 'invalid argument' },
     'BucketAlreadyExists': { code: 'EEXIST', errno: -17, message: 'file already exists' },
+    'BucketAlreadyOwnedByYou': { code: 'EEXIST', errno: -17, message: 'file already exists' },
+    'BucketNotEmpty': { code: 'ENOTEMPTY', errno: -39, message: 'directory not empty' },
     'KeyTooLong': { code: 'ENAMETOOLONG', errno: -36, message: 'file name too long' },
+    'XMinioInvalidObjectName': { code: 'EINVAL', errno: -22, message: 'invalid argument' },
+    'XMinioParentIsObject': { code: 'ENOTDIR', errno: -20, message: 'not a directory' },
+    'XMinioObjectExistsAsDirectory': { code: 'EISDIR', errno: -21, message: 'illegal operation on a directory' },
+    'InvalidRange': { code: 'EINVAL', errno: -22, message: 'invalid argument' },
+    'InvalidArgument': { code: 'EINVAL', errno: -22, message: 'invalid argument' },
+    'InvalidTag': { code: 'EINVAL', errno: -22, message: 'invalid argument' },
+    'NotImplemented': { code: 'ENOSYS', errno: -38, message: 'function not implemented' },
+    'PreconditionFailed': { code: 'ESTALE', errno: -116, message: 'stale file handle' },
+    'ConditionalRequestConflict': { code: 'ESTALE', errno: -116, message: 'stale file handle' },
+    'DecryptionFailed': { code: 'EIO', errno: -5, message: 'input/output error' },
     
     // Network/Connection errors
     'ENOTFOUND': { code: 'ENOTFOUND', errno: -3008, message: 'getaddrinfo ENOTFOUND' },
@@ -98,10 +112,19 @@ class ErrorHandler {
       // 標準的なfsエラーコードをサポート
       switch (code) {
         case 'ENOENT': errorInfo = { code: 'ENOENT', errno: -2, message: 'no such file or directory' }; break;
+        case 'EPERM': errorInfo = { code: 'EPERM', errno: -1, message: 'operation not permitted' }; break;
         case 'EACCES': errorInfo = { code: 'EACCES', errno: -13, message: 'permission denied' }; break;
         case 'EEXIST': errorInfo = { code: 'EEXIST', errno: -17, message: 'file already exists' }; break;
         case 'EINVAL': errorInfo = { code: 'EINVAL', errno: -22, message: 'invalid argument' }; break;
+        case 'ENOTDIR': errorInfo = { code: 'ENOTDIR', errno: -20, message: 'not a directory' }; break;
+        case 'EISDIR': errorInfo = { code: 'EISDIR', errno: -21, message: 'illegal operation on a directory' }; break;
+        case 'EBADF': errorInfo = { code: 'EBADF', errno: -9, message: 'bad file descriptor' }; break;
+        case 'EBUSY': errorInfo = { code: 'EBUSY', errno: -16, message: 'resource busy or locked' }; break;
+        case 'ENOTEMPTY': errorInfo = { code: 'ENOTEMPTY', errno: -39, message: 'directory not empty' }; break;
+        case 'ENOSYS': errorInfo = { code: 'ENOSYS', errno: -38, message: 'function not implemented' }; break;
+        case 'ESTALE': errorInfo = { code: 'ESTALE', errno: -116, message: 'stale file handle' }; break;
         case 'ENAMETOOLONG': errorInfo = { code: 'ENAMETOOLONG', errno: -36, message: 'file name too long' }; break;
+        case 'ELOOP': errorInfo = { code: 'ELOOP', errno: -40, message: 'too many symbolic links encountered' }; break;
         default: errorInfo = this.errorMapping['Unknown'];
       }
     }
@@ -118,6 +141,41 @@ class ErrorHandler {
     return error;
   }
 
+  /**
+   * Add destination path to an fs-style error of a two-path operation
+   * (message becomes "... copyfile '/src' -> '/dest'" as in Node's fs)
+   * @param {Error} error - fs-compatible error
+   * @param {string} dest - Destination path
+   * @returns {Error} The same error with `dest` set
+   */
+  static setDestination(error, dest) {
+    if (error.dest === undefined && error.path) {
+      error.dest = dest;
+      error.message = error.message.replace(`'${error.path}'`, `'${error.path}' -> '${dest}'`);
+    }
+    return error;
+  }
+
+  /**
+   * Combine several fs-style errors of one operation into a single error
+   * @param {Error[]} errors - fs-compatible errors (first one determines the code)
+   * @param {string} path - Path the operation was called with
+   * @param {string} operation - Operation name
+   * @returns {AggregateError} fs-compatible error with the individual errors in `errors`
+   */
+  static createAggregateError(errors, path = null, operation = 'open') {
+    const first = errors[0];
+    const summary = `${errors.length} of the entries failed`;
+    const error = new AggregateError(errors, path
+      ? `${first.code}: ${summary}, ${operation} '${path}'`
+      : `${first.code}: ${summary}`);
+    error.code = first.code;
+    error.errno = first.errno;
+    error.syscall = operation;
+    error.path = path;
+    return error;
+  }
+
   /**
    * Check if error indicates file not found
    * @param {Error} error - Error to check
@@ -127,6 +185,15 @@ class ErrorHandler {
     return error && error.code === 'ENOENT';
   }
 
+  /**
+   * Check if error indicates a failed write precondition (the object changed)
+   * @param {Error} error - Error to check
+   * @returns {boolean} True if precondition error
+   */
+  static isPreconditionError(error) {
+    return error && error.code === 'ESTALE';
+  }
+
   /**
    * Check if error indicates access denied
    * @param {Error} error - Error to check
@@ -0,0 +1,367 @@
+// FileHandle.js - fs.promises.FileHandle-like access to a single object
+
+import StreamConverter from './StreamConverter.js';
+import ErrorHandler from './ErrorHandler.js';
+
+// Supported open flags: what the handle may do and how the object is prepared
+const FLAGS = {
+  'r': { read: true },
+  'rs': { read: true },
+  'r+': { read: true, write: true },
+  'rs+': { read: true, write: true },
+  'w': { write: true, create: true, truncate: true },
+  'wx': { write: true, create: true, truncate: true, exclusive: true },
+  'w+': { read: true, write: true, create: true, truncate: true },
+  'wx+': { read: true, write: true, create: true, truncate: true, exclusive: true },
+  'a': { write: true, create: true, append: true },
+  'ax': { write: true, create: true, append: true, exclusive: true },
+  'as': { write: true, create: true, append: true },
+  'a+': { read: true, write: true, create: true, append: true },
+  'ax+': { read: true, write: true, create: true, append: true, exclusive: true },
+  'as+': { read: true, write: true, create: true, append: true }
+};
+
+let nextFd = 1000;
+
+class FileHandle {
+  /**
+   * Create FileHandle instance (use ObjectStorage.open())
+   *
+   * Reads of unmodified content are served with ranged GETs. Writes are
+   * buffered in memory and uploaded as a whole on sync() or close(). An
+   * upload fails with ESTALE if another writer changed the file since it was
+   * opened or last uploaded, and with EEXIST if another writer created the
+   * file of an exclusive ('wx', 'ax') handle first.
+   *
+   * @param {ObjectStorage} storage - Storage the object belongs to
+   * @param {string} filePath - File path
+   * @param {Object} mode - Parsed open flags
+   * @param {Object|null} objInfo - Object info of the existing object
+   * @param {number|string} [fileMode] - Mode of a newly created file
+   */
+  constructor(storage, filePath, mode, objInfo, fileMode) {
+    this.storage = storage;
+    this.path = filePath;
+    this.fd = nextFd++;
+
+    this._mode = mode;
+    this._objInfo = objInfo;
+    this._fileMode = fileMode;
+    this._size = objInfo ? objInfo.size : 0;
+    this._position = 0;
+    this._closed = false;
+
+    // Full content once the handle has been written to (null while unmodified)
+    this._buffer = mode.truncate || !objInfo ? Buffer.alloc(0) : null;
+    this._dirty = this._buffer !== null;
+
+    // Etag the object must still have when the content is committed (null: unconditional)
+    this._etag = objInfo && !mode.truncate ? objInfo.etag : null;
+    this._committed = false;
+  }
+
+  /**
+   * Parse fs open flags
+   * @param {string} flags - Flags such as 'r', 'w+', 'ax'
+   * @returns {Object} Parsed flags
+   * @throws {Error} EINVAL for unsupported flags
+   */
+  static parseFlags(flags = 'r') {
+    const mode = FLAGS[flags];
+    if (!mode) {
+      throw ErrorHandler.createFileSystemError('EINVAL', null, 'open');
+    }
+    return mode;
+  }
+
+  /**
+   * Read data from the file
+   * @param {Buffer|Object} [buffer] - Buffer to fill, or options {buffer, offset, length, position}
+   * @param {number} [offset=0] - Offset in buffer to start writing at
+   * @param {number} [length] - Number of bytes to read
+   * @param {number|null} [position=null] - File position, null reads from the current position
+   * @returns {Promise<{bytesRead: number, buffer: Buffer}>} Read result
+   */
+  async read(buffer, offset, length, position) {
+    if (buffer && !Buffer.isBuffer(buffer) && !(buffer instanceof Uint8Array)) {
+      ({ buffer, offset, length, position } = buffer);
+    }
+    buffer = buffer || Buffer.alloc(16384);
+    offset = offset || 0;
+    length = length === undefined ? buffer.byteLength - offset : length;
+
+    this._assertOpen('read');
+    if (!this._mode.read) {
+      throw ErrorHandler.createFileSystemError('EBADF', null, 'read');
+    }
+
+    const start = position === null || position === undefined ? this._position : position;
+    const bytesRead = await this._readAt(buffer, offset, length, start);
+    if (position === null || position === undefined) {
+      this._position += bytesRead;
+    }
+
+    return { bytesRead, buffer };
+  }
+
+  /**
+   * Write data to the file
+   * @param {Buffer|Uint8Array|string} data - Data to write
+   * @param {number|null} [offsetOrPosition] - Offset in buffer, or position for string data
+   * @param {number|string} [lengthOrEncoding] - Bytes to write, or encoding for string data
+   * @param {number|null} [position=null] - File position, null writes at the current position
+   * @returns {Promise<{bytesWritten: number, buffer: Buffer|string}>} Write result
+   */
+  async write(data, offsetOrPosition, lengthOrEncoding, position) {
+    let chunk;
+    if (typeof data === 'string') {
+      position = offsetOrPosition;
+      chunk = Buffer.from(data, typeof lengthOrEncoding === 'string' ? lengthOrEncoding : 'utf8');
+    } else {
+      const offset = offsetOrPosition || 0;
+      const length = lengthOrEncoding === undefined ? data.byteLength - offset : lengthOrEncoding;
+      chunk = Buffer.from(data.buffer, data.byteOffset + offset, length);
+    }
+
+    this._assertOpen('write');
+    if (!this._mode.write) {
+      throw ErrorHandler.createFileSystemError('EBADF', null, 'write');
+    }
+
+    await this._loadBuffer();
+
+    // Append mode always writes at the end, like O_APPEND
+    const usePosition = position === null || position === undefined || this._mode.append;
+    const start = this._mode.append ? this._buffer.length : (usePosition ? this._position : position);
+    const end = start + chunk.length;
+
+    if (end > this._buffer.length) {
+      const grown = Buffer.alloc(end);
+      this._buffer.copy(grown);
+      this._buffer = grown;
+    }
+    chunk.copy(this._buffer, start);
+    this._size = this._buffer.length;
+    this._dirty = true;
+
+    if (usePosition) {
+      this._position = end;
+    }
+
+    return { bytesWritten: chunk.length, buffer: data };
+  }
+
+  /**
+   * Read the whole file
+   * @param {Object|string} [options] - Options or encoding string
+   * @returns {Promise<Buffer|string>} File content
+   */
+  async readFile(options = {}) {
+    if (typeof options === 'string') {
+      options = { encoding: options };
+    }
+
+    this._assertOpen('read');
+    if (!this._mode.read) {
+      throw ErrorHandler.createFileSystemError('EBADF', null, 'read');
+    }
+
+    const buffer = Buffer.alloc(this._size);
+    await this._readAt(buffer, 0, this._size, 0);
+    return options.encoding ? buffer.toString(options.encoding) : buffer;
+  }
+
+  /**
+   * Replace the file content
+   * @param {string|Buffer|Uint8Array} data - Data to write
+   * @param {Object|string} [options] - Options or encoding string
+   * @returns {Promise<void>}
+   */
+  async writeFile(data, options = {}) {
+    if (typeof options === 'string') {
+      options = { encoding: options };
+    }
+
+    this._assertOpen('write');
+    if (!this._mode.write) {
+      throw ErrorHandler.createFileSystemError('EBADF', null, 'write');
+    }
+
+    const chunk = typeof data === 'string' ? Buffer.from(data, options.encoding || 'utf8') : Buffer.from(data);
+    this._buffer = this._mode.append ? Buffer.concat([await this._loadBuffer(), chunk]) : chunk;
+    this._size = this._buffer.length;
+    this._dirty = true;
+  }
+
+  /**
+   * Truncate the file
+   * @param {number} [len=0] - New file length
+   * @returns {Promise<void>}
+   */
+  async truncate(len = 0) {
+    this._assertOpen('ftruncate');
+    if (!this._mode.write) {
+      throw ErrorHandler.createFileSystemError('EBADF', null, 'ftruncate');
+    }
+
+    await this._loadBuffer();
+    const truncated = Buffer.alloc(len);
+    this._buffer.copy(truncated, 0, 0, Math.min(len, this._buffer.length));
+    this._buffer = truncated;
+    this._size = len;
+    this._dirty = true;
+  }
+
+  /**
+   * Get file statistics (reflects pending writes)
+   * @returns {Promise<Object>} File stats object
+   */
+  async stat() {
+    this._assertOpen('fstat');
+
+    if (!this._dirty) {
+      return this.storage.stat(this.path);
+    }
+    return this.storage._createStats({
+      type: 'file',
+      size: this._size,
+      lastModified: new Date(),
+      etag: undefined
+    });
+  }
+
+  /**
+   * Upload pending writes
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    this._assertOpen('fsync');
+    await this._commit();
+  }
+
+  /**
+   * Upload pending writes (same as sync())
+   * @returns {Promise<void>}
+   */
+  async datasync() {
+    return this.sync();
+  }
+
+  /**
+   * Upload pending writes and close the handle
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this._closed) return;
+
+    try {
+      await this._commit();
+    } finally {
+      this._closed = true;
+      this._buffer = null;
+    }
+  }
+
+  /**
+   * Copy file content into buffer, from pending writes or with a ranged GET
+   * @param {Buffer} buffer - Target buffer
+   * @param {number} offset - Offset in target buffer
+   * @param {number} length - Maximum number of bytes
+   * @param {number} position - File position
+   * @returns {Promise<number>} Number of bytes copied
+   */
+  async _readAt(buffer, offset, length, position) {
+    const count = Math.max(0, Math.min(length, this._size - position));
+    if (count === 0) return 0;
+
+    if (this._buffer) {
+      return this._buffer.copy(buffer, offset, position, position + count);
+    }
+
+    try {
+      const { bucket, key } = this.storage.pathConverter.pathToMinIO(this.path);
+      const getOpts = this.storage._sseReadOptions(this.storage.sse);
+      const stream = await this.storage.backend.getPartialObject(bucket, key, position, count, getOpts);
+      const data = await StreamConverter.streamToBuffer(stream);
+      return data.copy(buffer, offset, 0, Math.min(count, data.length));
+    } catch (error) {
+      throw ErrorHandler.convertError(error, this.path, 'read');
+    }
+  }
+
+  /**
+   * Load the existing content before the first modification
+   * @returns {Promise<Buffer>} Full content
+   */
+  async _loadBuffer() {
+    if (this._buffer) {
+      return this._buffer;
+    }
+
+    if (this._objInfo.sizeUnknown) {
+      // Read to the end of the content instead of up to the size
+      try {
+        const { bucket, key } = this.storage.pathConverter.pathToMinIO(this.path);
+        const stream = await this.storage.backend.getObject(bucket, key, this.storage._sseReadOptions(this.storage.sse));
+        this._buffer = await StreamConverter.streamToBuffer(stream);
+      } catch (error) {
+        throw ErrorHandler.convertError(error, this.path, 'read');
+      }
+      this._size = this._buffer.length;
+    } else {
+      const buffer = Buffer.alloc(this._size);
+      await this._readAt(buffer, 0, this._size, 0);
+      this._buffer = buffer;
+    }
+    return this._buffer;
+  }
+
+  async _commit() {
+    if (!this._dirty) return;
+
+    try {
+      const { bucket, key } = this.storage.pathConverter.pathToMinIO(this.path);
+      const metaData = {
+        ...this.storage._contentMetaData(this.path, this._objInfo && this._objInfo.metaData, { mode: this._fileMode }),
+        ...this.storage._sseHeaders(this.storage.sse)
+      };
+
+      // Changes by other writers since open() (or the last commit) are not overwritten
+      if (this._etag) {
+        metaData['if-match'] = this._etag;
+      } else if (this._mode.exclusive && !this._committed) {
+        metaData['if-none-match'] = '*';
+      }
+
+      const result = await this.storage.backend.putObject(bucket, key, this._buffer, this._buffer.length, metaData);
+      await this.storage._uncache(bucket, key);
+      this._etag = (result && result.etag) || null;
+      this._committed = true;
+      this._dirty = false;
+    } catch (error) {
+      throw this._commitError(error);
+    }
+  }
+
+  /**
+   * Convert a commit error; a failed If-None-Match of an exclusive handle
+   * means that another writer created the file first
+   * @param {Error} error - Backend error
+   * @returns {Error} fs-style error
+   */
+  _commitError(error) {
+    const converted = ErrorHandler.convertError(error, this.path, 'write');
+    if (this._mode.exclusive && !this._committed && ErrorHandler.isPreconditionError(converted)) {
+      return ErrorHandler.createFileSystemError('EEXIST', this.path, 'open');
+    }
+    return converted;
+  }
+
+  _assertOpen(operation) {
+    if (this._closed) {
+      throw ErrorHandler.createFileSystemError('EBADF', null, operation);
+    }
+  }
+}
+
+export default FileHandle;
@@ -0,0 +1,146 @@
+// ObjectCache.js - Read-through cache of object content for ObjectStorage.readFile()
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Bytes charged per memory entry on top of its content (the key record), so
+// that empty objects count against maxMemoryBytes as well
+const ENTRY_OVERHEAD = 64;
+
+class ObjectCache {
+  /**
+   * Create ObjectCache instance (use the cache option of ObjectStorage)
+   *
+   * Entries are object contents with the etag they were read at. The memory
+   * tier evicts the least recently used entries once their total size
+   * (content plus a fixed overhead per entry) exceeds maxMemoryBytes; the disk tier keeps one file per object and is
+   * not limited, its entries are only replaced or removed. Disk failures are
+   * treated as misses, the cache never fails a read.
+   *
+   * @param {Object} options - Cache options
+   * @param {number} [options.maxMemoryBytes=0] - Content bytes kept in memory (0 disables the memory tier)
+   * @param {string} [options.directory] - Directory of the disk tier (created when needed)
+   */
+  constructor(options = {}) {
+    this.maxMemoryBytes = options.maxMemoryBytes || 0;
+    this.directory = options.directory || null;
+
+    // Map order is the recency order: the first entry is evicted first
+    this._entries = new Map();
+    this._memoryBytes = 0;
+  }
+
+  /**
+   * Get a cached object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {Promise<{etag: string, content: Buffer}|null>} Cached entry
+   */
+  async get(bucket, key) {
+    const id = ObjectCache._id(bucket, key);
+    const entry = this._entries.get(id);
+    if (entry) {
+      this._entries.delete(id);
+      this._entries.set(id, entry);
+      return entry;
+    }
+    if (!this.directory) return null;
+
+    const stored = await this._readFile(id);
+    if (stored) this._remember(id, stored);
+    return stored;
+  }
+
+  /**
+   * Cache an object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string} etag - Etag the content was read at
+   * @param {Buffer} content - Object content
+   * @returns {Promise<void>}
+   */
+  async set(bucket, key, etag, content) {
+    const id = ObjectCache._id(bucket, key);
+    this._forget(id);
+    this._remember(id, { etag, content });
+    if (this.directory) await this._writeFile(id, etag, content);
+  }
+
+  /**
+   * Remove an object from the cache
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async delete(bucket, key) {
+    const id = ObjectCache._id(bucket, key);
+    this._forget(id);
+    if (this.directory) {
+      await fs.promises.rm(path.join(this.directory, id), { force: true }).catch(() => {});
+    }
+  }
+
+  _remember(id, entry) {
+    // Entries larger than the whole memory tier only go to disk, all of them
+    // when the memory tier is disabled
+    if (entry.content.length + ENTRY_OVERHEAD > this.maxMemoryBytes) return;
+
+    this._entries.set(id, entry);
+    this._memoryBytes += entry.content.length + ENTRY_OVERHEAD;
+    for (const [oldest, old] of this._entries) {
+      if (this._memoryBytes <= this.maxMemoryBytes) break;
+      this._entries.delete(oldest);
+      this._memoryBytes -= old.content.length + ENTRY_OVERHEAD;
+    }
+  }
+
+  _forget(id) {
+    const entry = this._entries.get(id);
+    if (!entry) return;
+    this._entries.delete(id);
+    this._memoryBytes -= entry.content.length + ENTRY_OVERHEAD;
+  }
+
+  /**
+   * Read a disk entry: a JSON header line with the etag, then the content
+   * @param {string} id - Entry ID
+   * @returns {Promise<{etag: string, content: Buffer}|null>} Entry, null if missing or unreadable
+   */
+  async _readFile(id) {
+    try {
+      const data = await fs.promises.readFile(path.join(this.directory, id));
+      const end = data.indexOf(0x0a);
+      const header = JSON.parse(data.subarray(0, end).toString('utf8'));
+      return { etag: header.etag, content: data.subarray(end + 1) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Write a disk entry; the file is renamed into place, so other processes
+   * sharing the directory never read half of it
+   * @param {string} id - Entry ID
+   * @param {string} etag - Etag of the content
+   * @param {Buffer} content - Object content
+   * @returns {Promise<void>}
+   */
+  async _writeFile(id, etag, content) {
+    const file = path.join(this.directory, id);
+    const temp = `${file}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.writeFile(temp, Buffer.concat([Buffer.from(JSON.stringify({ etag }) + '\n'), content]));
+      await fs.promises.rename(temp, file);
+    } catch (error) {
+      await fs.promises.rm(temp, { force: true }).catch(() => {});
+    }
+  }
+
+  static _id(bucket, key) {
+    return crypto.createHash('sha256').update(`${bucket}/${key}`).digest('hex');
+  }
+}
+
+export default ObjectCache;
@@ -0,0 +1,101 @@
+// ObjectReadStream.js - fs.ReadStream-like Readable over an object (or a byte range of it)
+
+import { Readable } from 'stream';
+import ErrorHandler from './ErrorHandler.js';
+
+class ObjectReadStream extends Readable {
+  /**
+   * Create ObjectReadStream instance (use ObjectStorage.createReadStream())
+   *
+   * Symbolic links are resolved and the object is fetched with a single
+   * (ranged) GET once the stream is constructed; failures are emitted as
+   * 'error' events.
+   *
+   * @param {ObjectStorage} storage - Storage the object belongs to
+   * @param {string} filePath - File path
+   * @param {Object} [options] - Stream options
+   * @param {number} [options.start=0] - First byte to read
+   * @param {number} [options.end] - Last byte to read (inclusive)
+   * @param {number} [options.highWaterMark=65536] - Buffer size in bytes
+   * @param {string} [options.encoding] - Emit strings in this encoding
+   */
+  constructor(storage, filePath, options = {}) {
+    // Validate before super() so an invalid range never schedules _construct
+    const start = options.start === undefined ? 0 : options.start;
+    const end = options.end === undefined ? Infinity : options.end;
+    if (!Number.isInteger(start) || start < 0 || (end !== Infinity && (!Number.isInteger(end) || end < start))) {
+      throw ErrorHandler.createFileSystemError('EINVAL', filePath, 'open');
+    }
+
+    super({
+      highWaterMark: options.highWaterMark || 64 * 1024,
+      encoding: options.encoding
+    });
+
+    this.storage = storage;
+    this.path = filePath;
+    this.start = start;
+    this.end = end;
+    this.bytesRead = 0;
+    this.pending = true;
+    this._source = null;
+  }
+
+  async _construct(callback) {
+    try {
+      await this.storage.initialize();
+      this.storage.pathConverter.validatePath(this.path);
+      const { path: resolvedPath } = await this.storage._resolveLinks(this.path, 'open');
+      const { bucket, key } = this.storage.pathConverter.pathToMinIO(resolvedPath);
+      const getOpts = this.storage._sseReadOptions(this.storage.sse);
+
+      if (this.start === 0 && this.end === Infinity) {
+        this._source = await this.storage.backend.getObject(bucket, key, getOpts);
+      } else {
+        const length = this.end === Infinity ? undefined : this.end - this.start + 1;
+        this._source = await this.storage.backend.getPartialObject(bucket, key, this.start, length, getOpts);
+      }
+    } catch (error) {
+      // Ranges starting past the end of the object read nothing, like fs
+      if (error.code !== 'InvalidRange') {
+        callback(ErrorHandler.convertError(error, this.path, 'open'));
+        return;
+      }
+      this._source = Readable.from([]);
+    }
+
+    // Emit chunks of at most highWaterMark bytes, like fs.ReadStream
+    const chunkSize = this.readableHighWaterMark;
+    this._source.on('data', (chunk) => {
+      this.bytesRead += chunk.length;
+      let wantsMore = true;
+      for (let offset = 0; offset < chunk.length; offset += chunkSize) {
+        wantsMore = this.push(chunk.subarray(offset, offset + chunkSize));
+      }
+      if (!wantsMore) {
+        this._source.pause();
+      }
+    });
+    this._source.on('end', () => this.push(null));
+    this._source.on('error', (error) => this.destroy(ErrorHandler.convertError(error, this.path, 'read')));
+    this._source.pause();
+
+    this.pending = false;
+    callback();
+    this.emit('open');
+    this.emit('ready');
+  }
+
+  _read() {
+    this._source.resume();
+  }
+
+  _destroy(error, callback) {
+    if (this._source) {
+      this._source.destroy();
+    }
+    callback(error);
+  }
+}
+
+export default ObjectReadStream;
@@ -1,9 +1,89 @@
 // ObjectStorage.js - Main fs-compatible client for MinIO/S3 operations
 
-import { Client as MinioClient } from 'minio';
+import crypto from 'crypto';
+import path from 'path';
+import { constants } from 'fs';
+import mime from 'mime-types';
 import PathConverter from './PathConverter.js';
 import StreamConverter from './StreamConverter.js';
 import ErrorHandler from './ErrorHandler.js';
+import FileHandle from './FileHandle.js';
+import ObjectReadStream from './ObjectReadStream.js';
+import ObjectWriteStream from './ObjectWriteStream.js';
+import SyncRunner from './SyncRunner.js';
+import ObjectWatcher from './ObjectWatcher.js';
+import StatWatcher from './StatWatcher.js';
+import ObjectCache from './ObjectCache.js';
+import MinioBackend from './backends/MinioBackend.js';
+import EncryptedBackend from './backends/EncryptedBackend.js';
+import CompressedBackend from './backends/CompressedBackend.js';
+import MetadataCacheBackend from './backends/MetadataCacheBackend.js';
+
+// Maximum number of keys per multi-object delete request (S3 limit)
+const DELETE_BATCH_SIZE = 1000;
+
+// Objects of at least the minimum multipart part size (S3 limit) are appended server-side
+const COMPOSE_MIN_SIZE = 5 * 1024 * 1024;
+
+// Attempts before an append gives up on losing the race against other writers
+const APPEND_MAX_ATTEMPTS = 5;
+
+// Key prefix for the temporary objects holding data to be composed
+const APPEND_PART_PREFIX = '.fs-object-storage/append/';
+
+// User metadata (x-amz-meta-*) holding attributes set by chmod/chown/utimes
+const META_MODE = 'fs-mode';
+const META_UID = 'fs-uid';
+const META_GID = 'fs-gid';
+const META_ATIME = 'fs-atime';
+const META_MTIME = 'fs-mtime';
+
+// User metadata marking an object as symbolic link (URI-encoded target)
+const META_LINK = 'fs-symlink';
+
+// Write options sent as standard headers, also returned by stat()
+const CONTENT_HEADERS = {
+  contentType: 'content-type',
+  cacheControl: 'cache-control',
+  contentEncoding: 'content-encoding',
+  contentDisposition: 'content-disposition'
+};
+
+// Prefix of the user metadata keys reserved for file attributes
+const RESERVED_META_PREFIX = 'fs-';
+
+// Lifetime of presigned URLs and POST policies in seconds (default and S3 maximum)
+const SIGNED_EXPIRES = 60 * 60;
+const SIGNED_MAX_EXPIRES = 7 * 24 * 60 * 60;
+
+// Methods getSignedUrl() signs
+const SIGNED_METHODS = ['GET', 'PUT'];
+
+// Bucket versioning states the versioning option can apply
+const VERSIONING_STATUSES = ['Enabled', 'Suspended'];
+
+// S3 limits of object tag sets
+const MAX_TAGS = 10;
+const MAX_TAG_KEY_LENGTH = 128;
+const MAX_TAG_VALUE_LENGTH = 256;
+
+// Pending tag lookups while readdir() filters by tags
+const TAG_FILTER_CONCURRENCY = 10;
+
+// Pending stats while readdir() looks for links and directory markers
+const DIRENT_STAT_CONCURRENCY = 10;
+
+// Server-side encryption modes of the sse option
+const SSE_TYPES = ['SSE-S3', 'SSE-KMS', 'SSE-C'];
+
+// Codecs of compression rules (gzip and brotli)
+const COMPRESSION_CODECS = ['gzip', 'br'];
+
+// Response headers of SSE-C objects, which cannot be sent back without the key
+const SSE_CUSTOMER_HEADERS = ['x-amz-server-side-encryption-customer-algorithm', 'x-amz-server-side-encryption-customer-key-md5'];
+
+// Links followed while resolving one path before ELOOP (Linux MAXSYMLINKS)
+const MAX_SYMLINKS = 40;
 
 class ObjectStorage {
   /**
@@ -12,50 +92,120 @@ class ObjectStorage {
    * @param {string} options.endpoint - MinIO endpoint (e.g., 'localhost:9000')
    * @param {string} options.accessKey - Access key
    * @param {string} options.secretKey - Secret key
-   * @param {string} options.bucket - Bucket name
+   * @param {string} options.bucket - Bucket name (not needed in multi-bucket mode)
    * @param {boolean} [options.useSSL=false] - Use SSL
    * @param {string} [options.region='us-east-1'] - Region
    * @param {string} [options.prefix=''] - Key prefix for all operations
+   * @param {StorageBackend} [options.backend] - Storage backend (MinIO connection options are ignored when set)
+   * @param {string} [options.directoryMode='marker'] - 'marker' stores directory marker objects, 'implicit' treats directories as key prefixes only
+   * @param {boolean} [options.multiBucket=false] - Serve all buckets: the first path segment selects the bucket and '/' lists buckets
+   * @param {string} [options.versioning] - 'Enabled' or 'Suspended': bucket versioning applied by initialize() (and mkdir() of buckets)
+   * @param {Object} [options.encryption] - Client-side encryption of object content (see EncryptedBackend)
+   * @param {Object} options.encryption.keyProvider - Wraps and unwraps the per-object data keys ({wrapKey, unwrapKey})
+   * @param {Object} [options.sse] - Server-side encryption of written objects (see _sseHeaders)
+   * @param {string} options.sse.type - 'SSE-S3', 'SSE-KMS' or 'SSE-C'
+   * @param {string} [options.sse.keyId] - KMS key of SSE-KMS (the bucket default when omitted)
+   * @param {Object<string, string>} [options.sse.context] - Encryption context of SSE-KMS
+   * @param {Buffer} [options.sse.key] - 32-byte customer key of SSE-C, also needed to read the objects back
+   * @param {Object} [options.compression] - Compression of object content by path (see CompressedBackend)
+   * @param {Array<{pattern: string, codec: string}>} options.compression.rules - Glob patterns and their
+   *   codec ('gzip' or 'br'); the first matching rule applies
+   * @param {Object} [options.cache] - Read-through cache of readFile() (see ObjectCache)
+   * @param {number} [options.cache.maxMemoryBytes] - Content bytes kept in memory, least recently used first out
+   * @param {string} [options.cache.directory] - Local directory caching the content on disk (decrypted and
+   *   decompressed, so not allowed with the encryption option)
+   * @param {Object} [options.metadataCache] - Cache of object info and listings (see MetadataCacheBackend)
+   * @param {number} [options.metadataCache.ttl=5000] - Lifetime of entries in ms
+   * @param {number} [options.metadataCache.negativeTtl] - Lifetime of missing objects in ms (ttl by default)
+   * @param {number} [options.metadataCache.maxEntries=10000] - Cached infos plus listed objects
+   * @param {number} [options.syncTimeout=300000] - Longest wait of a *Sync method for its worker in ms (0 waits forever)
    */
   constructor(options = {}) {
     // Validate required options
-    if (!options.endpoint) throw new Error('endpoint is required');
-    if (!options.accessKey) throw new Error('accessKey is required');
-    if (!options.secretKey) throw new Error('secretKey is required');
-    if (!options.bucket) throw new Error('bucket is required');
-
-    // Initialize MinIO client
-    this.minioClient = new MinioClient({
-      endPoint: options.endpoint.split(':')[0],
-      port: parseInt(options.endpoint.split(':')[1]) || (options.useSSL ? 443 : 80),
-      useSSL: options.useSSL || false,
-      accessKey: options.accessKey,
-      secretKey: options.secretKey,
-      region: options.region || 'us-east-1'
+    if (!options.bucket && !options.multiBucket) throw new Error('bucket is required');
+    if (options.directoryMode && !['marker', 'implicit'].includes(options.directoryMode)) {
+      throw new Error("directoryMode must be 'marker' or 'implicit'");
+    }
+    if (options.versioning && !VERSIONING_STATUSES.includes(options.versioning)) {
+      throw new Error("versioning must be 'Enabled' or 'Suspended'");
+    }
+    if (options.sse && !ObjectStorage._isValidSse(options.sse)) {
+      throw new Error("sse must have type 'SSE-S3', 'SSE-KMS' or 'SSE-C' (with a 32-byte key)");
+    }
+    if (options.compression && !ObjectStorage._isValidCompression(options.compression)) {
+      throw new Error("compression.rules must be an array of { pattern, codec: 'gzip' | 'br' }");
+    }
+    const compressionRules = (options.compression ? options.compression.rules : []).map(rule => {
+      try {
+        return { pattern: PathConverter.globToRegExp(rule.pattern), codec: rule.codec };
+      } catch (error) {
+        throw new Error(`compression.rules: ${error.message}`);
+      }
     });
+    if (options.cache && !ObjectStorage._isValidCache(options.cache)) {
+      throw new Error('cache must have a positive maxMemoryBytes and/or a directory');
+    }
+    if (options.cache && options.cache.directory && options.encryption) {
+      throw new Error('cache.directory cannot be used with encryption, the disk cache would hold plaintext');
+    }
+    if (options.metadataCache && !ObjectStorage._isValidMetadataCache(options.metadataCache)) {
+      throw new Error('metadataCache ttl and negativeTtl must be non-negative and maxEntries positive integers');
+    }
+
+    // Initialize storage backend; content is compressed before it is encrypted
+    let backend = options.backend || new MinioBackend(options);
+    if (options.encryption) {
+      backend = new EncryptedBackend(backend, options.encryption.keyProvider);
+    }
+    if (options.compression) {
+      backend = new CompressedBackend(backend, (bucket, key) => this._compressionCodec(bucket, key));
+    }
+    this._metadataCache = null;
+    if (options.metadataCache) {
+      backend = this._metadataCache = new MetadataCacheBackend(backend, options.metadataCache);
+    }
+    this.backend = backend;
 
     // Initialize path converter
     this.pathConverter = new PathConverter({
       bucket: options.bucket,
-      prefix: options.prefix
+      prefix: options.prefix,
+      multiBucket: options.multiBucket
     });
 
-    this.bucket = options.bucket;
+    this.bucket = options.bucket || null;
+    this.multiBucket = !!options.multiBucket;
+    this.directoryMode = options.directoryMode || 'marker';
+    this.versioning = options.versioning || null;
+    this.sse = options.sse || null;
+    this.compression = options.compression || null;
+    this._compressionRules = compressionRules;
+    this._cache = options.cache ? new ObjectCache(options.cache) : null;
     this._initialized = false;
+    this.syncTimeout = options.syncTimeout !== undefined ? options.syncTimeout : 300000;
+    this._syncRunner = null;
+    this._statWatchers = new Map();
   }
 
   /**
-   * Initialize client (create bucket if it doesn't exist)
+   * Initialize client (create bucket if it doesn't exist and apply the versioning option)
    * @returns {Promise<void>}
    */
   async initialize() {
     if (this._initialized) return;
 
+    // Buckets are created by mkdir() in multi-bucket mode
+    if (this.multiBucket) {
+      this._initialized = true;
+      return;
+    }
+
     try {
-      const bucketExists = await this.minioClient.bucketExists(this.bucket);
+      const bucketExists = await this.backend.bucketExists(this.bucket);
       if (!bucketExists) {
-        await this.minioClient.makeBucket(this.bucket);
+        await this.backend.makeBucket(this.bucket);
       }
+      await this._applyVersioning(this.bucket);
       this._initialized = true;
     } catch (error) {
       throw ErrorHandler.convertError(error, null, 'initialize');
@@ -67,6 +217,8 @@ class ObjectStorage {
    * @param {string} filePath - File path
    * @param {Object|string} [options] - Options or encoding string
    * @param {string} [options.encoding] - Text encoding ('utf8', 'base64', etc.)
+   * @param {string} [options.versionId] - Read this version of the object (links are not followed)
+   * @param {Object|null} [options.sse] - Server-side encryption of the object, instead of the instance option
    * @returns {Promise<Buffer|string>} File content
    */
   async readFile(filePath, options = {}) {
@@ -79,13 +231,25 @@ class ObjectStorage {
       }
 
       this.pathConverter.validatePath(filePath);
-      const { bucket, key } = this.pathConverter.pathToMinIO(filePath);
+      const sse = this._sseConfig(options.sse, filePath, 'open');
+      if (options.versionId !== undefined) {
+        const buffer = await this._readVersion(filePath, options.versionId, sse);
+        return options.encoding ? buffer.toString(options.encoding) : buffer;
+      }
+      let buffer = await this._readObjectIfExists(filePath, sse);
 
-      // Get object stream
-      const stream = await this.minioClient.getObject(bucket, key);
-      
-      // Convert stream to buffer
-      const buffer = await StreamConverter.streamToBuffer(stream);
+      // Links are empty objects and paths through a linked directory have no object;
+      // links are stored with the instance encryption, so an empty object read with
+      // other keys is a file
+      if (!buffer || (buffer.length === 0 && options.sse === undefined)) {
+        const resolved = await this._resolveLinks(filePath, 'open');
+        if (resolved.path !== PathConverter.normalizePath(filePath)) {
+          buffer = await this._readObjectIfExists(resolved.path, sse);
+        }
+      }
+      if (!buffer) {
+        throw ErrorHandler.createFileSystemError('ENOENT', filePath, 'open');
+      }
 
       // Return string if encoding specified, otherwise buffer
       if (options.encoding) {
@@ -101,37 +265,178 @@ class ObjectStorage {
 
   /**
    * Write file content
+   *
+   * Mode, owner and atime of an existing file are kept; mtime becomes the
+   * time of the write. Content headers and user metadata that are not given
+   * are kept as well, except that the content type is detected from the file
+   * extension when it is known.
+   *
+   * Exclusive flags ('wx') create the object with an If-None-Match: *
+   * precondition and `ifMatch` replaces it only while it still has that etag,
+   * so concurrent writers cannot overwrite each other unnoticed. Conditional
+   * writes are uploaded in a single request, the server checks the
+   * precondition when the upload completes.
+   *
    * @param {string} filePath - File path
    * @param {string|Buffer|Uint8Array} data - Data to write
    * @param {Object|string} [options] - Options or encoding string
    * @param {string} [options.encoding='utf8'] - Text encoding for string data
+   * @param {number} [options.mode] - Mode of a newly created file
+   * @param {string} [options.flag='w'] - 'w', 'wx' (fail with EEXIST if it exists) or 'a'/'ax' (append)
+   * @param {string} [options.ifMatch] - Etag the object must still have (ESTALE otherwise)
+   * @param {string} [options.contentType] - Content-Type (detected from the extension by default)
+   * @param {string} [options.cacheControl] - Cache-Control header
+   * @param {string} [options.contentEncoding] - Content-Encoding header
+   * @param {string} [options.contentDisposition] - Content-Disposition header
+   * @param {Object<string, string>} [options.metadata] - User metadata (replaces the existing one)
+   * @param {Object<string, string>} [options.tags] - Tags of the new content (see setTags())
+   * @param {Object|null} [options.sse] - Server-side encryption of the new content, instead of the instance option
    * @returns {Promise<void>}
    */
   async writeFile(filePath, data, options = {}) {
     await this.initialize();
 
+    // Handle options parameter
+    if (typeof options === 'string') {
+      options = { encoding: options };
+    }
+
+    let flags;
     try {
-      // Handle options parameter
-      if (typeof options === 'string') {
-        options = { encoding: options };
+      this.pathConverter.validatePath(filePath);
+      flags = FileHandle.parseFlags(options.flag || 'w');
+      if (!flags.write) {
+        throw ErrorHandler.createFileSystemError('EBADF', filePath, 'write');
+      }
+      if (options.ifMatch !== undefined && (flags.exclusive || flags.append)) {
+        throw ErrorHandler.createFileSystemError('EINVAL', filePath, 'open');
+      }
+      const tags = options.tags !== undefined ? this._validateTags(filePath, options.tags, 'open') : {};
+      const sse = this._sseConfig(options.sse, filePath, 'open');
+      if (flags.append && !flags.exclusive) {
+        await this.appendFile(filePath, data, options);
+        return;
       }
 
-      this.pathConverter.validatePath(filePath);
-      const { bucket, key } = this.pathConverter.pathToMinIO(filePath);
+      let { bucket, key } = this.pathConverter.pathToMinIO(filePath);
+      let metaData;
 
-      // Convert data to stream
-      const stream = StreamConverter.toReadableStream(data);
-      const size = StreamConverter.getDataSize(data);
+      if (flags.exclusive) {
+        // A link at the path is an existing entry as well
+        metaData = { ...this._contentMetaData(filePath, null, options), 'if-none-match': '*' };
+      } else {
+        // Carry the attributes of the object being replaced over
+        let existing = await this._statIfExists(bucket, key, sse);
+        if (existing && ObjectStorage.linkTarget(existing.metaData) !== null) {
+          const resolved = await this._resolveLinks(filePath, 'open');
+          ({ bucket, key } = this.pathConverter.pathToMinIO(resolved.path));
+          existing = await this._statIfExists(bucket, key, sse);
+        }
+        metaData = this._contentMetaData(filePath, existing && existing.metaData, options);
+        if (options.ifMatch !== undefined) {
+          metaData['if-match'] = options.ifMatch;
+        }
+      }
+      Object.assign(metaData, this._sseHeaders(sse), this._taggingHeaders(tags));
 
-      // Upload object
-      if (size !== undefined) {
-        await this.minioClient.putObject(bucket, key, stream, size);
+      if (metaData['if-none-match'] || metaData['if-match']) {
+        const content = await StreamConverter.streamToBuffer(StreamConverter.toReadableStream(data));
+        await this.backend.putObject(bucket, key, content, content.length, metaData);
       } else {
-        await this.minioClient.putObject(bucket, key, stream);
+        const stream = StreamConverter.toReadableStream(data);
+        await this.backend.putObject(bucket, key, stream, StreamConverter.getDataSize(data), metaData);
       }
+      await this._uncache(bucket, key);
+
+    } catch (error) {
+      const converted = ErrorHandler.convertError(error, filePath, 'open');
+      if (flags && flags.exclusive && ErrorHandler.isPreconditionError(converted)) {
+        throw ErrorHandler.createFileSystemError('EEXIST', filePath, 'open');
+      }
+      throw converted;
+    }
+  }
+
+  /**
+   * Append data to file, creating it if it does not exist
+   *
+   * Objects smaller than 5 MiB are rewritten with an If-Match precondition on
+   * the etag they were read at. Larger objects are extended server-side by
+   * composing them with the new data (multipart upload-part-copy), so the
+   * existing content is not downloaded. Appends that lose a race against
+   * another writer are retried. SSE-C objects are always rewritten, the
+   * client cannot pass the key on to the part copies.
+   *
+   * @param {string} filePath - File path
+   * @param {string|Buffer|Uint8Array} data - Data to append
+   * @param {Object|string} [options] - Options or encoding string
+   * @param {string} [options.encoding='utf8'] - Encoding of string data
+   * @param {Object<string, string>} [options.tags] - Tags of the appended file (see setTags())
+   * @param {Object|null} [options.sse] - Server-side encryption of the file, instead of the instance option
+   * @returns {Promise<void>}
+   */
+  async appendFile(filePath, data, options = {}) {
+    await this.initialize();
+
+    if (typeof options === 'string') {
+      options = { encoding: options };
+    }
+
+    let partKey = null;
+    try {
+      this.pathConverter.validatePath(filePath);
+      const { bucket, key } = this.pathConverter.pathToMinIO(filePath);
+      const chunk = typeof data === 'string' ? Buffer.from(data, options.encoding || 'utf8') : Buffer.from(data);
+      const sse = this._sseConfig(options.sse, filePath, 'open');
+      const tagging = options.tags !== undefined ? this._taggingHeaders(this._validateTags(filePath, options.tags, 'open')) : {};
 
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const existing = await this._statIfExists(bucket, key, sse);
+
+          if (existing && ObjectStorage.linkTarget(existing.metaData) !== null) {
+            const resolved = await this._resolveLinks(filePath, 'open');
+            return await this.appendFile(resolved.path, chunk, options);
+          }
+          if (!existing) {
+            const entry = await this._resolveEntryIfExists(filePath);
+            if (entry) {
+              throw ErrorHandler.createFileSystemError('EISDIR', filePath, 'open');
+            }
+            await this._assertParentDirectory(filePath, 'open');
+            const metaData = { ...this._contentMetaData(filePath, null, options), ...this._sseHeaders(sse), ...tagging, 'if-none-match': '*' };
+            await this.backend.putObject(bucket, key, chunk, chunk.length, metaData);
+          } else if (existing.size < COMPOSE_MIN_SIZE || (sse && sse.type === 'SSE-C')) {
+            const current = await StreamConverter.streamToBuffer(await this.backend.getObject(bucket, key, this._sseReadOptions(sse)));
+            const content = Buffer.concat([current, chunk]);
+            const metaData = { ...this._encryptedMetaData(existing.metaData, sse), ...tagging, 'if-match': existing.etag };
+            delete metaData[META_MTIME];
+            await this.backend.putObject(bucket, key, content, content.length, metaData);
+          } else {
+            // Uploaded once and reused by retries
+            if (!partKey) {
+              partKey = APPEND_PART_PREFIX + crypto.randomUUID();
+              await this.backend.putObject(bucket, partKey, chunk, chunk.length, this._sseHeaders(sse));
+            }
+            const metaData = { ...this._encryptedMetaData(existing.metaData, sse), ...tagging };
+            delete metaData[META_MTIME];
+            await this.backend.composeObject(bucket, key, [{ key, matchETag: existing.etag }, { key: partKey }], metaData);
+          }
+          await this._uncache(bucket, key);
+          return;
+        } catch (error) {
+          if (error.code !== 'PreconditionFailed' || attempt >= APPEND_MAX_ATTEMPTS) {
+            throw error;
+          }
+        }
+      }
     } catch (error) {
       throw ErrorHandler.convertError(error, filePath, 'open');
+    } finally {
+      if (partKey) {
+        const { bucket } = this.pathConverter.pathToMinIO(filePath);
+        await this.backend.removeObject(bucket, partKey).catch(() => {});
+      }
     }
   }
 
@@ -155,46 +460,47 @@ class ObjectStorage {
   /**
    * Get file statistics
    * @param {string} filePath - File path
+   * @param {Object} [options] - Options
+   * @param {string} [options.versionId] - Stat this version of the object (links are not followed)
    * @returns {Promise<Object>} File stats object
    */
-  async stat(filePath) {
+  async stat(filePath, options = {}) {
     await this.initialize();
 
     try {
       this.pathConverter.validatePath(filePath);
-      const { bucket, key } = this.pathConverter.pathToMinIO(filePath);
+      if (options.versionId !== undefined) {
+        return this._createStats(await this._statVersion(filePath, options.versionId));
+      }
+      const { entry } = await this._resolveLinks(filePath, 'stat');
+      if (!entry) {
+        throw ErrorHandler.createFileSystemError('ENOENT', filePath, 'stat');
+      }
+      return this._createStats(entry);
 
-      // Get object stats
-      const objInfo = await this.minioClient.statObject(bucket, key);
+    } catch (error) {
+      throw ErrorHandler.convertError(error, filePath, 'stat');
+    }
+  }
 
-      // Convert to fs.Stats-like object
-      return {
-        isFile: () => true,
-        isDirectory: () => false,
-        isBlockDevice: () => false,
-        isCharacterDevice: () => false,
-        isSymbolicLink: () => false,
-        isFIFO: () => false,
-        isSocket: () => false,
-        size: objInfo.size,
-        mode: 0o644, // Default file permissions
-        uid: 0,
-        gid: 0,
-        atime: objInfo.lastModified,
-        mtime: objInfo.lastModified,
-        ctime: objInfo.lastModified,
-        birthtime: objInfo.lastModified,
-        dev: 0,
-        ino: 0,
-        nlink: 1,
-        rdev: 0,
-        blocks: Math.ceil(objInfo.size / 512),
-        blksize: 4096,
-        etag: objInfo.etag
-      };
+  /**
+   * Get file statistics without following a symbolic link at the path
+   * @param {string} filePath - File path
+   * @returns {Promise<Object>} File stats object
+   */
+  async lstat(filePath) {
+    await this.initialize();
+
+    try {
+      this.pathConverter.validatePath(filePath);
+      const { entry } = await this._resolveLinks(filePath, 'lstat', false);
+      if (!entry) {
+        throw ErrorHandler.createFileSystemError('ENOENT', filePath, 'lstat');
+      }
+      return this._createStats(entry);
 
     } catch (error) {
-      throw ErrorHandler.convertError(error, filePath, 'stat');
+      throw ErrorHandler.convertError(error, filePath, 'lstat');
     }
   }
 
@@ -212,14 +518,15 @@ class ObjectStorage {
 
       // Check if file exists first
       try {
-        await this.minioClient.statObject(bucket, key);
+        await this.backend.statObject(bucket, key, this._sseReadOptions(this.sse));
       } catch (error) {
         // If file doesn't exist, throw ENOENT error
         throw ErrorHandler.convertError(error, filePath, 'unlink');
       }
 
       // Remove object
-      await this.minioClient.removeObject(bucket, key);
+      await this.backend.removeObject(bucket, key);
+      await this._uncache(bucket, key);
 
     } catch (error) {
       if (!ErrorHandler.isNotFoundError(error)) {
@@ -234,6 +541,7 @@ class ObjectStorage {
    * @param {string} dirPath - Directory path
    * @param {Object} [options] - Options
    * @param {boolean} [options.withFileTypes=false] - Return Dirent objects
+   * @param {Object<string, string>} [options.tags] - Only return files that have all of these tags
    * @returns {Promise<string[]|Object[]>} Directory contents
    */
   async readdir(dirPath, options = {}) {
@@ -241,25 +549,21 @@ class ObjectStorage {
 
     try {
       this.pathConverter.validatePath(dirPath);
+      const tagFilter = options.tags !== undefined ? this._validateTags(dirPath, options.tags, 'scandir') : null;
+      if (this.multiBucket && this._isRootPath(dirPath)) {
+        // Buckets are directories, which have no tags
+        return tagFilter ? [] : await this._readBuckets(options);
+      }
       const { bucket, prefix } = this.pathConverter.getListPrefix(dirPath);
 
-      const objects = [];
-      const objectStream = this.minioClient.listObjectsV2(bucket, prefix, false);
+      const objects = await this._listObjects(bucket, prefix, false);
 
-      // Collect all objects
-      await new Promise((resolve, reject) => {
-        objectStream.on('data', (obj) => {
-          objects.push(obj);
-        });
-        objectStream.on('end', resolve);
-        objectStream.on('error', reject);
-      });      // Extract filenames and remove prefix
-      const filenames = objects
+      // Extract entry names and remove prefix
+      let entries = objects
         .map(obj => {
           // Handle both regular objects and prefix objects
           let name = obj.name || obj.prefix;
           if (!name) {
-            console.log('Warning: Object missing name/prefix property:', obj);
             return null;
           }
           if (prefix && name.startsWith(prefix)) {
@@ -269,27 +573,56 @@ class ObjectStorage {
           if (name.endsWith('/')) {
             name = name.slice(0, -1);
           }
-          return name;
+          return { name, isDirectory: !!obj.prefix, size: obj.size };
         })
-        .filter(name => name !== null && name.length > 0) // Remove null and empty names
-        .filter(name => !name.includes('/')) // Only direct children
-        .sort();
+        .filter(entry => entry !== null && entry.name.length > 0) // Remove null and empty names
+        .filter(entry => !entry.name.includes('/')) // Only direct children
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+      // An empty listing is only valid for an existing directory
+      if (entries.length === 0 && !this._isRootPath(dirPath)) {
+        const { path: resolvedPath, entry } = await this._resolveLinks(dirPath, 'scandir');
+        if (!entry) {
+          throw ErrorHandler.createFileSystemError('ENOENT', dirPath, 'scandir');
+        }
+        if (resolvedPath !== PathConverter.normalizePath(dirPath)) {
+          return this.readdir(resolvedPath, options);
+        }
+        if (entry.type !== 'directory') {
+          throw ErrorHandler.createFileSystemError('ENOTDIR', dirPath, 'scandir');
+        }
+      }
+
+      if (tagFilter) {
+        const matches = new Set();
+        await this._mapConcurrent(entries.filter(entry => !entry.isDirectory), TAG_FILTER_CONCURRENCY, async entry => {
+          const tags = await this._tagsIfExists(bucket, prefix + entry.name);
+          if (tags && Object.entries(tagFilter).every(([name, value]) => tags[name] === value)) {
+            matches.add(entry);
+          }
+        });
+        entries = entries.filter(entry => matches.has(entry));
+      }
 
-      // Return Dirent objects if requested
+      // Return Dirent objects if requested. The listing tells files from
+      // directories; only empty files (links) and the markers of directories
+      // are not in it and need a stat
       if (options.withFileTypes) {
-        return filenames.map(name => ({
-          name,
-          isFile: () => true,
-          isDirectory: () => false,
-          isBlockDevice: () => false,
-          isCharacterDevice: () => false,
-          isSymbolicLink: () => false,
-          isFIFO: () => false,
-          isSocket: () => false
-        }));
+        const infos = new Map();
+        const unresolved = entries.filter(entry => entry.isDirectory || entry.size === 0);
+        await this._mapConcurrent(unresolved, DIRENT_STAT_CONCURRENCY, async entry => {
+          infos.set(entry, await this._statIfExists(bucket, prefix + entry.name + (entry.isDirectory ? '/' : '')));
+        });
+        return entries.map(entry => {
+          const info = infos.get(entry);
+          if (entry.isDirectory) {
+            return this._createDirent(entry.name, { type: 'directory', implicit: !info });
+          }
+          return this._createDirent(entry.name, { type: 'file', symlink: info && ObjectStorage.linkTarget(info.metaData) });
+        });
       }
 
-      return filenames;
+      return entries.map(entry => entry.name);
 
     } catch (error) {
       throw ErrorHandler.convertError(error, dirPath, 'scandir');
@@ -297,47 +630,53 @@ class ObjectStorage {
   }
 
   /**
-   * Create directory (creates directory marker object)
+   * Create directory
+   *
+   * In 'marker' directory mode an empty marker object is stored for the
+   * directory; in 'implicit' mode directories only exist through the objects
+   * below them, so nothing is written.
+   *
    * @param {string} dirPath - Directory path
    * @param {Object} [options] - Options
    * @param {boolean} [options.recursive=false] - Create parent directories
-   * @returns {Promise<void>}
+   * @returns {Promise<string|undefined>} First directory created when recursive, like fs
    */
   async mkdir(dirPath, options = {}) {
     await this.initialize();
 
     try {
       this.pathConverter.validatePath(dirPath);
-        // Create parent directories if recursive option is enabled
+      // Create parent directories if recursive option is enabled
+      let firstCreated;
       if (options.recursive) {
         const parent = this.pathConverter.getParentPath(dirPath);
         if (parent !== '/' && parent !== dirPath) {
           // Recursively create parent directory without checking if it exists first
-          await this.mkdir(parent, { recursive: true });
+          firstCreated = await this.mkdir(parent, { recursive: true });
         }
       }
 
-      const { bucket, key } = this.pathConverter.createDirectoryMarker(dirPath);      // Check if directory already exists
-      try {
-        await this.minioClient.statObject(bucket, key);
-        // Directory already exists
-        if (!options.recursive) {
-          throw ErrorHandler.createError('EEXIST', dirPath, 'mkdir');
+      // Check if directory (or a file with the same name) already exists
+      const existing = await this._resolveEntryIfExists(dirPath);
+      if (existing) {
+        if (!options.recursive || existing.type !== 'directory') {
+          throw ErrorHandler.createFileSystemError('EEXIST', dirPath, 'mkdir');
         }
         return;
-      } catch (error) {
-        // If error is not "Not Found", re-throw it
-        if (error.code !== 'NotFound' && 
-            !error.message.includes('Not Found') && 
-            !ErrorHandler.isNotFoundError(error)) {
-          throw ErrorHandler.convertError(error, dirPath, 'mkdir');
-        }
-        // Otherwise, directory doesn't exist, continue to create it
       }
 
-      // Create empty directory marker object
-      const emptyStream = StreamConverter.toReadableStream('');
-      await this.minioClient.putObject(bucket, key, emptyStream, 0);
+      if (this.multiBucket && this._isBucketRoot(dirPath)) {
+        const { bucket } = this.pathConverter.pathToMinIO(dirPath);
+        await this.backend.makeBucket(bucket);
+        await this._applyVersioning(bucket);
+      } else if (this.directoryMode !== 'implicit') {
+        // Create empty directory marker object
+        const { bucket, key } = this.pathConverter.createDirectoryMarker(dirPath);
+        const emptyStream = StreamConverter.toReadableStream('');
+        await this.backend.putObject(bucket, key, emptyStream, 0, this._sseHeaders(this.sse));
+      }
+
+      return options.recursive ? (firstCreated || dirPath) : undefined;
 
     } catch (error) {
       if (!ErrorHandler.isExistsError(error)) {
@@ -358,15 +697,25 @@ class ObjectStorage {
     try {
       this.pathConverter.validatePath(dirPath);
 
+      if (this._isRootPath(dirPath)) {
+        throw ErrorHandler.createFileSystemError('EBUSY', dirPath, 'rmdir');
+      }
+
       // Check if directory is empty
       const contents = await this.readdir(dirPath);
       if (contents.length > 0) {
-        throw ErrorHandler.createError('ENOTEMPTY', dirPath, 'rmdir');
+        throw ErrorHandler.createFileSystemError('ENOTEMPTY', dirPath, 'rmdir');
+      }
+
+      if (this.multiBucket && this._isBucketRoot(dirPath)) {
+        const { bucket } = this.pathConverter.pathToMinIO(dirPath);
+        await this.backend.removeBucket(bucket);
+        return;
       }
 
       // Remove directory marker
       const { bucket, key } = this.pathConverter.createDirectoryMarker(dirPath);
-      await this.minioClient.removeObject(bucket, key);
+      await this.backend.removeObject(bucket, key);
 
     } catch (error) {
       if (!ErrorHandler.isNotFoundError(error) && error.code !== 'ENOTEMPTY') {
@@ -377,21 +726,105 @@ class ObjectStorage {
   }
 
   /**
-   * Create read stream
+   * Remove file or directory
+   *
+   * Directory trees are listed and deleted with multi-object delete requests of
+   * up to 1000 keys. Keys that fail to delete are reported together in one
+   * aggregated error whose `errors` holds an fs-style error per path.
+   *
+   * @param {string} targetPath - File or directory path
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.recursive=false] - Remove directories and their contents
+   * @param {boolean} [options.force=false] - Ignore nonexistent paths
+   * @returns {Promise<void>}
+   */
+  async rm(targetPath, options = {}) {
+    await this.initialize();
+
+    try {
+      this.pathConverter.validatePath(targetPath);
+
+      const entry = await this._resolveEntryIfExists(targetPath);
+      if (!entry) {
+        if (options.force) return;
+        throw ErrorHandler.createFileSystemError('ENOENT', targetPath, 'rm');
+      }
+
+      if (entry.type === 'file') {
+        const { bucket, key } = this.pathConverter.pathToMinIO(targetPath);
+        await this.backend.removeObject(bucket, key);
+        await this._uncache(bucket, key);
+        return;
+      }
+
+      if (!options.recursive) {
+        throw ErrorHandler.createFileSystemError('EISDIR', targetPath, 'rm');
+      }
+      if (this.multiBucket && this._isRootPath(targetPath)) {
+        throw ErrorHandler.createFileSystemError('EPERM', targetPath, 'rm');
+      }
+
+      const { bucket, prefix } = this.pathConverter.getListPrefix(targetPath);
+      const keys = (await this._listObjects(bucket, prefix, true))
+        .filter(obj => obj.name)
+        .map(obj => obj.name);
+
+      // The marker of the directory itself goes too, whether or not the listing returned it
+      if (!entry.implicit && !this._isBucketRoot(targetPath)) {
+        const marker = this.pathConverter.createDirectoryMarker(targetPath).key;
+        if (!keys.includes(marker)) keys.push(marker);
+      }
+
+      const failures = await this._removeKeys(bucket, keys);
+      if (failures.length > 0) {
+        const errors = failures.map(failure =>
+          ErrorHandler.convertError(failure.error, this._keyToPath(targetPath, prefix, failure.key), 'rm'));
+        throw ErrorHandler.createAggregateError(errors, targetPath, 'rm');
+      }
+
+      if (this.multiBucket && this._isBucketRoot(targetPath)) {
+        await this.backend.removeBucket(bucket);
+      }
+
+    } catch (error) {
+      throw ErrorHandler.convertError(error, targetPath, 'rm');
+    }
+  }
+
+  /**
+   * Open file and return a FileHandle (fs.promises.open compatible)
    * @param {string} filePath - File path
-   * @param {Object} [options] - Stream options
-   * @returns {Promise<Readable>} Read stream
+   * @param {string} [flags='r'] - Open flags ('r', 'r+', 'w', 'wx', 'w+', 'a', 'a+', ...)
+   * @param {number} [mode] - Mode of a newly created file
+   * @returns {Promise<FileHandle>} File handle
    */
-  async createReadStream(filePath, options = {}) {
+  async open(filePath, flags = 'r', mode) {
     await this.initialize();
 
     try {
       this.pathConverter.validatePath(filePath);
-      const { bucket, key } = this.pathConverter.pathToMinIO(filePath);
+      const parsed = FileHandle.parseFlags(flags);
+
+      const entry = await this._resolveEntryIfExists(filePath);
+      if (entry && entry.type === 'directory') {
+        throw ErrorHandler.createFileSystemError('EISDIR', filePath, 'open');
+      }
+      if (entry && parsed.exclusive) {
+        throw ErrorHandler.createFileSystemError('EEXIST', filePath, 'open');
+      }
+      if (!entry && !parsed.create) {
+        throw ErrorHandler.createFileSystemError('ENOENT', filePath, 'open');
+      }
+      if (!entry) {
+        await this._assertParentDirectory(filePath, 'open');
+      }
 
-      // Get object stream
-      const stream = await this.minioClient.getObject(bucket, key);
-      return stream;
+      const handle = new FileHandle(this, filePath, parsed, entry, mode);
+      if (entry && entry.sizeUnknown) {
+        // Reads need the end of the content, which the stored size does not tell
+        await handle._loadBuffer();
+      }
+      return handle;
 
     } catch (error) {
       throw ErrorHandler.convertError(error, filePath, 'open');
@@ -399,38 +832,60 @@ class ObjectStorage {
   }
 
   /**
-   * Create write stream
+   * Create read stream (returns immediately, errors are emitted on the stream)
    * @param {string} filePath - File path
-   * @param {Object} [options] - Stream options
-   * @returns {Writable} Write stream
+   * @param {Object|string} [options] - Stream options or encoding string
+   * @param {number} [options.start=0] - First byte to read
+   * @param {number} [options.end] - Last byte to read (inclusive)
+   * @param {number} [options.highWaterMark=65536] - Buffer size in bytes
+   * @param {string} [options.encoding] - Emit strings in this encoding
+   * @returns {ObjectReadStream} Read stream
    */
-  createWriteStream(filePath, options = {}) {
-    const passThrough = StreamConverter.createPassThrough();
-    
-    // Handle the upload asynchronously
-    this.initialize()
-      .then(() => {
-        this.pathConverter.validatePath(filePath);
-        const { bucket, key } = this.pathConverter.pathToMinIO(filePath);
-        
-        return this.minioClient.putObject(bucket, key, passThrough);
-      })
-      .catch(error => {
-        passThrough.destroy(ErrorHandler.convertError(error, filePath, 'open'));
-      });
+  createReadStream(filePath, options = {}) {
+    if (typeof options === 'string') {
+      options = { encoding: options };
+    }
+    return new ObjectReadStream(this, filePath, options);
+  }
 
-    return passThrough;
+  /**
+   * Create write stream ('finish' is emitted once the object is stored)
+   * @param {string} filePath - File path
+   * @param {Object|string} [options] - Stream options or encoding string
+   * @param {string} [options.flags='w'] - 'w', 'wx' (fail if exists), 'a' or 'ax' (append)
+   * @param {string} [options.encoding='utf8'] - Encoding for string chunks
+   * @param {number} [options.highWaterMark] - Buffer size in bytes
+   * @param {number} [options.mode] - Mode of a newly created file
+   * @param {string} [options.contentType] - Content-Type (detected from the extension by default)
+   * @param {string} [options.cacheControl] - Cache-Control header
+   * @param {string} [options.contentEncoding] - Content-Encoding header
+   * @param {string} [options.contentDisposition] - Content-Disposition header
+   * @param {Object<string, string>} [options.metadata] - User metadata (replaces the existing one)
+   * @param {Object<string, string>} [options.tags] - Tags of the new content (see setTags())
+   * @returns {ObjectWriteStream} Write stream
+   */
+  createWriteStream(filePath, options = {}) {
+    if (typeof options === 'string') {
+      options = { encoding: options };
+    }
+    return new ObjectWriteStream(this, filePath, options);
   }
 
   /**
    * Copy file
+   *
+   * With COPYFILE_EXCL the copy is conditional on the destination not
+   * existing (If-None-Match), so it cannot replace a file created meanwhile.
+   *
    * @param {string} srcPath - Source file path
    * @param {string} destPath - Destination file path
+   * @param {number} [mode=0] - fs.constants.COPYFILE_EXCL to fail with EEXIST if destPath exists
    * @returns {Promise<void>}
    */
-  async copyFile(srcPath, destPath) {
+  async copyFile(srcPath, destPath, mode = 0) {
     await this.initialize();
 
+    const exclusive = (mode & constants.COPYFILE_EXCL) !== 0;
     try {
       this.pathConverter.validatePath(srcPath);
       this.pathConverter.validatePath(destPath);
@@ -438,31 +893,1893 @@ class ObjectStorage {
       const srcMinIO = this.pathConverter.pathToMinIO(srcPath);
       const destMinIO = this.pathConverter.pathToMinIO(destPath);
 
-      // Copy object within MinIO
-      const copyConditions = new this.minioClient.CopyConditions();
-      await this.minioClient.copyObject(
+      // Copy object within the backend
+      await this.backend.copyObject(
         destMinIO.bucket, 
         destMinIO.key, 
-        `/${srcMinIO.bucket}/${srcMinIO.key}`, 
-        copyConditions
+        `/${srcMinIO.bucket}/${srcMinIO.key}`,
+        undefined,
+        { ...this._sseCopyHeaders(this.sse), ...(exclusive && { 'if-none-match': '*' }) }
       );
+      await this._uncache(destMinIO.bucket, destMinIO.key);
 
     } catch (error) {
-      throw ErrorHandler.convertError(error, srcPath, 'open');
+      const converted = ErrorHandler.convertError(error, srcPath, 'copyfile');
+      if (exclusive && ErrorHandler.isPreconditionError(converted)) {
+        throw ErrorHandler.setDestination(ErrorHandler.createFileSystemError('EEXIST', srcPath, 'copyfile'), destPath);
+      }
+      throw ErrorHandler.setDestination(converted, destPath);
     }
   }
 
   /**
-   * Get MinIO client instance for advanced operations
-   * @returns {MinioClient} MinIO client
+   * Copy file or directory tree (mirrors fs.promises.cp)
+   *
+   * Objects are copied server-side with up to `concurrency` copies in flight.
+   * Failed copies are reported together in one aggregated error.
+   *
+   * @param {string} srcPath - Source path
+   * @param {string} destPath - Destination path
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.recursive=false] - Copy directories
+   * @param {boolean} [options.force=true] - Overwrite existing files
+   * @param {boolean} [options.errorOnExist=false] - Throw EEXIST for existing files when force is false
+   * @param {Function} [options.filter] - (src, dest) => boolean|Promise<boolean>, false skips the entry
+   * @param {number} [options.concurrency=10] - Maximum number of parallel copies
+   * @returns {Promise<void>}
    */
-  getMinioClient() {
-    return this.minioClient;
+  async cp(srcPath, destPath, options = {}) {
+    await this.initialize();
+
+    const force = options.force !== false;
+    const filter = options.filter || (() => true);
+
+    try {
+      this.pathConverter.validatePath(srcPath);
+      this.pathConverter.validatePath(destPath);
+
+      const srcEntry = await this._resolveEntry(srcPath, 'cp');
+      const src = this.pathConverter.getListPrefix(srcPath);
+      const dest = this.pathConverter.getListPrefix(destPath);
+      if (src.bucket === dest.bucket && dest.prefix.startsWith(src.prefix)) {
+        throw ErrorHandler.createFileSystemError('EINVAL', srcPath, 'cp');
+      }
+      if (srcEntry.type === 'directory' && !options.recursive) {
+        throw ErrorHandler.createFileSystemError('EISDIR', srcPath, 'cp');
+      }
+
+      const destEntry = await this._resolveEntryIfExists(destPath);
+      if (destEntry && destEntry.type !== srcEntry.type) {
+        throw ErrorHandler.createFileSystemError(srcEntry.type === 'file' ? 'EISDIR' : 'ENOTDIR', srcPath, 'cp');
+      }
+      await this._assertParentDirectory(destPath, 'cp');
+
+      if (!(await filter(srcPath, destPath))) return;
+
+      // Collect [srcKey, destKey, srcPath, destPath] for every object to copy
+      const tasks = [];
+      if (srcEntry.type === 'file') {
+        const srcMinIO = this.pathConverter.pathToMinIO(srcPath);
+        const destMinIO = this.pathConverter.pathToMinIO(destPath);
+        tasks.push({ srcKey: srcMinIO.key, destKey: destMinIO.key, srcPath, destPath });
+      } else {
+        const skipped = new Map();
+        const isSkipped = async (relative) => {
+          if (!skipped.has(relative)) {
+            skipped.set(relative, !(await filter(
+              this._keyToPath(srcPath, '', relative), this._keyToPath(destPath, '', relative))));
+          }
+          return skipped.get(relative);
+        };
+
+        const objects = await this._listObjects(src.bucket, src.prefix, true);
+        await this._addRootMarker(srcPath, src, objects);
+        for (const obj of objects) {
+          if (!obj.name) continue;
+          const relative = obj.name.substring(src.prefix.length);
+
+          // Entries below a filtered-out directory are skipped with it
+          const segments = relative.split('/');
+          let excluded = false;
+          for (let i = 1; i < segments.length && !excluded; i++) {
+            excluded = await isSkipped(segments.slice(0, i).join('/'));
+          }
+          if (excluded || (relative && !relative.endsWith('/') && await isSkipped(relative))) continue;
+
+          tasks.push({
+            srcKey: obj.name,
+            destKey: dest.prefix + relative,
+            srcPath: this._keyToPath(srcPath, src.prefix, obj.name),
+            destPath: this._keyToPath(destPath, src.prefix, obj.name)
+          });
+        }
+      }
+
+      const errors = [];
+      await this._mapConcurrent(tasks, options.concurrency || 10, async (task) => {
+        // Without force, files are only copied where nothing exists (If-None-Match)
+        const exclusive = !force && !task.destKey.endsWith('/');
+        try {
+          await this.backend.copyObject(dest.bucket, task.destKey, `/${src.bucket}/${task.srcKey}`, undefined,
+            { ...this._sseCopyHeaders(this.sse), ...(exclusive && { 'if-none-match': '*' }) });
+        } catch (error) {
+          const converted = ErrorHandler.convertError(error, task.srcPath, 'cp');
+          if (exclusive && ErrorHandler.isPreconditionError(converted)) {
+            if (!options.errorOnExist) return;
+            errors.push(ErrorHandler.setDestination(ErrorHandler.createFileSystemError('EEXIST', task.srcPath, 'cp'), task.destPath));
+            return;
+          }
+          errors.push(ErrorHandler.setDestination(converted, task.destPath));
+        }
+      });
+
+      if (errors.length === 1 && srcEntry.type === 'file') {
+        throw errors[0];
+      }
+      if (errors.length > 0) {
+        throw ErrorHandler.createAggregateError(errors, srcPath, 'cp');
+      }
+
+    } catch (error) {
+      throw ErrorHandler.setDestination(ErrorHandler.convertError(error, srcPath, 'cp'), destPath);
+    }
+  }
+
+  /**
+   * Rename file or directory
+   *
+   * Directories are renamed by copying every object below them (including the
+   * directory marker) and deleting the sources afterwards. If a copy fails, the
+   * objects already copied are removed again and the source tree is left as it
+   * was. If deleting a source fails, the destination is complete; the aggregated
+   * error lists the source paths that still exist in `remainingPaths`.
+   *
+   * @param {string} srcPath - Source path
+   * @param {string} destPath - Destination path
+   * @returns {Promise<void>}
+   */
+  async rename(srcPath, destPath) {
+    await this.initialize();
+
+    try {
+      this.pathConverter.validatePath(srcPath);
+      this.pathConverter.validatePath(destPath);
+
+      if (this._isBucketRoot(srcPath)) {
+        throw ErrorHandler.createFileSystemError('EBUSY', srcPath, 'rename');
+      }
+
+      const srcEntry = await this._resolveEntry(srcPath, 'rename');
+      if (PathConverter.normalizePath(srcPath) === PathConverter.normalizePath(destPath)) {
+        return;
+      }
+
+      const destEntry = await this._resolveEntryIfExists(destPath);
+      await this._assertParentDirectory(destPath, 'rename');
+
+      if (srcEntry.type === 'file') {
+        if (destEntry && destEntry.type === 'directory') {
+          throw ErrorHandler.createFileSystemError('EISDIR', destPath, 'rename');
+        }
+
+        const srcMinIO = this.pathConverter.pathToMinIO(srcPath);
+        const destMinIO = this.pathConverter.pathToMinIO(destPath);
+        await this.backend.copyObject(destMinIO.bucket, destMinIO.key, `/${srcMinIO.bucket}/${srcMinIO.key}`,
+          undefined, this._sseCopyHeaders(this.sse));
+        await this.backend.removeObject(srcMinIO.bucket, srcMinIO.key);
+        await this._uncache(destMinIO.bucket, destMinIO.key);
+        await this._uncache(srcMinIO.bucket, srcMinIO.key);
+        return;
+      }
+
+      await this._renameDirectory(srcPath, destPath, destEntry);
+
+    } catch (error) {
+      throw ErrorHandler.convertError(error, srcPath, 'rename');
+    }
+  }
+
+  /**
+   * Rename every object below a directory prefix
+   * @param {string} srcPath - Source directory path
+   * @param {string} destPath - Destination directory path
+   * @param {Object|null} destEntry - Resolved destination entry
+   * @returns {Promise<void>}
+   */
+  async _renameDirectory(srcPath, destPath, destEntry) {
+    const src = this.pathConverter.getListPrefix(srcPath);
+    const dest = this.pathConverter.getListPrefix(destPath);
+
+    if (dest.bucket === src.bucket && dest.prefix.startsWith(src.prefix)) {
+      throw ErrorHandler.createFileSystemError('EINVAL', destPath, 'rename');
+    }
+    if (destEntry) {
+      if (destEntry.type !== 'directory') {
+        throw ErrorHandler.createFileSystemError('ENOTDIR', destPath, 'rename');
+      }
+      if (await this._hasChildren(dest.bucket, dest.prefix)) {
+        throw ErrorHandler.createFileSystemError('EEXIST', destPath, 'rename');
+      }
+    }
+
+    const objects = (await this._listObjects(src.bucket, src.prefix, true)).filter(obj => obj.name);
+    await this._addRootMarker(srcPath, src, objects);
+
+    // Copy everything first so the source stays intact until the destination is complete
+    const copied = [];
+    try {
+      for (const obj of objects) {
+        const destKey = dest.prefix + obj.name.substring(src.prefix.length);
+        await this.backend.copyObject(dest.bucket, destKey, `/${src.bucket}/${obj.name}`, undefined, this._sseCopyHeaders(this.sse));
+        copied.push(destKey);
+      }
+    } catch (error) {
+      await Promise.all(copied.map(key => this.backend.removeObject(dest.bucket, key).catch(() => {})));
+      throw error;
+    }
+
+    const failures = await this._removeKeys(src.bucket, objects.map(obj => obj.name));
+    if (failures.length > 0) {
+      const errors = failures.map(failure =>
+        ErrorHandler.convertError(failure.error, this._keyToPath(srcPath, src.prefix, failure.key), 'rename'));
+      const error = ErrorHandler.createAggregateError(errors, srcPath, 'rename');
+      error.remainingPaths = errors.map(failure => failure.path);
+      throw error;
+    }
+  }
+
+  /**
+   * Change file mode, stored as object metadata
+   * @param {string} filePath - File or directory path
+   * @param {number|string} mode - Mode as number or octal string
+   * @returns {Promise<void>}
+   */
+  async chmod(filePath, mode) {
+    const permissions = typeof mode === 'string' ? parseInt(mode, 8) : mode;
+    if (!Number.isInteger(permissions) || permissions < 0) {
+      throw ErrorHandler.createFileSystemError('EINVAL', filePath, 'chmod');
+    }
+
+    await this._setAttributes(filePath, 'chmod', () => ({ [META_MODE]: (permissions & 0o7777).toString(8) }));
+  }
+
+  /**
+   * Change file owner, stored as object metadata
+   * @param {string} filePath - File or directory path
+   * @param {number} uid - User id (-1 keeps the current one)
+   * @param {number} gid - Group id (-1 keeps the current one)
+   * @returns {Promise<void>}
+   */
+  async chown(filePath, uid, gid) {
+    if (!Number.isInteger(uid) || !Number.isInteger(gid) || uid < -1 || gid < -1) {
+      throw ErrorHandler.createFileSystemError('EINVAL', filePath, 'chown');
+    }
+
+    await this._setAttributes(filePath, 'chown', () => ({
+      ...(uid !== -1 && { [META_UID]: String(uid) }),
+      ...(gid !== -1 && { [META_GID]: String(gid) })
+    }));
+  }
+
+  /**
+   * Change access and modification times, stored as object metadata
+   * @param {string} filePath - File or directory path
+   * @param {number|string|Date} atime - Access time (seconds since epoch or Date)
+   * @param {number|string|Date} mtime - Modification time (seconds since epoch or Date)
+   * @returns {Promise<void>}
+   */
+  async utimes(filePath, atime, mtime) {
+    await this._setAttributes(filePath, 'utime', () => ({
+      [META_ATIME]: String(ObjectStorage.toTimeMs(atime)),
+      [META_MTIME]: String(ObjectStorage.toTimeMs(mtime))
+    }));
+  }
+
+  /**
+   * Create a symbolic link
+   *
+   * The link is an empty object with the target in its metadata. Reads
+   * (readFile, stat, createReadStream, readdir) follow links, also when they
+   * are parent components of a path; writeFile and appendFile follow a link
+   * at the path itself.
+   *
+   * @param {string} target - Link target (relative to the link's directory or absolute)
+   * @param {string} linkPath - Path of the link
+   * @param {string} [type] - Accepted for compatibility, ignored
+   * @returns {Promise<void>}
+   */
+  async symlink(target, linkPath, type) {
+    await this.initialize();
+
+    try {
+      this.pathConverter.validatePath(linkPath);
+      if (typeof target !== 'string' || target.length === 0) {
+        throw ErrorHandler.createFileSystemError('ENOENT', target, 'symlink');
+      }
+      if (await this._resolveEntryIfExists(linkPath)) {
+        throw ErrorHandler.createFileSystemError('EEXIST', target, 'symlink');
+      }
+      await this._assertParentDirectory(linkPath, 'symlink');
+
+      const { bucket, key } = this.pathConverter.pathToMinIO(linkPath);
+      await this.backend.putObject(bucket, key, Buffer.alloc(0), 0, { [META_LINK]: encodeURI(target), ...this._sseHeaders(this.sse) });
+
+    } catch (error) {
+      throw ErrorHandler.setDestination(ErrorHandler.convertError(error, target, 'symlink'), linkPath);
+    }
+  }
+
+  /**
+   * Read the target of a symbolic link
+   * @param {string} linkPath - Path of the link
+   * @param {Object|string} [options] - Options or encoding string
+   * @param {string} [options.encoding='utf8'] - 'buffer' returns a Buffer
+   * @returns {Promise<string|Buffer>} Link target
+   */
+  async readlink(linkPath, options = {}) {
+    await this.initialize();
+
+    if (typeof options === 'string') {
+      options = { encoding: options };
+    }
+
+    try {
+      this.pathConverter.validatePath(linkPath);
+      const { entry } = await this._resolveLinks(linkPath, 'readlink', false);
+      if (!entry) {
+        throw ErrorHandler.createFileSystemError('ENOENT', linkPath, 'readlink');
+      }
+      if (!entry.symlink) {
+        throw ErrorHandler.createFileSystemError('EINVAL', linkPath, 'readlink');
+      }
+      return options.encoding === 'buffer' ? Buffer.from(entry.symlink) : entry.symlink;
+
+    } catch (error) {
+      throw ErrorHandler.convertError(error, linkPath, 'readlink');
+    }
+  }
+
+  /**
+   * Resolve a path with all symbolic links replaced by their targets
+   * @param {string} filePath - File path
+   * @param {Object|string} [options] - Options or encoding string
+   * @param {string} [options.encoding='utf8'] - 'buffer' returns a Buffer
+   * @returns {Promise<string|Buffer>} Normalized path without links
+   */
+  async realpath(filePath, options = {}) {
+    await this.initialize();
+
+    if (typeof options === 'string') {
+      options = { encoding: options };
+    }
+
+    try {
+      this.pathConverter.validatePath(filePath);
+      const resolved = await this._resolveLinks(filePath, 'realpath');
+      if (!resolved.entry) {
+        throw ErrorHandler.createFileSystemError('ENOENT', filePath, 'realpath');
+      }
+      return options.encoding === 'buffer' ? Buffer.from(resolved.path) : resolved.path;
+
+    } catch (error) {
+      throw ErrorHandler.convertError(error, filePath, 'realpath');
+    }
+  }
+
+  /**
+   * List the versions of a file, newest first
+   *
+   * Buckets without versioning have a single version with the id 'null'.
+   * Delete markers are listed with `isDeleteMarker` set; the file does not
+   * exist while a delete marker is the latest version.
+   *
+   * @param {string} filePath - File path
+   * @returns {Promise<Object[]>} Versions {versionId, isLatest, isDeleteMarker, size, etag, lastModified}
+   */
+  async listVersions(filePath) {
+    await this.initialize();
+
+    try {
+      this.pathConverter.validatePath(filePath);
+      if (this._isBucketRoot(filePath)) {
+        throw ErrorHandler.createFileSystemError('EISDIR', filePath, 'listversions');
+      }
+
+      const { bucket, key } = this.pathConverter.pathToMinIO(filePath);
+      const versions = [];
+      for await (const version of this.backend.listObjectVersions(bucket, key)) {
+        // The listing is by prefix, longer keys are other files
+        if (version.name !== key) continue;
+        versions.push({
+          versionId: version.versionId,
+          isLatest: version.isLatest,
+          isDeleteMarker: version.isDeleteMarker,
+          size: version.size,
+          etag: version.etag,
+          lastModified: version.lastModified
+        });
+      }
+      if (versions.length === 0) {
+        throw ErrorHandler.createFileSystemError('ENOENT', filePath, 'listversions');
+      }
+      return versions.sort((a, b) => (b.isLatest - a.isLatest) || (b.lastModified - a.lastModified));
+
+    } catch (error) {
+      throw ErrorHandler.convertError(error, filePath, 'listversions');
+    }
+  }
+
+  /**
+   * Make a previous version the current content of a file
+   *
+   * The version is copied server-side into a new latest version, so the
+   * history is kept. Content headers, metadata and attributes are those of
+   * the restored version.
+   *
+   * @param {string} filePath - File path
+   * @param {string} versionId - Version to restore
+   * @returns {Promise<void>}
+   */
+  async restoreVersion(filePath, versionId) {
+    await this.initialize();
+
+    try {
+      this.pathConverter.validatePath(filePath);
+      // Fails for missing versions and delete markers
+      await this._statVersion(filePath, versionId, 'restoreversion');
+
+      const { bucket, key } = this.pathConverter.pathToMinIO(filePath);
+      await this.backend.copyObject(bucket, key, `/${bucket}/${key}?versionId=${encodeURIComponent(versionId)}`,
+        undefined, this._sseCopyHeaders(this.sse));
+
+    } catch (error) {
+      throw ErrorHandler.convertError(error, filePath, 'restoreversion');
+    }
+  }
+
+  /**
+   * Get the tags of a file
+   * @param {string} filePath - File path
+   * @returns {Promise<Object<string, string>>} Tags (empty if the file has none)
+   */
+  async getTags(filePath) {
+    await this.initialize();
+
+    try {
+      this.pathConverter.validatePath(filePath);
+      const { bucket, key } = await this._taggedObject(filePath, 'gettags');
+      return ObjectStorage.toTags(await this.backend.getObjectTagging(bucket, key));
+
+    } catch (error) {
+      throw ErrorHandler.convertError(error, filePath, 'gettags');
+    }
+  }
+
+  /**
+   * Replace the tags of a file, keeping its content and metadata
+   *
+   * Tags are stored with the object, where bucket lifecycle rules and cost
+   * allocation reports can select by them. An object has at most 10 tags,
+   * keys of up to 128 and values of up to 256 characters. Writing new
+   * content (writeFile, appendFile, streams and file handles) drops the tags
+   * unless the write sets them through its `tags` option; chmod, chown,
+   * utimes, copyFile, cp and rename keep them.
+   *
+   * @param {string} filePath - File path
+   * @param {Object<string, string>} tags - Complete new tag set
+   * @returns {Promise<void>}
+   */
+  async setTags(filePath, tags) {
+    await this.initialize();
+
+    try {
+      this.pathConverter.validatePath(filePath);
+      const tagSet = this._validateTags(filePath, tags, 'settags');
+      const { bucket, key } = await this._taggedObject(filePath, 'settags');
+      if (Object.keys(tagSet).length === 0) {
+        await this.backend.removeObjectTagging(bucket, key);
+      } else {
+        await this.backend.setObjectTagging(bucket, key, tagSet);
+      }
+
+    } catch (error) {
+      throw ErrorHandler.convertError(error, filePath, 'settags');
+    }
+  }
+
+  /**
+   * Remove all tags of a file
+   * @param {string} filePath - File path
+   * @returns {Promise<void>}
+   */
+  async removeTags(filePath) {
+    await this.initialize();
+
+    try {
+      this.pathConverter.validatePath(filePath);
+      const { bucket, key } = await this._taggedObject(filePath, 'removetags');
+      await this.backend.removeObjectTagging(bucket, key);
+
+    } catch (error) {
+      throw ErrorHandler.convertError(error, filePath, 'removetags');
+    }
+  }
+
+  /**
+   * Watch a file or directory for changes, like fs.watch()
+   * @param {string} filePath - File or directory path
+   * @param {Object|string} [options] - Options or encoding string (see ObjectWatcher)
+   * @param {Function} [listener] - 'change' listener (eventType, filename)
+   * @returns {ObjectWatcher} Watcher
+   */
+  watch(filePath, options = {}, listener) {
+    if (typeof options === 'function') {
+      listener = options;
+      options = {};
+    }
+    if (typeof options === 'string') {
+      options = { encoding: options };
+    }
+
+    const watcher = new ObjectWatcher(this, filePath, options);
+    if (listener) {
+      watcher.on('change', listener);
+    }
+    return watcher;
+  }
+
+  /**
+   * Poll a file's stats, like fs.watchFile()
+   * @param {string} filePath - File path
+   * @param {Object} [options] - Options (see StatWatcher)
+   * @param {Function} listener - Called with (current, previous) stats on change
+   * @returns {StatWatcher} Watcher shared by all listeners of filePath
+   */
+  watchFile(filePath, options, listener) {
+    if (typeof options === 'function') {
+      listener = options;
+      options = {};
+    }
+    if (typeof listener !== 'function') {
+      throw ErrorHandler.createFileSystemError('EINVAL', filePath, 'watch');
+    }
+
+    let watcher = this._statWatchers.get(filePath);
+    if (!watcher) {
+      watcher = new StatWatcher(this, filePath, options);
+      this._statWatchers.set(filePath, watcher);
+    }
+    watcher.on('change', listener);
+    return watcher;
+  }
+
+  /**
+   * Stop polling started by watchFile()
+   * @param {string} filePath - File path
+   * @param {Function} [listener] - Listener to remove (all listeners if omitted)
+   * @returns {void}
+   */
+  unwatchFile(filePath, listener) {
+    const watcher = this._statWatchers.get(filePath);
+    if (!watcher) return;
+
+    if (listener) {
+      watcher.removeListener('change', listener);
+    } else {
+      watcher.removeAllListeners('change');
+    }
+    if (watcher.listenerCount('change') === 0) {
+      watcher.stop();
+      this._statWatchers.delete(filePath);
+    }
+  }
+
+  /**
+   * Create a presigned URL for a file
+   *
+   * The URL gives access to the object without credentials until it expires.
+   * `responseHeaders` override headers of GET responses, e.g.
+   * `{ contentDisposition: 'attachment' }` (S3 `response-*` parameters).
+   * Only the host header is signed, so a PUT URL cannot request server-side
+   * encryption and SSE-C keys cannot go along with any request: these fail
+   * with ENOSYS unless `sse: null` accepts an upload without encryption.
+   *
+   * @param {string} filePath - File path
+   * @param {Object} [options] - Options
+   * @param {string} [options.method='GET'] - 'GET' to download or 'PUT' to upload
+   * @param {number} [options.expires=3600] - Lifetime in seconds (at most 7 days)
+   * @param {Object<string, string>} [options.responseHeaders] - Response headers of GET requests
+   * @param {Object|null} [options.sse] - Server-side encryption of the file, instead of the instance option
+   * @returns {Promise<string>} Presigned URL
+   */
+  async getSignedUrl(filePath, options = {}) {
+    await this.initialize();
+
+    try {
+      this.pathConverter.validatePath(filePath);
+      const method = (options.method || 'GET').toUpperCase();
+      const expires = ObjectStorage._signedExpires(filePath, options.expires);
+      if (!SIGNED_METHODS.includes(method) || (options.responseHeaders && method !== 'GET')) {
+        throw ErrorHandler.createFileSystemError('EINVAL', filePath, 'presign');
+      }
+      const sse = this._sseConfig(options.sse, filePath, 'presign');
+      if (sse && (method === 'PUT' || sse.type === 'SSE-C')) {
+        throw ErrorHandler.createFileSystemError('ENOSYS', filePath, 'presign');
+      }
+
+      if (this._isBucketRoot(filePath) || this.pathConverter.isDirectoryPath(filePath)) {
+        throw ErrorHandler.createFileSystemError('EISDIR', filePath, 'presign');
+      }
+      const { bucket, key } = this.pathConverter.pathToMinIO(filePath);
+      const reqParams = ObjectStorage._responseParams(options.responseHeaders);
+      return await this.backend.presignedUrl(method, bucket, key, expires, reqParams);
+
+    } catch (error) {
+      throw ErrorHandler.convertError(error, filePath, 'presign');
+    }
+  }
+
+  /**
+   * Create a presigned POST policy for browser uploads (HTML form or FormData)
+   *
+   * The form posts `fields` followed by a `file` field to `url`. A path
+   * ending with '/' allows uploads of any name below that directory: the
+   * `key` field then ends with `${filename}`, which the server replaces with
+   * the name of the uploaded file. Content headers, metadata and SSE-S3 or
+   * SSE-KMS encryption become conditions of the policy (see writeFile());
+   * SSE-C fails with ENOSYS, the form would hand out the key.
+   *
+   * @param {string} filePath - File path, or directory path ending with '/'
+   * @param {Object} [options] - Options
+   * @param {number} [options.expires=3600] - Lifetime in seconds (at most 7 days)
+   * @param {number} [options.minSize=0] - Minimum upload size in bytes
+   * @param {number} [options.maxSize] - Maximum upload size in bytes
+   * @param {string} [options.contentType] - Content-Type (detected from the extension by default)
+   * @param {string} [options.cacheControl] - Cache-Control header
+   * @param {string} [options.contentEncoding] - Content-Encoding header
+   * @param {string} [options.contentDisposition] - Content-Disposition header
+   * @param {Object<string, string>} [options.metadata] - User metadata
+   * @param {Object|null} [options.sse] - Server-side encryption of the upload, instead of the instance option
+   * @returns {Promise<{url: string, fields: Object<string, string>}>} Form target and fields
+   */
+  async getSignedPost(filePath, options = {}) {
+    await this.initialize();
+
+    try {
+      this.pathConverter.validatePath(filePath);
+      const expires = ObjectStorage._signedExpires(filePath, options.expires);
+      const minSize = options.minSize || 0;
+      if (minSize < 0 || (options.maxSize !== undefined && !(options.maxSize >= minSize))) {
+        throw ErrorHandler.createFileSystemError('EINVAL', filePath, 'presign');
+      }
+      const sse = this._sseConfig(options.sse, filePath, 'presign');
+      if (sse && sse.type === 'SSE-C') {
+        throw ErrorHandler.createFileSystemError('ENOSYS', filePath, 'presign');
+      }
+
+      const keyStartsWith = this.pathConverter.isDirectoryPath(filePath);
+      let bucket, key;
+      if (keyStartsWith) {
+        ({ bucket, prefix: key } = this.pathConverter.getListPrefix(filePath));
+      } else {
+        ({ bucket, key } = this.pathConverter.pathToMinIO(filePath));
+      }
+      // Uploads need a bucket, and a file name unless any name is allowed
+      if (!bucket || (!keyStartsWith && this._isBucketRoot(filePath))) {
+        throw ErrorHandler.createFileSystemError('EISDIR', filePath, 'presign');
+      }
+
+      const { postURL, formData } = await this.backend.presignedPostPolicy(bucket, key, {
+        expires: new Date(Date.now() + expires * 1000),
+        keyStartsWith,
+        metaData: { ...this._contentMetaData(filePath, null, options), ...this._sseHeaders(sse) },
+        contentLengthRange: options.maxSize !== undefined ? [minSize, options.maxSize] : null
+      });
+      const fields = { ...formData };
+      if (keyStartsWith) {
+        fields.key = key + '${filename}';
+      }
+      return { url: postURL, fields };
+
+    } catch (error) {
+      throw ErrorHandler.convertError(error, filePath, 'presign');
+    }
+  }
+
+  /**
+   * Synchronous version of readFile()
+   *
+   * The *Sync methods run the async method on a worker thread with its own
+   * ObjectStorage and block the calling thread until it settles. The backend
+   * must be recreatable there (see StorageBackend.getWorkerConfig()), otherwise
+   * ENOSYS is thrown. Arguments and results must be structured-clonable.
+   *
+   * @param {string} filePath - File path
+   * @param {Object|string} [options] - Options or encoding string
+   * @returns {Buffer|string} File content
+   */
+  readFileSync(filePath, options) {
+    return this._runSync('readFile', 'open', filePath, options);
+  }
+
+  /**
+   * Synchronous version of writeFile()
+   * @param {string} filePath - File path
+   * @param {string|Buffer|Uint8Array} data - Data to write
+   * @param {Object|string} [options] - Options or encoding string
+   * @returns {void}
+   */
+  writeFileSync(filePath, data, options) {
+    return this._runSync('writeFile', 'open', filePath, data, options);
+  }
+
+  /**
+   * Synchronous version of appendFile()
+   * @param {string} filePath - File path
+   * @param {string|Buffer|Uint8Array} data - Data to append
+   * @param {Object|string} [options] - Options or encoding string
+   * @returns {void}
+   */
+  appendFileSync(filePath, data, options) {
+    return this._runSync('appendFile', 'open', filePath, data, options);
+  }
+
+  /**
+   * Synchronous version of exists()
+   * @param {string} filePath - File path
+   * @returns {boolean} True if file exists
+   */
+  existsSync(filePath) {
+    return this._runSync('exists', 'stat', filePath);
+  }
+
+  /**
+   * Synchronous version of stat()
+   * @param {string} filePath - File path
+   * @returns {Object} File stats object
+   */
+  statSync(filePath, options) {
+    return this._runSync('stat', 'stat', filePath, options);
+  }
+
+  /**
+   * Synchronous version of unlink()
+   * @param {string} filePath - File path
+   * @returns {void}
+   */
+  unlinkSync(filePath) {
+    return this._runSync('unlink', 'unlink', filePath);
+  }
+
+  /**
+   * Synchronous version of readdir()
+   * @param {string} dirPath - Directory path
+   * @param {Object} [options] - Options
+   * @returns {string[]|Object[]} Directory contents
+   */
+  readdirSync(dirPath, options) {
+    return this._runSync('readdir', 'scandir', dirPath, options);
+  }
+
+  /**
+   * Synchronous version of mkdir()
+   * @param {string} dirPath - Directory path
+   * @param {Object} [options] - Options
+   * @returns {string|undefined} First directory created when recursive
+   */
+  mkdirSync(dirPath, options) {
+    return this._runSync('mkdir', 'mkdir', dirPath, options);
+  }
+
+  /**
+   * Synchronous version of rmdir()
+   * @param {string} dirPath - Directory path
+   * @returns {void}
+   */
+  rmdirSync(dirPath) {
+    return this._runSync('rmdir', 'rmdir', dirPath);
+  }
+
+  /**
+   * Synchronous version of rm()
+   * @param {string} targetPath - File or directory path
+   * @param {Object} [options] - Options
+   * @returns {void}
+   */
+  rmSync(targetPath, options) {
+    return this._runSync('rm', 'rm', targetPath, options);
+  }
+
+  /**
+   * Synchronous version of copyFile()
+   * @param {string} srcPath - Source file path
+   * @param {string} destPath - Destination file path
+   * @param {number} [mode=0] - fs.constants.COPYFILE_EXCL to fail with EEXIST if destPath exists
+   * @returns {void}
+   */
+  copyFileSync(srcPath, destPath, mode) {
+    return this._runSync('copyFile', 'copyfile', srcPath, destPath, mode);
+  }
+
+  /**
+   * Synchronous version of rename()
+   * @param {string} srcPath - Source path
+   * @param {string} destPath - Destination path
+   * @returns {void}
+   */
+  renameSync(srcPath, destPath) {
+    return this._runSync('rename', 'rename', srcPath, destPath);
+  }
+
+  /**
+   * Synchronous version of chmod()
+   * @param {string} filePath - File or directory path
+   * @param {number|string} mode - Mode as number or octal string
+   * @returns {void}
+   */
+  chmodSync(filePath, mode) {
+    return this._runSync('chmod', 'chmod', filePath, mode);
+  }
+
+  /**
+   * Synchronous version of chown()
+   * @param {string} filePath - File or directory path
+   * @param {number} uid - User id (-1 keeps the current one)
+   * @param {number} gid - Group id (-1 keeps the current one)
+   * @returns {void}
+   */
+  chownSync(filePath, uid, gid) {
+    return this._runSync('chown', 'chown', filePath, uid, gid);
+  }
+
+  /**
+   * Synchronous version of utimes()
+   * @param {string} filePath - File or directory path
+   * @param {number|string|Date} atime - Access time (seconds since epoch or Date)
+   * @param {number|string|Date} mtime - Modification time (seconds since epoch or Date)
+   * @returns {void}
+   */
+  utimesSync(filePath, atime, mtime) {
+    return this._runSync('utimes', 'utime', filePath, atime, mtime);
+  }
+
+  /**
+   * Synchronous version of lstat()
+   * @param {string} filePath - File path
+   * @returns {Object} File stats object
+   */
+  lstatSync(filePath) {
+    return this._runSync('lstat', 'lstat', filePath);
+  }
+
+  /**
+   * Synchronous version of symlink()
+   * @param {string} target - Link target
+   * @param {string} linkPath - Path of the link
+   * @param {string} [type] - Accepted for compatibility, ignored
+   * @returns {void}
+   */
+  symlinkSync(target, linkPath, type) {
+    return this._runSync('symlink', 'symlink', target, linkPath, type);
+  }
+
+  /**
+   * Synchronous version of readlink()
+   * @param {string} linkPath - Path of the link
+   * @param {Object|string} [options] - Options or encoding string
+   * @returns {string|Buffer} Link target
+   */
+  readlinkSync(linkPath, options) {
+    return this._runSync('readlink', 'readlink', linkPath, options);
+  }
+
+  /**
+   * Synchronous version of realpath()
+   * @param {string} filePath - File path
+   * @param {Object|string} [options] - Options or encoding string
+   * @returns {string|Buffer} Normalized path without links
+   */
+  realpathSync(filePath, options) {
+    return this._runSync('realpath', 'realpath', filePath, options);
+  }
+
+  /**
+   * Stop the worker thread used by the *Sync methods
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this._syncRunner) {
+      await this._syncRunner.terminate();
+    }
+  }
+
+  /**
+   * Run a method on the sync worker thread, starting it on first use
+   * @param {string} method - Method name
+   * @param {string} syscall - Operation name for errors
+   * @param {string} filePath - Path argument
+   * @param {...*} args - Further arguments
+   * @returns {*} Method result
+   */
+  _runSync(method, syscall, filePath, ...args) {
+    if (!this._syncRunner) {
+      const backend = this.backend.getWorkerConfig();
+      if (!backend) {
+        throw ErrorHandler.createFileSystemError('ENOSYS', filePath, syscall);
+      }
+      this._syncRunner = new SyncRunner({
+        bucket: this.bucket,
+        prefix: this.pathConverter.prefix,
+        directoryMode: this.directoryMode,
+        multiBucket: this.multiBucket,
+        sse: this.sse,
+        compression: this.compression,
+        backend
+      }, this.syncTimeout);
+    }
+    try {
+      return this._syncRunner.call(method, [filePath, ...args], filePath, syscall);
+    } finally {
+      // The worker has its own backend, whose changes this cache does not see
+      if (this._metadataCache) this._metadataCache.clear();
+    }
+  }
+
+  /**
+   * Merge attributes into the metadata of the object behind a path
+   * @param {string} filePath - File or directory path
+   * @param {string} syscall - Operation name for errors
+   * @param {Function} getAttributes - Returns the metadata entries to set
+   * @returns {Promise<void>}
+   */
+  async _setAttributes(filePath, syscall, getAttributes) {
+    await this.initialize();
+
+    try {
+      this.pathConverter.validatePath(filePath);
+      const { path: resolvedPath, entry } = await this._resolveLinks(filePath, syscall);
+      if (!entry) {
+        throw ErrorHandler.createFileSystemError('ENOENT', filePath, syscall);
+      }
+
+      // Implicit directories and buckets have no object to store attributes on
+      if (entry.type === 'directory' && (entry.implicit || this._isBucketRoot(resolvedPath))) {
+        throw ErrorHandler.createFileSystemError('EPERM', filePath, syscall);
+      }
+
+      const { bucket, key } = entry.type === 'directory'
+        ? this.pathConverter.createDirectoryMarker(resolvedPath)
+        : this.pathConverter.pathToMinIO(resolvedPath);
+      await this.backend.setObjectMetadata(bucket, key, {
+        ...ObjectStorage._withoutCustomerHeaders(entry.metaData), ...getAttributes(), ...this._sseCopyHeaders(this.sse)
+      });
+      // The etag changes with the metadata
+      await this._uncache(bucket, key);
+    } catch (error) {
+      throw ErrorHandler.convertError(error, filePath, syscall);
+    }
+  }
+
+  /**
+   * Metadata for new content of a file
+   *
+   * Attributes of the object being replaced are kept (mtime becomes the write
+   * time), a new file gets `options.mode`. Content headers and user metadata
+   * are taken from the options, else from the replaced object; the content
+   * type falls back to the one registered for the file extension.
+   *
+   * @param {string} filePath - File path
+   * @param {Object|null} metaData - Metadata of the existing object
+   * @param {Object} [options] - Write options
+   * @param {number|string} [options.mode] - Mode of a new file
+   * @param {string} [options.contentType] - Content-Type header
+   * @param {string} [options.cacheControl] - Cache-Control header
+   * @param {string} [options.contentEncoding] - Content-Encoding header
+   * @param {string} [options.contentDisposition] - Content-Disposition header
+   * @param {Object<string, string>} [options.metadata] - User metadata replacing the existing one
+   * @returns {Object} Metadata for putObject
+   */
+  _contentMetaData(filePath, metaData, options = {}) {
+    const result = {};
+    if (metaData) {
+      for (const name of [META_MODE, META_UID, META_GID, META_ATIME]) {
+        if (metaData[name] !== undefined) result[name] = metaData[name];
+      }
+    } else if (options.mode !== undefined) {
+      const permissions = typeof options.mode === 'string' ? parseInt(options.mode, 8) : options.mode;
+      result[META_MODE] = (permissions & 0o7777).toString(8);
+    }
+
+    const userMetaData = options.metadata || ObjectStorage.userMetadata(metaData);
+    for (const [name, value] of Object.entries(userMetaData)) {
+      const lower = name.toLowerCase();
+      if (lower.startsWith(RESERVED_META_PREFIX) || ObjectStorage._isHeaderName(lower)) {
+        throw ErrorHandler.createFileSystemError('EINVAL', filePath, 'open');
+      }
+      result[lower] = String(value);
+    }
+
+    for (const [option, header] of Object.entries(CONTENT_HEADERS)) {
+      const value = options[option] !== undefined
+        ? options[option]
+        : (option === 'contentType' && mime.contentType(path.posix.extname(filePath))) || (metaData && metaData[header]);
+      if (value) result[header] = String(value);
+    }
+    return result;
+  }
+
+  /**
+   * Codec of the compression rule matching an object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {string|null} 'gzip', 'br' or null when no rule matches the path of the key
+   */
+  _compressionCodec(bucket, key) {
+    // Keys of all paths start with the prefix of the root
+    const keyPrefix = this.pathConverter.getListPrefix('/').prefix;
+    if (!key.startsWith(keyPrefix)) return null;
+
+    // Rules match paths without the leading slash
+    const relative = key.substring(keyPrefix.length);
+    const filePath = this.multiBucket ? `${bucket}/${relative}` : relative;
+    const rule = this._compressionRules.find(rule => rule.pattern.test(filePath));
+    return rule ? rule.codec : null;
+  }
+
+  /**
+   * Resolve the sse option of a call
+   * @param {Object|null|undefined} sse - Per-call option (null disables encryption)
+   * @param {string} filePath - Path for errors
+   * @param {string} syscall - Operation name for errors
+   * @returns {Object|null} Encryption to use, the instance option when not given
+   * @throws {Error} EINVAL if the option is invalid
+   */
+  _sseConfig(sse, filePath, syscall) {
+    if (sse === undefined) return this.sse;
+    if (sse !== null && !ObjectStorage._isValidSse(sse)) {
+      throw ErrorHandler.createFileSystemError('EINVAL', filePath, syscall);
+    }
+    return sse;
+  }
+
+  /**
+   * Headers requesting server-side encryption of an upload
+   *
+   * SSE-S3 encrypts with keys managed by the server, SSE-KMS with a KMS key
+   * (and optional encryption context), SSE-C with a key the client sends
+   * along and has to send again on every read.
+   *
+   * @param {Object|null} sse - Encryption (see _sseConfig)
+   * @returns {Object} Headers for putObject metadata
+   */
+  _sseHeaders(sse) {
+    if (!sse) return {};
+    if (sse.type === 'SSE-S3') {
+      return { 'x-amz-server-side-encryption': 'AES256' };
+    }
+    if (sse.type === 'SSE-KMS') {
+      const headers = { 'x-amz-server-side-encryption': 'aws:kms' };
+      if (sse.keyId) headers['x-amz-server-side-encryption-aws-kms-key-id'] = sse.keyId;
+      if (sse.context) {
+        headers['x-amz-server-side-encryption-context'] = Buffer.from(JSON.stringify(sse.context)).toString('base64');
+      }
+      return headers;
+    }
+    const { key, keyMD5 } = ObjectStorage._customerKey(sse);
+    return {
+      'x-amz-server-side-encryption-customer-algorithm': 'AES256',
+      'x-amz-server-side-encryption-customer-key': key,
+      'x-amz-server-side-encryption-customer-key-md5': keyMD5
+    };
+  }
+
+  /**
+   * Backend get/stat options reading an object with server-side encryption
+   * @param {Object|null} sse - Encryption (see _sseConfig)
+   * @returns {Object} SSE-C key options (empty for other modes, the server decrypts those by itself)
+   */
+  _sseReadOptions(sse) {
+    if (!sse || sse.type !== 'SSE-C') return {};
+    const { key, keyMD5 } = ObjectStorage._customerKey(sse);
+    return { SSECustomerAlgorithm: 'AES256', SSECustomerKey: key, SSECustomerKeyMD5: keyMD5 };
+  }
+
+  /**
+   * Headers of a server-side copy between objects with the same encryption
+   * @param {Object|null} sse - Encryption (see _sseConfig)
+   * @returns {Object} Destination headers, plus the key of an SSE-C source
+   */
+  _sseCopyHeaders(sse) {
+    const headers = this._sseHeaders(sse);
+    if (sse && sse.type === 'SSE-C') {
+      for (const name of ['algorithm', 'key', 'key-md5']) {
+        headers['x-amz-copy-source-server-side-encryption-customer-' + name] = headers['x-amz-server-side-encryption-customer-' + name];
+      }
+    }
+    return headers;
+  }
+
+  /**
+   * Metadata of an existing object for storing it again with an encryption
+   * @param {Object} metaData - Metadata of the existing object
+   * @param {Object|null} sse - Encryption (see _sseConfig)
+   * @returns {Object} Metadata for putObject
+   */
+  _encryptedMetaData(metaData, sse) {
+    return { ...ObjectStorage._withoutCustomerHeaders(metaData), ...this._sseHeaders(sse) };
+  }
+
+  /**
+   * Check a tag set against the S3 limits
+   * @param {string} filePath - Path for errors
+   * @param {Object<string, string>} tags - Tags
+   * @param {string} syscall - Operation name for errors
+   * @returns {Object<string, string>} Tags with string values
+   * @throws {Error} EINVAL if the tags are not an object or exceed a limit
+   */
+  _validateTags(filePath, tags, syscall) {
+    if (!tags || typeof tags !== 'object' || Array.isArray(tags) || Object.keys(tags).length > MAX_TAGS) {
+      throw ErrorHandler.createFileSystemError('EINVAL', filePath, syscall);
+    }
+
+    const tagSet = {};
+    for (const [name, value] of Object.entries(tags)) {
+      const text = String(value);
+      if (!name || name.length > MAX_TAG_KEY_LENGTH || text.length > MAX_TAG_VALUE_LENGTH) {
+        throw ErrorHandler.createFileSystemError('EINVAL', filePath, syscall);
+      }
+      tagSet[name] = text;
+    }
+    return tagSet;
+  }
+
+  /**
+   * Header storing tags with an upload, so the object is never stored untagged
+   * @param {Object<string, string>} tags - Tags (see _validateTags)
+   * @returns {Object} x-amz-tagging header for putObject metadata (empty without tags)
+   */
+  _taggingHeaders(tags) {
+    if (Object.keys(tags).length === 0) return {};
+    return { 'x-amz-tagging': new URLSearchParams(tags).toString() };
+  }
+
+  /**
+   * Get the object holding the tags of a file (links are followed)
+   * @param {string} filePath - File path
+   * @param {string} syscall - Operation name for errors
+   * @returns {Promise<{bucket: string, key: string}>} Object location
+   * @throws {Error} ENOENT if nothing exists at path, EISDIR for directories
+   */
+  async _taggedObject(filePath, syscall) {
+    const { path: resolvedPath, entry } = await this._resolveLinks(filePath, syscall);
+    if (!entry) {
+      throw ErrorHandler.createFileSystemError('ENOENT', filePath, syscall);
+    }
+    if (entry.type === 'directory') {
+      throw ErrorHandler.createFileSystemError('EISDIR', filePath, syscall);
+    }
+    return this.pathConverter.pathToMinIO(resolvedPath);
+  }
+
+  /**
+   * Get the tags of an object, or null when the object does not exist
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {Promise<Object<string, string>|null>} Tags
+   */
+  async _tagsIfExists(bucket, key) {
+    try {
+      return ObjectStorage.toTags(await this.backend.getObjectTagging(bucket, key));
+    } catch (error) {
+      if (ErrorHandler.isNotFoundError(ErrorHandler.convertError(error))) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete keys in multi-object delete batches
+   * @param {string} bucket - Bucket name
+   * @param {string[]} keys - Object keys
+   * @returns {Promise<Array<{key: string, error: Error}>>} Keys that could not be removed
+   */
+  async _removeKeys(bucket, keys) {
+    const failures = [];
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      failures.push(...await this.backend.removeObjects(bucket, keys.slice(i, i + DELETE_BATCH_SIZE)));
+    }
+    return failures;
+  }
+
+  /**
+   * Convert a key below a directory prefix back to a path below the directory
+   * @param {string} dirPath - Directory path
+   * @param {string} prefix - Directory prefix (ending with separator)
+   * @param {string} key - Object key below prefix
+   * @returns {string} File path
+   */
+  _keyToPath(dirPath, prefix, key) {
+    return PathConverter.normalizePath(dirPath + '/' + key.substring(prefix.length));
+  }
+
+  /**
+   * Add the marker of a directory to a recursive listing of it when the
+   * backend left it out, so tree operations move and copy it too
+   * @param {string} dirPath - Directory path
+   * @param {{bucket: string, prefix: string}} list - List prefix of the directory
+   * @param {Object[]} objects - Listed objects, changed in place
+   * @returns {Promise<void>}
+   */
+  async _addRootMarker(dirPath, list, objects) {
+    if (this._isBucketRoot(dirPath) || objects.some(obj => obj.name === list.prefix)) return;
+    const info = await this._statIfExists(list.bucket, list.prefix);
+    if (info) {
+      objects.unshift({ name: list.prefix, size: 0, etag: info.etag, lastModified: info.lastModified });
+    }
+  }
+
+  /**
+   * Run an async function over items with limited concurrency
+   * @param {Array} items - Items to process
+   * @param {number} limit - Maximum number of pending calls
+   * @param {Function} fn - Async function called with each item
+   * @returns {Promise<void>}
+   */
+  async _mapConcurrent(items, limit, fn) {
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        await fn(items[next++]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  }
+
+  /**
+   * Make sure the parent of a path is not a file
+   * @param {string} filePath - File path
+   * @param {string} syscall - Operation name for errors
+   * @returns {Promise<void>}
+   * @throws {Error} ENOTDIR if parent path is a file
+   */
+  async _assertParentDirectory(filePath, syscall) {
+    const parent = this.pathConverter.getParentPath(filePath);
+    if (this._isBucketRoot(parent)) return;
+
+    const parentEntry = await this._resolveEntryIfExists(parent);
+    if (parentEntry && parentEntry.type === 'file') {
+      throw ErrorHandler.createFileSystemError('ENOTDIR', filePath, syscall);
+    }
+  }
+
+  /**
+   * Resolve what a path refers to: a file, a directory marker or an implicit
+   * directory (a key prefix with objects below it)
+   * @param {string} filePath - File path
+   * @param {string} [syscall='stat'] - Operation name for errors
+   * @returns {Promise<Object>} Entry {type, implicit, size, lastModified, etag, metaData, symlink}
+   * @throws {Error} ENOENT if nothing exists at path
+   */
+  async _resolveEntry(filePath, syscall = 'stat') {
+    if (this._isRootPath(filePath)) {
+      return { type: 'directory', implicit: true, size: 0 };
+    }
+
+    const { bucket, key } = this.pathConverter.pathToMinIO(filePath);
+    const { prefix } = this.pathConverter.getListPrefix(filePath);
+
+    if (this.multiBucket && this._isBucketRoot(filePath)) {
+      if (!(await this.backend.bucketExists(bucket))) {
+        throw ErrorHandler.createFileSystemError('ENOENT', filePath, syscall);
+      }
+      return { type: 'directory', implicit: false, size: 0 };
+    }
+
+    const objInfo = key.endsWith('/') ? null : await this._statIfExists(bucket, key);
+    if (objInfo) {
+      return {
+        type: 'file',
+        size: objInfo.size,
+        storedSize: objInfo.storedSize,
+        sizeUnknown: !!objInfo.sizeUnknown,
+        lastModified: objInfo.lastModified,
+        etag: objInfo.etag,
+        versionId: objInfo.versionId,
+        metaData: objInfo.metaData,
+        symlink: ObjectStorage.linkTarget(objInfo.metaData)
+      };
+    }
+
+    const markerInfo = await this._statIfExists(bucket, prefix);
+    if (markerInfo) {
+      return { type: 'directory', implicit: false, size: 0, lastModified: markerInfo.lastModified, etag: markerInfo.etag, metaData: markerInfo.metaData };
+    }
+
+    if (await this._hasChildren(bucket, prefix)) {
+      return { type: 'directory', implicit: true, size: 0 };
+    }
+
+    throw ErrorHandler.createFileSystemError('ENOENT', filePath, syscall);
+  }
+
+  /**
+   * Resolve what a path refers to, or null when nothing exists at path
+   * @param {string} filePath - File path
+   * @returns {Promise<Object|null>} Entry from _resolveEntry
+   */
+  async _resolveEntryIfExists(filePath) {
+    try {
+      return await this._resolveEntry(filePath);
+    } catch (error) {
+      if (ErrorHandler.isNotFoundError(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the symbolic links of a path
+   *
+   * A link at the path is replaced by its target (unless followLast is
+   * false). When nothing exists at the path, a parent component that is a
+   * link is replaced; the parents are checked from the nearest one up to the
+   * first existing directory, so a missing file in a directory costs one
+   * listing.
+   *
+   * @param {string} filePath - File path
+   * @param {string} syscall - Operation name for errors
+   * @param {boolean} [followLast=true] - Follow a link at the path itself
+   * @returns {Promise<Object>} {path, entry} (entry from _resolveEntry, null if nothing exists)
+   * @throws {Error} ELOOP if more than MAX_SYMLINKS links are followed
+   */
+  async _resolveLinks(filePath, syscall, followLast = true) {
+    let current = PathConverter.normalizePath(filePath);
+
+    for (let links = 0; ; links++) {
+      const entry = await this._resolveEntryIfExists(current);
+      let next;
+      if (entry) {
+        if (!entry.symlink || !followLast) {
+          return { path: current, entry };
+        }
+        next = path.posix.resolve(path.posix.dirname(current), entry.symlink);
+      } else {
+        next = await this._resolveParentLink(current);
+        if (!next) {
+          return { path: current, entry: null };
+        }
+      }
+
+      if (links >= MAX_SYMLINKS) {
+        throw ErrorHandler.createFileSystemError('ELOOP', filePath, syscall);
+      }
+      current = next;
+    }
+  }
+
+  /**
+   * Replace the first parent component of a path that is a symbolic link
+   * @param {string} filePath - Normalized file path
+   * @returns {Promise<string|null>} Path below the link target, null if no parent is a link
+   */
+  async _resolveParentLink(filePath) {
+    const parts = filePath.split('/').filter(Boolean);
+
+    // Walk up to the first directory with children, no component above it
+    // can be a file; buckets cannot be links
+    for (let i = parts.length - 1; i >= (this.multiBucket ? 2 : 1); i--) {
+      const parent = '/' + parts.slice(0, i).join('/');
+      const { bucket, prefix } = this.pathConverter.getListPrefix(parent);
+      if (await this._hasChildren(bucket, prefix)) return null;
+
+      const { key } = this.pathConverter.pathToMinIO(parent);
+      const info = await this._statIfExists(bucket, key);
+      if (!info) continue;
+
+      // Nothing exists below a regular file
+      const target = ObjectStorage.linkTarget(info.metaData);
+      if (target === null) return null;
+
+      const base = path.posix.resolve(path.posix.dirname(parent), target);
+      return path.posix.join(base, ...parts.slice(i));
+    }
+    return null;
+  }
+
+  /**
+   * Read a whole object, or null when the object does not exist
+   * @param {string} filePath - File path
+   * @param {Object|null} [sse] - Server-side encryption of the object
+   * @returns {Promise<Buffer|null>} Object content
+   */
+  async _readObjectIfExists(filePath, sse = this.sse) {
+    const { bucket, key } = this.pathConverter.pathToMinIO(filePath);
+    try {
+      // The server has to check SSE-C keys, so those objects are not cached
+      if (this._cache && !(sse && sse.type === 'SSE-C')) {
+        return await this._readCached(bucket, key, this._sseReadOptions(sse));
+      }
+      return await StreamConverter.streamToBuffer(await this.backend.getObject(bucket, key, this._sseReadOptions(sse)));
+    } catch (error) {
+      if (ErrorHandler.isNotFoundError(ErrorHandler.convertError(error))) {
+        await this._uncache(bucket, key);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a whole object through the cache, revalidating a cached copy with
+   * a conditional GET on its etag
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object} getOpts - Options passed to the backend
+   * @returns {Promise<Buffer>} Object content
+   */
+  async _readCached(bucket, key, getOpts) {
+    const cached = await this._cache.get(bucket, key);
+    const result = await this.backend.getObjectIfChanged(bucket, key, cached ? cached.etag : null, getOpts);
+    if (!result) {
+      return cached.content;
+    }
+    const content = await StreamConverter.streamToBuffer(result.stream);
+    await this._cache.set(bucket, key, result.etag, content);
+    return content;
+  }
+
+  /**
+   * Drop the cached object info and listings below a prefix, after a change
+   * this instance did not make itself
+   * @param {string} bucket - Bucket name
+   * @param {string} prefix - Key prefix
+   * @returns {void}
+   */
+  _invalidateMetadata(bucket, prefix) {
+    if (this._metadataCache) this._metadataCache.invalidatePrefix(bucket, prefix);
+  }
+
+  /**
+   * Drop an object from the read cache after this instance changed or removed it
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async _uncache(bucket, key) {
+    if (this._cache) await this._cache.delete(bucket, key);
+  }
+
+  /**
+   * Get the entry of one version of a file
+   * @param {string} filePath - File path
+   * @param {string} versionId - Version ID
+   * @param {string} [syscall='stat'] - Operation name for errors
+   * @returns {Promise<Object>} File entry (see _resolveEntry)
+   */
+  async _statVersion(filePath, versionId, syscall = 'stat') {
+    if (typeof versionId !== 'string' || !versionId) {
+      throw ErrorHandler.createFileSystemError('EINVAL', filePath, syscall);
+    }
+    const { bucket, key } = this.pathConverter.pathToMinIO(filePath);
+    try {
+      const objInfo = await this.backend.statObject(bucket, key, { versionId, ...this._sseReadOptions(this.sse) });
+      return {
+        type: 'file',
+        size: objInfo.size,
+        storedSize: objInfo.storedSize,
+        sizeUnknown: !!objInfo.sizeUnknown,
+        lastModified: objInfo.lastModified,
+        etag: objInfo.etag,
+        versionId: objInfo.versionId,
+        metaData: objInfo.metaData,
+        symlink: ObjectStorage.linkTarget(objInfo.metaData)
+      };
+    } catch (error) {
+      throw ObjectStorage._versionError(error, filePath, syscall);
+    }
+  }
+
+  /**
+   * Read one version of a file
+   * @param {string} filePath - File path
+   * @param {string} versionId - Version ID
+   * @param {Object|null} [sse] - Server-side encryption of the version
+   * @returns {Promise<Buffer>} Content of the version
+   */
+  async _readVersion(filePath, versionId, sse = this.sse) {
+    if (typeof versionId !== 'string' || !versionId) {
+      throw ErrorHandler.createFileSystemError('EINVAL', filePath, 'open');
+    }
+    const { bucket, key } = this.pathConverter.pathToMinIO(filePath);
+    try {
+      return await StreamConverter.streamToBuffer(await this.backend.getObject(bucket, key, { versionId, ...this._sseReadOptions(sse) }));
+    } catch (error) {
+      throw ObjectStorage._versionError(error, filePath, 'open');
+    }
+  }
+
+  /**
+   * Apply the versioning option to a bucket
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<void>}
+   */
+  async _applyVersioning(bucket) {
+    if (!this.versioning) return;
+
+    const config = await this.backend.getBucketVersioning(bucket);
+    if (!config || config.Status !== this.versioning) {
+      await this.backend.setBucketVersioning(bucket, { Status: this.versioning });
+    }
+  }
+
+  /**
+   * Get object info, or null when the object does not exist
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object|null} [sse] - Server-side encryption of the object
+   * @returns {Promise<Object|null>} Object info
+   */
+  async _statIfExists(bucket, key, sse = this.sse) {
+    try {
+      return await this.backend.statObject(bucket, key, this._sseReadOptions(sse));
+    } catch (error) {
+      if (ErrorHandler.isNotFoundError(ErrorHandler.convertError(error))) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check if any object exists below a directory prefix
+   * @param {string} bucket - Bucket name
+   * @param {string} prefix - Directory prefix (ending with separator)
+   * @returns {Promise<boolean>} True if prefix has children
+   */
+  async _hasChildren(bucket, prefix) {
+    for await (const obj of this.backend.listObjectsV2(bucket, prefix, false)) {
+      if ((obj.name || obj.prefix) !== prefix) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Collect all objects of a listing
+   * @param {string} bucket - Bucket name
+   * @param {string} prefix - Key prefix
+   * @param {boolean} recursive - List all keys instead of grouping by separator
+   * @returns {Promise<Object[]>} Listed objects and common prefixes
+   */
+  async _listObjects(bucket, prefix, recursive) {
+    const objects = [];
+    for await (const obj of this.backend.listObjectsV2(bucket, prefix, recursive)) {
+      objects.push(obj);
+    }
+    return objects;
+  }
+
+  /**
+   * Check if path is the storage root (the bucket list in multi-bucket mode)
+   * @param {string} filePath - File path
+   * @returns {boolean} True if path maps to the root prefix
+   */
+  _isRootPath(filePath) {
+    if (this.multiBucket) {
+      return this.pathConverter.pathToMinIO(filePath).bucket === '';
+    }
+    return this._isBucketRoot(filePath);
+  }
+
+  /**
+   * Check if path is the top of a bucket (or the storage root)
+   * @param {string} filePath - File path
+   * @returns {boolean} True if path maps to the root prefix of its bucket
+   */
+  _isBucketRoot(filePath) {
+    return this.pathConverter.getListPrefix(filePath).prefix === this.pathConverter.getListPrefix('/').prefix;
+  }
+
+  /**
+   * List buckets as the entries of the root directory (multi-bucket mode)
+   * @param {Object} options - readdir options
+   * @returns {Promise<string[]|Object[]>} Bucket names or Dirent objects
+   */
+  async _readBuckets(options) {
+    const names = (await this.backend.listBuckets()).map(bucket => bucket.name).sort();
+    if (options.withFileTypes) {
+      return names.map(name => this._createDirent(name, { type: 'directory', implicit: false }));
+    }
+    return names;
+  }
+
+  /**
+   * Convert resolved entry to fs.Stats-like object
+   * @param {Object} entry - Entry from _resolveEntry
+   * @returns {Object} Stats object
+   */
+  _createStats(entry) {
+    const isDirectory = entry.type === 'directory';
+    const isLink = !!entry.symlink;
+    const meta = entry.metaData || {};
+    const lastModified = entry.lastModified || new Date(0);
+    const size = isLink ? Buffer.byteLength(entry.symlink) : entry.size;
+
+    // Attributes stored by chmod/chown/utimes, defaults otherwise
+    const defaultPermissions = isDirectory ? 0o755 : (isLink ? 0o777 : 0o644);
+    const permissions = meta[META_MODE] !== undefined ? parseInt(meta[META_MODE], 8) : defaultPermissions;
+    const fileType = isDirectory ? constants.S_IFDIR : (isLink ? constants.S_IFLNK : constants.S_IFREG);
+    const mtimeMs = meta[META_MTIME] !== undefined ? parseFloat(meta[META_MTIME]) : lastModified.getTime();
+    const atimeMs = meta[META_ATIME] !== undefined ? parseFloat(meta[META_ATIME]) : mtimeMs;
+
+    return {
+      isFile: () => !isDirectory && !isLink,
+      isDirectory: () => isDirectory,
+      isImplicitDirectory: () => isDirectory && !!entry.implicit,
+      isBlockDevice: () => false,
+      isCharacterDevice: () => false,
+      isSymbolicLink: () => isLink,
+      isFIFO: () => false,
+      isSocket: () => false,
+      size,
+      storedSize: entry.storedSize !== undefined ? entry.storedSize : entry.size,
+      mode: fileType | permissions,
+      uid: meta[META_UID] !== undefined ? parseInt(meta[META_UID], 10) : 0,
+      gid: meta[META_GID] !== undefined ? parseInt(meta[META_GID], 10) : 0,
+      atime: new Date(atimeMs),
+      mtime: new Date(mtimeMs),
+      ctime: lastModified,
+      birthtime: lastModified,
+      atimeMs,
+      mtimeMs,
+      ctimeMs: lastModified.getTime(),
+      birthtimeMs: lastModified.getTime(),
+      dev: 0,
+      ino: 0,
+      nlink: 1,
+      rdev: 0,
+      blocks: Math.ceil(size / 512),
+      blksize: 4096,
+      etag: entry.etag,
+      versionId: entry.versionId,
+      contentType: meta[CONTENT_HEADERS.contentType],
+      cacheControl: meta[CONTENT_HEADERS.cacheControl],
+      contentEncoding: meta[CONTENT_HEADERS.contentEncoding],
+      contentDisposition: meta[CONTENT_HEADERS.contentDisposition],
+      metadata: ObjectStorage.userMetadata(meta)
+    };
+  }
+
+  /**
+   * Create fs.Dirent-like object
+   * @param {string} name - Entry name
+   * @param {Object} entry - Entry {type, implicit, symlink}
+   * @returns {Object} Dirent object
+   */
+  _createDirent(name, entry) {
+    const isDirectory = entry.type === 'directory';
+    const isLink = !!entry.symlink;
+
+    return {
+      name,
+      isFile: () => !isDirectory && !isLink,
+      isDirectory: () => isDirectory,
+      isImplicitDirectory: () => isDirectory && !!entry.implicit,
+      isBlockDevice: () => false,
+      isCharacterDevice: () => false,
+      isSymbolicLink: () => isLink,
+      isFIFO: () => false,
+      isSocket: () => false
+    };
+  }
+
+  /**
+   * Get the target of a symbolic link object from its metadata
+   * @param {Object} [metaData] - Object metadata
+   * @returns {string|null} Link target, null if the object is not a link
+   */
+  static linkTarget(metaData) {
+    if (!metaData || metaData[META_LINK] === undefined) {
+      return null;
+    }
+    return decodeURI(metaData[META_LINK]);
+  }
+
+  /**
+   * Get the user metadata of an object (without the attributes this library stores)
+   * @param {Object} [metaData] - Object metadata
+   * @returns {Object<string, string>} User metadata
+   */
+  static userMetadata(metaData) {
+    const result = {};
+    for (const [name, value] of Object.entries(metaData || {})) {
+      if (!name.startsWith(RESERVED_META_PREFIX) && !ObjectStorage._isHeaderName(name)) {
+        result[name] = value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Check the shape of a compression option
+   * @param {*} compression - Option value
+   * @returns {boolean} True for rules with a string pattern and a known codec
+   */
+  static _isValidCompression(compression) {
+    return Array.isArray(compression.rules) && compression.rules.every(rule =>
+      rule && typeof rule.pattern === 'string' && COMPRESSION_CODECS.includes(rule.codec));
+  }
+
+  /**
+   * Check the shape of a cache option
+   * @param {*} cache - Option value
+   * @returns {boolean} True for a positive integer memory size and/or a directory, nothing else
+   */
+  static _isValidCache(cache) {
+    const { maxMemoryBytes, directory } = cache;
+    if (maxMemoryBytes !== undefined && !(Number.isInteger(maxMemoryBytes) && maxMemoryBytes > 0)) return false;
+    if (directory !== undefined && !(typeof directory === 'string' && directory)) return false;
+    return maxMemoryBytes !== undefined || directory !== undefined;
+  }
+
+  /**
+   * Check the shape of a metadataCache option
+   * @param {*} metadataCache - Option value
+   * @returns {boolean} True if the given lifetimes and entry limit are valid
+   */
+  static _isValidMetadataCache(metadataCache) {
+    const { ttl, negativeTtl, maxEntries } = metadataCache;
+    const isDuration = value => value === undefined || (Number.isInteger(value) && value >= 0);
+    return isDuration(ttl) && isDuration(negativeTtl) &&
+      (maxEntries === undefined || (Number.isInteger(maxEntries) && maxEntries > 0));
+  }
+
+  /**
+   * Check the shape of an sse option
+   * @param {*} sse - Option value
+   * @returns {boolean} True for a known type, with a 32-byte key for SSE-C
+   */
+  static _isValidSse(sse) {
+    if (!sse || typeof sse !== 'object' || !SSE_TYPES.includes(sse.type)) return false;
+    return sse.type !== 'SSE-C' || (sse.key instanceof Uint8Array && sse.key.length === 32);
+  }
+
+  /**
+   * Encode an SSE-C key for headers
+   * @param {Object} sse - SSE-C option
+   * @returns {{key: string, keyMD5: string}} Base64 key and base64 MD5 digest of the key
+   */
+  static _customerKey(sse) {
+    const key = Buffer.from(sse.key);
+    return { key: key.toString('base64'), keyMD5: crypto.createHash('md5').update(key).digest('base64') };
+  }
+
+  /**
+   * Remove the SSE-C headers a stat reports, which cannot be sent without the key
+   * @param {Object} [metaData] - Object metadata
+   * @returns {Object} Metadata without the SSE-C headers
+   */
+  static _withoutCustomerHeaders(metaData) {
+    const result = { ...metaData };
+    for (const name of SSE_CUSTOMER_HEADERS) {
+      delete result[name];
+    }
+    return result;
+  }
+
+  /**
+   * Check whether a metadata key is an HTTP header rather than user metadata
+   * @param {string} name - Lower-case metadata key
+   * @returns {boolean} True for standard and x-amz-* headers
+   */
+  static _isHeaderName(name) {
+    return Object.values(CONTENT_HEADERS).includes(name) || name === 'content-language' ||
+      name.startsWith('x-amz-') || name === 'if-match' || name === 'if-none-match';
+  }
+
+  /**
+   * Convert an error of a versioned request
+   * @param {Error} error - Backend error
+   * @param {string} filePath - File path
+   * @param {string} syscall - Operation name
+   * @returns {Error} fs-style error
+   */
+  static _versionError(error, filePath, syscall) {
+    // Requests for a delete marker are answered with 405
+    if (error.code === 'MethodNotAllowed') {
+      return ErrorHandler.createFileSystemError('ENOENT', filePath, syscall);
+    }
+    return ErrorHandler.convertError(error, filePath, syscall);
+  }
+
+  /**
+   * Validate the lifetime of a presigned request
+   * @param {string} filePath - Path for errors
+   * @param {number} [expires] - Lifetime in seconds
+   * @returns {number} Lifetime in seconds
+   */
+  static _signedExpires(filePath, expires = SIGNED_EXPIRES) {
+    if (!Number.isInteger(expires) || expires < 1 || expires > SIGNED_MAX_EXPIRES) {
+      throw ErrorHandler.createFileSystemError('EINVAL', filePath, 'presign');
+    }
+    return expires;
+  }
+
+  /**
+   * Convert response headers to S3 response-* query parameters
+   * @param {Object<string, string>} [headers] - Headers by camelCase name (contentType) or parameter name
+   * @returns {Object<string, string>} Query parameters
+   */
+  static _responseParams(headers = {}) {
+    const params = {};
+    for (const [name, value] of Object.entries(headers)) {
+      const param = name.startsWith('response-')
+        ? name
+        : 'response-' + name.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+      params[param] = String(value);
+    }
+    return params;
+  }
+
+  /**
+   * Convert a tag set as returned by the backend to an object
+   * @param {Array<{Key: string, Value: string}>} tagSet - Tag set
+   * @returns {Object<string, string>} Tags
+   */
+  static toTags(tagSet) {
+    const tags = {};
+    for (const tag of tagSet || []) {
+      // Values are parsed from XML and may come back as numbers
+      tags[String(tag.Key)] = String(tag.Value);
+    }
+    return tags;
+  }
+
+  /**
+   * Convert an fs time argument to milliseconds since epoch, like Node's utimes
+   * @param {number|string|Date} time - Seconds since epoch, numeric string or Date
+   * @returns {number} Milliseconds since epoch
+   */
+  static toTimeMs(time) {
+    if (time instanceof Date) {
+      return time.getTime();
+    }
+    const seconds = typeof time === 'string' ? Number(time) : time;
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) {
+      return Date.now();
+    }
+    return seconds * 1000;
+  }
+
+  /**
+   * Get MinIO client instance for advanced operations
+   * @returns {MinioClient|null} MinIO client, null when not using the MinIO backend
+   *   or with client-side encryption (the client would bypass it)
+   */
+  getMinioClient() {
+    // Look through the wrappers of the compression and cache options
+    let backend = this.backend;
+    while (!backend.client && backend.backend) {
+      if (backend instanceof EncryptedBackend) return null;
+      backend = backend.backend;
+    }
+    return backend.client || null;
+  }
+
+  /**
+   * Get storage backend instance
+   * @returns {StorageBackend} Storage backend
+   */
+  getBackend() {
+    return this.backend;
   }
 
   /**
    * Get bucket name
-   * @returns {string} Bucket name
+   * @returns {string|null} Bucket name, null in multi-bucket mode
    */
   getBucket() {
     return this.bucket;
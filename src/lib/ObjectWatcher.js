@@ -0,0 +1,250 @@
+// ObjectWatcher.js - fs.FSWatcher-like emitter for object changes below a path
+
+import { EventEmitter } from 'events';
+import path from 'path';
+import ErrorHandler from './ErrorHandler.js';
+
+// Bucket notification events that trigger a rescan
+const NOTIFICATION_EVENTS = ['s3:ObjectCreated:*', 's3:ObjectRemoved:*'];
+
+class ObjectWatcher extends EventEmitter {
+  /**
+   * Create ObjectWatcher instance (use ObjectStorage.watch())
+   *
+   * Changes are found by comparing listings (etag and lastModified per
+   * entry). Bucket notifications trigger a rescan as soon as something
+   * changes; backends without notifications are polled every `interval` ms.
+   * Emits 'change' with (eventType, filename) like fs.FSWatcher: 'rename'
+   * when an entry appears or disappears, 'change' when its content changes.
+   *
+   * @param {ObjectStorage} storage - Storage to watch
+   * @param {string} filePath - File or directory path
+   * @param {Object} [options] - Watch options
+   * @param {boolean} [options.recursive=false] - Report changes in subdirectories
+   * @param {boolean} [options.persistent=true] - Keep the process alive while watching
+   * @param {string} [options.encoding='utf8'] - Filename encoding ('buffer' for Buffers)
+   * @param {number} [options.interval=1000] - Polling interval in ms
+   * @param {AbortSignal} [options.signal] - Closes the watcher when aborted
+   */
+  constructor(storage, filePath, options = {}) {
+    super();
+
+    this.storage = storage;
+    this.path = filePath;
+    this.recursive = !!options.recursive;
+    this.interval = options.interval || 1000;
+
+    this._persistent = options.persistent !== false;
+    this._encoding = options.encoding || 'utf8';
+    this._closed = false;
+    this._snapshot = null;
+    this._timer = null;
+    this._poller = null;
+    this._scanning = null;
+    this._rescan = false;
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        process.nextTick(() => this.close());
+        return;
+      }
+      options.signal.addEventListener('abort', () => this.close(), { once: true });
+    }
+
+    this._start().catch(error => this._fail(error));
+  }
+
+  /**
+   * Stop watching (emits 'close')
+   * @returns {void}
+   */
+  close() {
+    if (this._closed) return;
+
+    this._closed = true;
+    clearInterval(this._timer);
+    if (this._poller) {
+      this._poller.removeAllListeners('notification');
+      this._poller.stop();
+    }
+    process.nextTick(() => this.emit('close'));
+  }
+
+  /**
+   * Keep the process alive while watching
+   * @returns {ObjectWatcher} this
+   */
+  ref() {
+    this._persistent = true;
+    if (this._timer) this._timer.ref();
+    return this;
+  }
+
+  /**
+   * Let the process exit while watching
+   * @returns {ObjectWatcher} this
+   */
+  unref() {
+    this._persistent = false;
+    if (this._timer) this._timer.unref();
+    return this;
+  }
+
+  async _start() {
+    await this.storage.initialize();
+    this.storage.pathConverter.validatePath(this.path);
+
+    const entry = await this.storage._resolveEntry(this.path, 'watch');
+    if (entry.type === 'directory') {
+      this._target = { ...this.storage.pathConverter.getListPrefix(this.path), directory: true };
+    } else {
+      const { bucket, key } = this.storage.pathConverter.pathToMinIO(this.path);
+      this._target = { bucket, prefix: key, directory: false };
+    }
+
+    this._snapshot = await this._list();
+    if (this._closed) return;
+
+    if (!this._listen()) {
+      this._timer = setInterval(() => this._scan(), this.interval);
+      if (!this._persistent) this._timer.unref();
+    }
+  }
+
+  /**
+   * Subscribe to bucket notifications
+   * @returns {boolean} False if the backend cannot notify (polling is used instead)
+   */
+  _listen() {
+    const { bucket, prefix } = this._target;
+    try {
+      this._poller = this.storage.backend.listenBucketNotification(bucket, prefix, '', NOTIFICATION_EVENTS);
+    } catch (error) {
+      if (error.code === 'NotImplemented') return false;
+      throw error;
+    }
+
+    this._poller.on('notification', () => {
+      // Changes by other clients are not in cached listings yet
+      this.storage._invalidateMetadata(bucket, prefix);
+      this._scan();
+    });
+    // Servers without the notification API (e.g. S3) fail the first request
+    this._poller.on('error', () => {
+      this._poller.stop();
+      this._poller = null;
+      if (!this._closed && !this._timer) {
+        this._timer = setInterval(() => this._scan(), this.interval);
+        if (!this._persistent) this._timer.unref();
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Compare a new listing with the last one and emit the differences
+   * (overlapping triggers are folded into one extra scan)
+   * @returns {Promise<void>}
+   */
+  async _scan() {
+    if (this._scanning) {
+      this._rescan = true;
+      return;
+    }
+
+    this._scanning = (async () => {
+      do {
+        this._rescan = false;
+        const snapshot = await this._list();
+        if (this._closed) return;
+
+        const changes = [];
+        for (const [name, signature] of snapshot) {
+          if (!this._snapshot.has(name)) {
+            changes.push(['rename', name]);
+          } else if (this._snapshot.get(name) !== signature) {
+            changes.push(['change', name]);
+          }
+        }
+        for (const name of this._snapshot.keys()) {
+          if (!snapshot.has(name)) {
+            changes.push(['rename', name]);
+          }
+        }
+
+        // Listeners reading the changed entries must not get cached listings
+        if (changes.length > 0) {
+          this.storage._invalidateMetadata(this._target.bucket, this._target.prefix);
+        }
+        for (const [eventType, name] of changes) {
+          this._emitChange(eventType, name);
+        }
+        this._snapshot = snapshot;
+      } while (this._rescan && !this._closed);
+    })();
+
+    try {
+      await this._scanning;
+    } catch (error) {
+      this._fail(error);
+    } finally {
+      this._scanning = null;
+    }
+  }
+
+  /**
+   * List the watched entries
+   *
+   * The metadata cache is bypassed: it would hide changes by other clients
+   * until its entries expire.
+   *
+   * @returns {Promise<Map<string, string>>} Filename => signature (etag and lastModified)
+   */
+  async _list() {
+    const { bucket, prefix, directory } = this._target;
+    const backend = this.storage._metadataCache ? this.storage._metadataCache.backend : this.storage.backend;
+    const snapshot = new Map();
+
+    if (!directory) {
+      try {
+        const info = await backend.statObject(bucket, prefix, this.storage._sseReadOptions(this.storage.sse));
+        snapshot.set(path.posix.basename(prefix), ObjectWatcher.signature(info));
+      } catch (error) {
+        if (!ErrorHandler.isNotFoundError(ErrorHandler.convertError(error))) throw error;
+      }
+      return snapshot;
+    }
+
+    for await (const obj of backend.listObjectsV2(bucket, prefix, this.recursive)) {
+      const key = obj.name || obj.prefix;
+      if (key === prefix) continue;
+
+      // Subdirectories (markers and common prefixes) only appear and disappear
+      const name = key.substring(prefix.length).replace(/\/$/, '');
+      snapshot.set(name, key.endsWith('/') ? 'directory' : ObjectWatcher.signature(obj));
+    }
+    return snapshot;
+  }
+
+  _emitChange(eventType, name) {
+    this.emit('change', eventType, this._encoding === 'buffer' ? Buffer.from(name) : name);
+  }
+
+  _fail(error) {
+    if (this._closed) return;
+    this.emit('error', ErrorHandler.convertError(error, this.path, 'watch'));
+    this.close();
+  }
+
+  /**
+   * Signature telling whether object content changed
+   * @param {Object} info - Listing entry or object info
+   * @returns {string} Signature
+   */
+  static signature(info) {
+    const lastModified = info.lastModified ? new Date(info.lastModified).getTime() : 0;
+    return `${info.etag}:${lastModified}`;
+  }
+}
+
+export default ObjectWatcher;
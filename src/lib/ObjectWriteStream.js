@@ -0,0 +1,176 @@
+// ObjectWriteStream.js - fs.WriteStream-like Writable that finishes once the object is stored
+
+import { Writable, PassThrough } from 'stream';
+import { pipeline } from 'stream/promises';
+import ErrorHandler from './ErrorHandler.js';
+
+// Supported flags: 'x' fails if the object exists, 'a' keeps existing content
+const FLAGS = {
+  'w': {},
+  'wx': { exclusive: true },
+  'a': { append: true },
+  'ax': { append: true, exclusive: true }
+};
+
+class ObjectWriteStream extends Writable {
+  /**
+   * Create ObjectWriteStream instance (use ObjectStorage.createWriteStream())
+   *
+   * Data is streamed to putObject while it is written. 'finish' and 'close'
+   * are only emitted after the upload has completed; `etag` and `size` are
+   * set at that point. Upload failures are emitted as 'error'.
+   *
+   * Uploads are conditional like those of writeFile(): 'x' creates the
+   * object with If-None-Match: * (EEXIST if another writer created it
+   * first) and 'a' replaces it only while it still has the etag the
+   * existing content was read at (ESTALE otherwise).
+   *
+   * @param {ObjectStorage} storage - Storage the object belongs to
+   * @param {string} filePath - File path
+   * @param {Object} [options] - Stream options
+   * @param {string} [options.flags='w'] - 'w', 'wx', 'a' or 'ax'
+   * @param {string} [options.encoding='utf8'] - Encoding for string chunks
+   * @param {number} [options.highWaterMark] - Buffer size in bytes
+   * @param {number} [options.mode] - Mode of a newly created file
+   * @param {string} [options.contentType] - Content-Type (detected from the extension by default)
+   * @param {string} [options.cacheControl] - Cache-Control header
+   * @param {string} [options.contentEncoding] - Content-Encoding header
+   * @param {string} [options.contentDisposition] - Content-Disposition header
+   * @param {Object<string, string>} [options.metadata] - User metadata
+   * @param {Object<string, string>} [options.tags] - Tags stored with the object
+   */
+  constructor(storage, filePath, options = {}) {
+    const flags = options.flags || 'w';
+    if (!FLAGS[flags]) {
+      throw ErrorHandler.createFileSystemError('EINVAL', filePath, 'open');
+    }
+
+    super({
+      highWaterMark: options.highWaterMark,
+      defaultEncoding: options.encoding || 'utf8'
+    });
+
+    this.storage = storage;
+    this.path = filePath;
+    this.flags = flags;
+    this.bytesWritten = 0;
+    this.pending = true;
+    this.etag = undefined;
+    this.versionId = undefined;
+    this.size = undefined;
+
+    this._mode = FLAGS[flags];
+    this._options = options;
+    this._appendedSize = 0;
+    this._upload = null;
+    this._uploadStream = null;
+  }
+
+  async _construct(callback) {
+    let existing = null;
+    let metaData;
+    try {
+      await this.storage.initialize();
+      this.storage.pathConverter.validatePath(this.path);
+
+      existing = await this.storage._resolveEntryIfExists(this.path);
+      if (existing && existing.type === 'directory') {
+        throw ErrorHandler.createFileSystemError('EISDIR', this.path, 'open');
+      }
+      if (existing && this._mode.exclusive) {
+        throw ErrorHandler.createFileSystemError('EEXIST', this.path, 'open');
+      }
+      if (!existing) {
+        await this.storage._assertParentDirectory(this.path, 'open');
+      }
+      metaData = {
+        ...this.storage._contentMetaData(this.path, existing && existing.metaData, this._options),
+        ...this.storage._sseHeaders(this.storage.sse)
+      };
+      if (this._mode.exclusive) {
+        metaData['if-none-match'] = '*';
+      } else if (this._mode.append && existing) {
+        metaData['if-match'] = existing.etag;
+      }
+      if (this._options.tags !== undefined) {
+        Object.assign(metaData, this.storage._taggingHeaders(this.storage._validateTags(this.path, this._options.tags, 'open')));
+      }
+    } catch (error) {
+      callback(ErrorHandler.convertError(error, this.path, 'open'));
+      return;
+    }
+
+    const { bucket, key } = this.storage.pathConverter.pathToMinIO(this.path);
+    this._uploadStream = new PassThrough();
+    this._upload = this.storage.backend.putObject(bucket, key, this._uploadStream, undefined, metaData);
+    // Fail early instead of waiting for end() when the upload breaks
+    this._upload.catch(error => this.destroy(this._uploadError(error)));
+
+    if (this._mode.append && existing) {
+      try {
+        const current = await this.storage.backend.getObject(bucket, key, this.storage._sseReadOptions(this.storage.sse));
+        await pipeline(current, this._uploadStream, { end: false });
+      } catch (error) {
+        this._uploadStream.destroy();
+        callback(ErrorHandler.convertError(error, this.path, 'open'));
+        return;
+      }
+      this._appendedSize = existing.size;
+    }
+
+    this.pending = false;
+    callback();
+    this.emit('open');
+    this.emit('ready');
+  }
+
+  _write(chunk, encoding, callback) {
+    this.bytesWritten += chunk.length;
+    if (this._uploadStream.write(chunk)) {
+      callback();
+    } else {
+      this._uploadStream.once('drain', () => callback());
+    }
+  }
+
+  async _final(callback) {
+    this._uploadStream.end();
+    try {
+      const result = await this._upload;
+      const { bucket, key } = this.storage.pathConverter.pathToMinIO(this.path);
+      await this.storage._uncache(bucket, key);
+      this.etag = result && result.etag;
+      this.versionId = result ? result.versionId : undefined;
+      this.size = this._appendedSize + this.bytesWritten;
+    } catch (error) {
+      callback(this._uploadError(error));
+      return;
+    }
+    callback();
+  }
+
+  /**
+   * Convert an upload error; a failed If-None-Match means that another
+   * writer created the file first
+   * @param {Error} error - Backend error
+   * @returns {Error} fs-style error
+   */
+  _uploadError(error) {
+    const converted = ErrorHandler.convertError(error, this.path, 'write');
+    if (this._mode.exclusive && ErrorHandler.isPreconditionError(converted)) {
+      return ErrorHandler.createFileSystemError('EEXIST', this.path, 'open');
+    }
+    return converted;
+  }
+
+  _destroy(error, callback) {
+    // Abort an upload that has not been committed yet; the backend sees a
+    // premature close (no error is passed, nothing listens on this stream)
+    if (this._uploadStream && !this._uploadStream.writableFinished) {
+      this._uploadStream.destroy();
+    }
+    callback(error);
+  }
+}
+
+export default ObjectWriteStream;
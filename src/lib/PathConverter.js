@@ -6,16 +6,18 @@ class PathConverter {
   /**
    * Create PathConverter instance
    * @param {Object} options - Configuration options
-   * @param {string} options.bucket - Default bucket name
+   * @param {string} options.bucket - Default bucket name (not used in multi-bucket mode)
    * @param {string} [options.prefix=''] - Key prefix for all objects
    * @param {string} [options.separator='/'] - Path separator for object keys
+   * @param {boolean} [options.multiBucket=false] - The first path segment selects the bucket
    */
   constructor(options = {}) {
-    this.bucket = options.bucket;
+    this.bucket = options.bucket || null;
     this.prefix = options.prefix || '';
     this.separator = options.separator || '/';
+    this.multiBucket = !!options.multiBucket;
     
-    if (!this.bucket) {
+    if (!this.bucket && !this.multiBucket) {
       throw new Error('Bucket name is required');
     }
   }
@@ -29,6 +31,15 @@ class PathConverter {
     // Normalize path and remove leading slash
     let normalizedPath = path.posix.normalize(filePath).replace(/^\/+/, '');
 
+    // '/bucket/key' in multi-bucket mode, '/' has no bucket
+    if (this.multiBucket) {
+      const [bucket, ...segments] = normalizedPath.split('/');
+      return {
+        bucket,
+        key: this._toKey(segments.join('/'))
+      };
+    }
+
     // oPbg擪Ɋ܂܂Ăꍇ͏
     if (normalizedPath.startsWith(this.bucket + '/')) {
       normalizedPath = normalizedPath.substring(this.bucket.length + 1);
@@ -36,21 +47,28 @@ class PathConverter {
       normalizedPath = '';
     }
     
+    return {
+      bucket: this.bucket,
+      key: this._toKey(normalizedPath)
+    };
+  }
+
+  /**
+   * Build object key from a path relative to the bucket
+   * @param {string} relativePath - Normalized path without leading slash
+   * @returns {string} Object key
+   */
+  _toKey(relativePath) {
     // Combine prefix and path
     let key;
     if (this.prefix) {
-      key = this.prefix + this.separator + normalizedPath;
+      key = this.prefix + this.separator + relativePath;
     } else {
-      key = normalizedPath;
+      key = relativePath;
     }
     
     // Ensure we don't have double separators
-    key = key.replace(/\/+/g, '/');
-    
-    return {
-      bucket: this.bucket,
-      key: key
-    };
+    return key.replace(/\/+/g, '/');
   }
 
   /**
@@ -223,6 +241,49 @@ class PathConverter {
     return path.posix.basename(norm);
   }
 
+  /**
+   * Convert a glob pattern to a regular expression over paths without leading slash
+   *
+   * '*' and '?' match within one segment, '**' across segments (a '**'
+   * segment also matches no directory at all) and '{a,b}' either
+   * alternative.
+   *
+   * @param {string} pattern - Glob pattern (e.g. 'logs/**')
+   * @returns {RegExp} Regular expression matching the whole path
+   * @throws {Error} If a '{' is not closed
+   */
+  static globToRegExp(pattern) {
+    const glob = pattern.replace(/^\/+/, '');
+    let source = '';
+    let depth = 0;
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === '*' && glob[i + 1] === '*') {
+        const directories = glob[i + 2] === '/';
+        source += directories ? '(?:.*/)?' : '.*';
+        i += directories ? 2 : 1;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '{') {
+        source += '(?:';
+        depth++;
+      } else if (char === '}' && depth > 0) {
+        source += ')';
+        depth--;
+      } else if (char === ',' && depth > 0) {
+        source += '|';
+      } else {
+        source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+      }
+    }
+    if (depth > 0) {
+      throw new Error(`Glob pattern has an unclosed '{': ${pattern}`);
+    }
+    return new RegExp('^' + source + '$');
+  }
+
   /**
    * Validate path format
    * @param {string} filePath - Path to validate
@@ -248,7 +309,7 @@ class PathConverter {
 
   /**
    * Get bucket name
-   * @returns {string} Bucket name
+   * @returns {string|null} Bucket name, null in multi-bucket mode
    */
   getBucket() {
     return this.bucket;
@@ -0,0 +1,109 @@
+// StatWatcher.js - fs.StatWatcher-like stat polling for ObjectStorage.watchFile()
+
+import { EventEmitter } from 'events';
+
+class StatWatcher extends EventEmitter {
+  /**
+   * Create StatWatcher instance (use ObjectStorage.watchFile())
+   *
+   * Polls stat() every `interval` ms and emits 'change' with (current,
+   * previous) stats when size, mtime or etag differ. A missing file is
+   * reported with zeroed stats, like fs.watchFile().
+   *
+   * @param {ObjectStorage} storage - Storage to watch
+   * @param {string} filePath - File path
+   * @param {Object} [options] - Watch options
+   * @param {number} [options.interval=5007] - Polling interval in ms
+   * @param {boolean} [options.persistent=true] - Keep the process alive while watching
+   */
+  constructor(storage, filePath, options = {}) {
+    super();
+
+    this.storage = storage;
+    this.path = filePath;
+    this.interval = options.interval || 5007;
+
+    this._previous = null;
+    this._polling = false;
+    this._timer = setInterval(() => this._poll(), this.interval);
+    if (options.persistent === false) this._timer.unref();
+
+    // The first result is the baseline, it does not emit
+    this._poll();
+  }
+
+  /**
+   * Stop polling
+   * @returns {void}
+   */
+  stop() {
+    if (!this._timer) return;
+
+    clearInterval(this._timer);
+    this._timer = null;
+    process.nextTick(() => this.emit('stop'));
+  }
+
+  /**
+   * Keep the process alive while watching
+   * @returns {StatWatcher} this
+   */
+  ref() {
+    if (this._timer) this._timer.ref();
+    return this;
+  }
+
+  /**
+   * Let the process exit while watching
+   * @returns {StatWatcher} this
+   */
+  unref() {
+    if (this._timer) this._timer.unref();
+    return this;
+  }
+
+  async _poll() {
+    if (this._polling) return;
+    this._polling = true;
+
+    let current;
+    try {
+      current = await this.storage.stat(this.path);
+    } catch (error) {
+      current = this._missingStats();
+    } finally {
+      this._polling = false;
+    }
+    if (!this._timer) return;
+
+    const previous = this._previous;
+    this._previous = current;
+    if (previous && StatWatcher.changed(current, previous)) {
+      this.emit('change', current, previous);
+    }
+  }
+
+  _missingStats() {
+    return {
+      ...this.storage._createStats({ type: 'file', size: 0, lastModified: new Date(0) }),
+      isFile: () => false,
+      mode: 0,
+      etag: undefined
+    };
+  }
+
+  /**
+   * Check whether two stats describe different content
+   * @param {Object} current - Current stats
+   * @param {Object} previous - Previous stats
+   * @returns {boolean} True if changed
+   */
+  static changed(current, previous) {
+    return current.size !== previous.size ||
+      current.mtimeMs !== previous.mtimeMs ||
+      current.etag !== previous.etag ||
+      current.isDirectory() !== previous.isDirectory();
+  }
+}
+
+export default StatWatcher;
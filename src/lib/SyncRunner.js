@@ -0,0 +1,210 @@
+// SyncRunner.js - Runs ObjectStorage calls on a worker thread and blocks until they settle
+
+import { Worker, MessageChannel, receiveMessageOnPort } from 'worker_threads';
+import ErrorHandler from './ErrorHandler.js';
+
+// Values of the shared flag: waiting for the worker, reply posted, worker exiting
+const PENDING = 0;
+const REPLIED = 1;
+const EXITED = 2;
+
+// Longest single Atomics.wait between checks of the worker state (ms)
+const WAIT_SLICE = 100;
+
+class SyncRunner {
+  /**
+   * Create SyncRunner instance (used by the ObjectStorage *Sync methods)
+   *
+   * The worker owns its own ObjectStorage built from workerOptions. Each call
+   * posts a request, blocks on Atomics.wait until the worker flags the reply
+   * and then takes the reply off the port synchronously. A worker that
+   * exits or does not reply within `timeout` ms fails the call with EIO or
+   * ETIMEDOUT and is replaced by the next call.
+   *
+   * @param {Object} workerOptions - Structured-clonable ObjectStorage options, backend as {type, options}
+   * @param {number} [timeout=300000] - Longest wait for a reply in ms (0 waits forever)
+   */
+  constructor(workerOptions, timeout = 300000) {
+    this.workerOptions = workerOptions;
+    this.timeout = timeout;
+    this._worker = null;
+    this._port = null;
+    this._flag = null;
+    this._exited = false;
+  }
+
+  /**
+   * Run an ObjectStorage method in the worker and wait for its result
+   * @param {string} method - ObjectStorage method name
+   * @param {Array} args - Structured-clonable arguments
+   * @param {string} [filePath] - Path for errors of the worker itself
+   * @param {string} [syscall] - Operation name for errors of the worker itself
+   * @returns {*} Method result
+   * @throws {Error} Error thrown by the method, EIO if the worker exited, ETIMEDOUT without reply
+   */
+  call(method, args, filePath = null, syscall = method) {
+    this._start();
+
+    Atomics.store(this._flag, 0, PENDING);
+    this._port.postMessage({ method, args });
+
+    // Exit events are only delivered between calls; a worker exiting during
+    // one sets the flag itself
+    const deadline = this.timeout > 0 ? Date.now() + this.timeout : Infinity;
+    let reply;
+    for (;;) {
+      Atomics.wait(this._flag, 0, PENDING, Math.min(WAIT_SLICE, deadline - Date.now()));
+      const state = Atomics.load(this._flag, 0);
+      if (state === REPLIED) {
+        reply = receiveMessageOnPort(this._port);
+        if (reply) break;
+      }
+      if (state !== PENDING || this._exited) {
+        this._discard();
+        throw ErrorHandler.createFileSystemError('EIO', filePath, syscall);
+      }
+      if (Date.now() >= deadline) {
+        this._discard();
+        throw ErrorHandler.createFileSystemError('ETIMEDOUT', filePath, syscall);
+      }
+    }
+
+    const { message } = reply;
+    if (message.error) {
+      throw SyncRunner.decodeError(message.error);
+    }
+    return SyncRunner.decode(message.result);
+  }
+
+  /**
+   * Stop the worker thread (it is started again by the next call)
+   * @returns {Promise<void>}
+   */
+  async terminate() {
+    if (!this._worker) return;
+
+    const worker = this._worker;
+    this._port.close();
+    this._worker = null;
+    this._port = null;
+    await worker.terminate();
+  }
+
+  _start() {
+    if (this._worker) return;
+
+    const { port1, port2 } = new MessageChannel();
+    this._flag = new Int32Array(new SharedArrayBuffer(4));
+    this._port = port1;
+    this._exited = false;
+    const worker = new Worker(new URL('./syncWorker.js', import.meta.url), {
+      workerData: { options: this.workerOptions, port: port2, flag: this._flag },
+      transferList: [port2]
+    });
+    this._worker = worker;
+    const onExit = () => {
+      if (this._worker === worker) this._exited = true;
+    };
+    worker.on('exit', onExit);
+    worker.on('error', onExit);
+
+    // An idle worker must not keep the process alive
+    this._worker.unref();
+    this._port.unref();
+  }
+
+  /**
+   * Drop a worker that exited or stopped answering (a late reply must not
+   * reach the next call)
+   * @returns {void}
+   */
+  _discard() {
+    const worker = this._worker;
+    this._port.close();
+    this._worker = null;
+    this._port = null;
+    worker.terminate().catch(() => {});
+  }
+
+  /**
+   * Encode a method result for postMessage (predicate methods of Stats and
+   * Dirent objects are replaced by their values)
+   * @param {*} value - Method result
+   * @returns {*} Structured-clonable value
+   */
+  static encode(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => SyncRunner.encode(item));
+    }
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+      const data = {};
+      const methods = {};
+      for (const [name, property] of Object.entries(value)) {
+        if (typeof property === 'function') {
+          methods[name] = property();
+        } else {
+          data[name] = property;
+        }
+      }
+      return { $object: data, $methods: methods };
+    }
+    return value;
+  }
+
+  /**
+   * Decode a value produced by encode() (or posted arguments)
+   * @param {*} value - Posted value
+   * @returns {*} Value with Buffers and predicate methods restored
+   */
+  static decode(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => SyncRunner.decode(item));
+    }
+    if (value instanceof Uint8Array) {
+      return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    }
+    if (value && value.$object) {
+      const object = { ...value.$object };
+      for (const [name, result] of Object.entries(value.$methods)) {
+        object[name] = () => result;
+      }
+      return object;
+    }
+    return value;
+  }
+
+  /**
+   * Encode an error with its fs properties (code, errno, syscall, path, ...)
+   * @param {Error} error - Thrown error
+   * @returns {Object} Structured-clonable error description
+   */
+  static encodeError(error) {
+    const encoded = { name: error.name, message: error.message, props: {} };
+    for (const [name, value] of Object.entries(error)) {
+      if (name === 'errors') continue;
+      try {
+        encoded.props[name] = structuredClone(value);
+      } catch {
+        // Drop properties that cannot cross threads
+      }
+    }
+    if (Array.isArray(error.errors)) {
+      encoded.errors = error.errors.map(item => SyncRunner.encodeError(item));
+    }
+    return encoded;
+  }
+
+  /**
+   * Recreate an error from encodeError() output in the calling thread
+   * @param {Object} encoded - Error description
+   * @returns {Error} Error with the original properties
+   */
+  static decodeError(encoded) {
+    const error = encoded.errors
+      ? new AggregateError(encoded.errors.map(item => SyncRunner.decodeError(item)), encoded.message)
+      : new Error(encoded.message);
+    return Object.assign(error, encoded.props);
+  }
+}
+
+export default SyncRunner;
@@ -0,0 +1,382 @@
+// CompressedBackend.js - Backend wrapper that compresses object content (gzip or brotli) by key
+
+import zlib from 'zlib';
+import { Readable, Transform, pipeline } from 'stream';
+import StorageBackend from './StorageBackend.js';
+import StreamConverter from '../StreamConverter.js';
+
+// Supported codecs: one-shot functions for buffers, stream factories otherwise
+const CODECS = {
+  gzip: {
+    compressSync: zlib.gzipSync,
+    compress: zlib.createGzip,
+    decompress: zlib.createGunzip
+  },
+  br: {
+    compressSync: zlib.brotliCompressSync,
+    compress: zlib.createBrotliCompress,
+    decompress: zlib.createBrotliDecompress
+  }
+};
+
+// User metadata holding the codec and the uncompressed size
+const META_CODEC = 'fs-compression';
+const META_SIZE = 'fs-compression-size';
+
+// Reads of an object replaced between its stat and its GET start over this often
+const READ_ATTEMPTS = 3;
+
+class CompressedBackend extends StorageBackend {
+  /**
+   * Create CompressedBackend instance (use the compression option of ObjectStorage)
+   *
+   * Uploads to keys the codec function selects a codec for are compressed;
+   * the codec and the uncompressed size are kept in the user metadata.
+   * Reads decompress every object with that metadata, whatever the current
+   * rules, and report the uncompressed size. Empty uploads are stored as-is.
+   *
+   * @param {StorageBackend} backend - Backend storing the compressed content
+   * @param {Function} codecFor - (bucket, key) => 'gzip', 'br' or null: codec of an upload
+   */
+  constructor(backend, codecFor) {
+    super();
+    this.backend = backend;
+    this.codecFor = codecFor;
+  }
+
+  getWorkerConfig() {
+    // The worker wraps the backend again from the compression option
+    return this.backend.getWorkerConfig();
+  }
+
+  listenBucketNotification(bucket, prefix, suffix, events) {
+    return this.backend.listenBucketNotification(bucket, prefix, suffix, events);
+  }
+
+  async bucketExists(bucket) {
+    return this.backend.bucketExists(bucket);
+  }
+
+  async makeBucket(bucket) {
+    return this.backend.makeBucket(bucket);
+  }
+
+  async listBuckets() {
+    return this.backend.listBuckets();
+  }
+
+  async removeBucket(bucket) {
+    return this.backend.removeBucket(bucket);
+  }
+
+  async getObject(bucket, key, getOpts) {
+    return this._readPinned(bucket, key, getOpts, (info, pinnedOpts) => this._decompressed(bucket, key, info, pinnedOpts));
+  }
+
+  /**
+   * Get a byte range of object content
+   *
+   * Compressed content cannot be entered in the middle: the object is
+   * decompressed from the start and the bytes before the range are skipped.
+   */
+  async getPartialObject(bucket, key, offset, length, getOpts) {
+    return this._readPinned(bucket, key, getOpts, async (info, pinnedOpts) => {
+      if (!CompressedBackend.isCompressed(info.metaData)) {
+        return this.backend.getPartialObject(bucket, key, offset, length, pinnedOpts);
+      }
+      if (!info.sizeUnknown && offset >= info.size && info.size > 0) {
+        throw StorageBackend.createError('InvalidRange', 'The requested range is not satisfiable');
+      }
+
+      const stream = await this._decompressed(bucket, key, info, pinnedOpts);
+      const end = length ? offset + length : Infinity;
+      return pipeline(stream, CompressedBackend._rangeStream(offset, end), () => {});
+    });
+  }
+
+  async putObject(bucket, key, data, size, metaData = {}) {
+    const plainMetaData = CompressedBackend._withoutCodecMetaData(metaData);
+    const empty = size === 0 || ((Buffer.isBuffer(data) || data instanceof Uint8Array) && data.length === 0);
+    const codec = key.endsWith('/') || empty ? null : this.codecFor(bucket, key);
+    if (!codec) {
+      return this.backend.putObject(bucket, key, data, size, plainMetaData);
+    }
+
+    const compressedMetaData = { ...plainMetaData, [META_CODEC]: codec };
+
+    // Buffers stay buffers, backends treat them differently from streams (e.g. conditional writes)
+    if (Buffer.isBuffer(data) || data instanceof Uint8Array) {
+      const content = CODECS[codec].compressSync(data);
+      compressedMetaData[META_SIZE] = String(data.length);
+      return this.backend.putObject(bucket, key, content, content.length, compressedMetaData);
+    }
+
+    if (size !== undefined) {
+      compressedMetaData[META_SIZE] = String(size);
+    }
+    let count = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        count += chunk.length;
+        callback(null, chunk);
+      }
+    });
+    const stream = pipeline(StreamConverter.toReadableStream(data), counter, CODECS[codec].compress(), () => {});
+    const result = await this.backend.putObject(bucket, key, stream, undefined, compressedMetaData);
+    if (size !== undefined) {
+      return result;
+    }
+
+    // Streams of unknown length get their size once it is known, unless
+    // another upload replaced the object meanwhile (its size stays unknown)
+    try {
+      const updated = await this.backend.setObjectMetadata(bucket, key, {
+        ...CompressedBackend._replacementMetaData({ ...compressedMetaData, [META_SIZE]: String(count) }),
+        'if-match': result.etag
+      });
+      return { ...result, etag: updated.etag };
+    } catch (error) {
+      if (error.code !== 'PreconditionFailed') throw error;
+      return result;
+    }
+  }
+
+  async statObject(bucket, key, statOpts) {
+    const info = await this.backend.statObject(bucket, key, statOpts);
+    if (!CompressedBackend.isCompressed(info.metaData)) {
+      return info;
+    }
+
+    const storedSize = info.storedSize !== undefined ? info.storedSize : info.size;
+    if (info.metaData[META_SIZE] === undefined) {
+      // Interrupted stream uploads have no size; counting the content would make every stat a download
+      return { ...info, storedSize, sizeUnknown: true };
+    }
+    return { ...info, size: Number(info.metaData[META_SIZE]), storedSize };
+  }
+
+  listObjectsV2(bucket, prefix = '', recursive = false) {
+    // Listings carry no metadata and report the stored size
+    return this.backend.listObjectsV2(bucket, prefix, recursive);
+  }
+
+  listObjectVersions(bucket, prefix) {
+    return this.backend.listObjectVersions(bucket, prefix);
+  }
+
+  async getBucketVersioning(bucket) {
+    return this.backend.getBucketVersioning(bucket);
+  }
+
+  async setBucketVersioning(bucket, versionConfig) {
+    return this.backend.setBucketVersioning(bucket, versionConfig);
+  }
+
+  async copyObject(bucket, key, source, conditions, headers) {
+    // The metadata, and with it the codec, is copied along
+    return this.backend.copyObject(bucket, key, source, conditions, headers);
+  }
+
+  async composeObject(bucket, key, sources, metaData) {
+    const infos = [];
+    for (const source of sources) {
+      const info = await this._statObject(bucket, source.key);
+      if (source.matchETag && source.matchETag !== info.etag) {
+        throw StorageBackend.createError('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold');
+      }
+      infos.push(info);
+    }
+    if (!infos.some(info => CompressedBackend.isCompressed(info.metaData)) && !this.codecFor(bucket, key)) {
+      return this.backend.composeObject(bucket, key, sources, metaData);
+    }
+
+    // Compressed streams cannot be concatenated server-side: decompress the sources and upload anew
+    const backend = this;
+    async function* concat() {
+      for (const source of sources) {
+        yield* await backend.getObject(bucket, source.key);
+      }
+    }
+
+    // The destination must not change while the sources are read
+    const target = sources.find(source => source.key === key && source.matchETag);
+    const size = infos.some(info => info.sizeUnknown) ? undefined : infos.reduce((total, info) => total + info.size, 0);
+    return this.putObject(bucket, key, Readable.from(concat()), size, {
+      ...(metaData || infos[0].metaData),
+      ...(target && { 'if-match': target.matchETag })
+    });
+  }
+
+  async setObjectMetadata(bucket, key, metaData = {}) {
+    // Keep the codec whatever metadata the caller passes
+    const info = await this.backend.statObject(bucket, key, CompressedBackend._sourceReadOptions(metaData));
+    const codecMetaData = {};
+    for (const name of [META_CODEC, META_SIZE]) {
+      if (info.metaData[name] !== undefined) codecMetaData[name] = info.metaData[name];
+    }
+    return this.backend.setObjectMetadata(bucket, key, { ...CompressedBackend._withoutCodecMetaData(metaData), ...codecMetaData });
+  }
+
+  async getObjectTagging(bucket, key) {
+    return this.backend.getObjectTagging(bucket, key);
+  }
+
+  async setObjectTagging(bucket, key, tags) {
+    return this.backend.setObjectTagging(bucket, key, tags);
+  }
+
+  async removeObjectTagging(bucket, key) {
+    return this.backend.removeObjectTagging(bucket, key);
+  }
+
+  async removeObject(bucket, key) {
+    return this.backend.removeObject(bucket, key);
+  }
+
+  async removeObjects(bucket, keys) {
+    return this.backend.removeObjects(bucket, keys);
+  }
+
+  async presignedUrl(method, bucket, key, expires, reqParams) {
+    // Presigned downloads get the stored (compressed) bytes
+    return this.backend.presignedUrl(method, bucket, key, expires, reqParams);
+  }
+
+  async presignedPostPolicy(bucket, key, conditions) {
+    return this.backend.presignedPostPolicy(bucket, key, conditions);
+  }
+
+  /**
+   * Get object info for a read (a missing object is NoSuchKey, like getObject)
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object} [statOpts] - Options passed to statObject
+   * @returns {Promise<Object>} Object info with uncompressed size
+   */
+  async _statObject(bucket, key, statOpts) {
+    try {
+      return await this.statObject(bucket, key, statOpts);
+    } catch (error) {
+      if (error.code === 'NotFound') {
+        throw StorageBackend.createError('NoSuchKey', `The specified key does not exist: ${key}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stat an object and read it with the GET pinned to the etag of the stat,
+   * so the codec and the content belong to the same upload
+   *
+   * An object replaced in between fails the pin and is stat'ed again.
+   * Versions do not change, reads of one are not pinned. A matchETag of
+   * the caller is checked against the stat.
+   *
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object} [getOpts] - Get options
+   * @param {Function} read - (info, pinnedOpts) => Promise<Readable>: read with the pinned options
+   * @returns {Promise<Readable>} Result of read
+   */
+  async _readPinned(bucket, key, getOpts = {}, read) {
+    for (let attempt = 1; ; attempt++) {
+      const info = await this._statObject(bucket, key, getOpts);
+      if (getOpts.matchETag !== undefined && getOpts.matchETag !== info.etag) {
+        throw StorageBackend.createError('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold');
+      }
+      try {
+        return await read(info, getOpts.versionId ? getOpts : { ...getOpts, matchETag: info.etag });
+      } catch (error) {
+        if (error.code !== 'PreconditionFailed' || attempt >= READ_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Read the content of an object, decompressed if its info names a codec
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object} info - Object info
+   * @param {Object} getOpts - Get options
+   * @returns {Promise<Readable>} Content stream
+   */
+  async _decompressed(bucket, key, info, getOpts) {
+    const stream = await this.backend.getObject(bucket, key, getOpts);
+    if (!CompressedBackend.isCompressed(info.metaData)) {
+      return stream;
+    }
+    return pipeline(stream, CODECS[info.metaData[META_CODEC]].decompress(), () => {});
+  }
+
+  /**
+   * Check whether an object was stored compressed
+   * @param {Object} metaData - Object metadata
+   * @returns {boolean} True if the metadata names a codec
+   */
+  static isCompressed(metaData) {
+    return !!metaData && metaData[META_CODEC] !== undefined;
+  }
+
+  static _withoutCodecMetaData(metaData) {
+    const result = { ...metaData };
+    for (const name of [META_CODEC, META_SIZE]) {
+      delete result[name];
+    }
+    return result;
+  }
+
+  /**
+   * Metadata replacing the metadata of a just uploaded object: without its
+   * preconditions, and with the SSE-C key of the upload for the copy source
+   * @param {Object} metaData - Upload metadata
+   * @returns {Object} Metadata for setObjectMetadata
+   */
+  static _replacementMetaData(metaData) {
+    const result = { ...metaData };
+    delete result['if-match'];
+    delete result['if-none-match'];
+    for (const name of ['algorithm', 'key', 'key-md5']) {
+      const value = metaData['x-amz-server-side-encryption-customer-' + name];
+      if (value !== undefined) result['x-amz-copy-source-server-side-encryption-customer-' + name] = value;
+    }
+    return result;
+  }
+
+  /**
+   * Read options for the source of a metadata replacement (its SSE-C key)
+   * @param {Object} metaData - setObjectMetadata metadata
+   * @returns {Object} statObject options
+   */
+  static _sourceReadOptions(metaData) {
+    const key = metaData['x-amz-copy-source-server-side-encryption-customer-key'];
+    if (key === undefined) return {};
+    return {
+      SSECustomerAlgorithm: metaData['x-amz-copy-source-server-side-encryption-customer-algorithm'],
+      SSECustomerKey: key,
+      SSECustomerKeyMD5: metaData['x-amz-copy-source-server-side-encryption-customer-key-md5']
+    };
+  }
+
+  /**
+   * Transform passing on the bytes from offset (inclusive) to end (exclusive)
+   * @param {number} offset - First byte
+   * @param {number} end - Byte after the last one (Infinity for all)
+   * @returns {Transform} Content in, range out
+   */
+  static _rangeStream(offset, end) {
+    let position = 0;
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        const start = position;
+        position += chunk.length;
+        if (position <= offset || start >= end) {
+          callback();
+          return;
+        }
+        callback(null, chunk.subarray(Math.max(0, offset - start), Math.min(chunk.length, end - start)));
+      }
+    });
+  }
+}
+
+export default CompressedBackend;
@@ -0,0 +1,381 @@
+// EncryptedBackend.js - Backend wrapper that encrypts object content client-side (AES-256-GCM)
+
+import crypto from 'crypto';
+import { Readable, Transform, pipeline } from 'stream';
+import StorageBackend from './StorageBackend.js';
+import StreamConverter from '../StreamConverter.js';
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// AES block size; byte ranges are decrypted from the block they start in
+const BLOCK_LENGTH = 16;
+
+// User metadata holding the wrapped data key, the IV and the plaintext size
+const META_KEY = 'fs-enc-key';
+const META_IV = 'fs-enc-iv';
+const META_SIZE = 'fs-enc-size';
+
+// Reads of an object replaced between its stat and its GET start over this often
+const READ_ATTEMPTS = 3;
+
+class EncryptedBackend extends StorageBackend {
+  /**
+   * Create EncryptedBackend instance (use the encryption option of ObjectStorage)
+   *
+   * Every upload is encrypted with a new random data key. The stored object
+   * is the ciphertext followed by the GCM authentication tag; the data key,
+   * wrapped by the key provider, and the IV are kept in its user metadata,
+   * so the wrapped backend never sees plaintext or usable keys. Empty
+   * uploads (directory markers, links, empty files) are stored as-is.
+   *
+   * @param {StorageBackend} backend - Backend storing the ciphertext
+   * @param {Object} keyProvider - Key provider
+   * @param {Function} keyProvider.wrapKey - (dataKey: Buffer) => Promise<Buffer>: encrypt a data key
+   * @param {Function} keyProvider.unwrapKey - (wrappedKey: Buffer) => Promise<Buffer>: decrypt a data key
+   */
+  constructor(backend, keyProvider) {
+    super();
+
+    if (!keyProvider || typeof keyProvider.wrapKey !== 'function' || typeof keyProvider.unwrapKey !== 'function') {
+      throw new Error('encryption.keyProvider must have wrapKey and unwrapKey functions');
+    }
+
+    this.backend = backend;
+    this.keyProvider = keyProvider;
+  }
+
+  getWorkerConfig() {
+    // The key provider cannot be handed to another thread
+    return null;
+  }
+
+  listenBucketNotification(bucket, prefix, suffix, events) {
+    return this.backend.listenBucketNotification(bucket, prefix, suffix, events);
+  }
+
+  async bucketExists(bucket) {
+    return this.backend.bucketExists(bucket);
+  }
+
+  async makeBucket(bucket) {
+    return this.backend.makeBucket(bucket);
+  }
+
+  async listBuckets() {
+    return this.backend.listBuckets();
+  }
+
+  async removeBucket(bucket) {
+    return this.backend.removeBucket(bucket);
+  }
+
+  async getObject(bucket, key, getOpts) {
+    return this._readPinned(bucket, key, getOpts, async (info, pinnedOpts) => {
+      const stream = await this.backend.getObject(bucket, key, pinnedOpts);
+      if (!EncryptedBackend.isEncrypted(info.metaData)) {
+        return stream;
+      }
+
+      const decipher = crypto.createDecipheriv(CIPHER, await this._unwrapKey(info.metaData), EncryptedBackend._iv(info.metaData));
+      return pipeline(stream, EncryptedBackend._decryptStream(decipher, key), () => {});
+    });
+  }
+
+  /**
+   * Get a byte range of object content
+   *
+   * GCM encrypts with AES-CTR, so a range is decrypted from the counter of
+   * the block it starts in and only the range is downloaded. The
+   * authentication tag covers the whole object and is only checked by
+   * getObject().
+   */
+  async getPartialObject(bucket, key, offset, length, getOpts) {
+    return this._readPinned(bucket, key, getOpts, async (info, pinnedOpts) => {
+      if (!EncryptedBackend.isEncrypted(info.metaData)) {
+        return this.backend.getPartialObject(bucket, key, offset, length, pinnedOpts);
+      }
+      if (offset >= info.size && info.size > 0) {
+        throw StorageBackend.createError('InvalidRange', 'The requested range is not satisfiable');
+      }
+      if (info.size === 0) {
+        return Readable.from([]);
+      }
+
+      const end = length ? Math.min(offset + length, info.size) : info.size;
+      const dataKey = await this._unwrapKey(info.metaData);
+
+      // The first block of the plaintext uses counter 2 (counter 1 encrypts the tag)
+      const counter = Buffer.alloc(BLOCK_LENGTH);
+      EncryptedBackend._iv(info.metaData).copy(counter);
+      counter.writeUInt32BE(2 + Math.floor(offset / BLOCK_LENGTH), IV_LENGTH);
+      const decipher = crypto.createDecipheriv('aes-256-ctr', dataKey, counter);
+      decipher.update(Buffer.alloc(offset % BLOCK_LENGTH));
+
+      const stream = await this.backend.getPartialObject(bucket, key, offset, end - offset, pinnedOpts);
+      return pipeline(stream, decipher, () => {});
+    });
+  }
+
+  async putObject(bucket, key, data, size, metaData = {}) {
+    const empty = size === 0 || ((Buffer.isBuffer(data) || data instanceof Uint8Array) && data.length === 0);
+    if (key.endsWith('/') || empty) {
+      return this.backend.putObject(bucket, key, data, size, EncryptedBackend._withoutKeyMetaData(metaData));
+    }
+
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const wrappedKey = Buffer.from(await this.keyProvider.wrapKey(dataKey));
+    const cipher = crypto.createCipheriv(CIPHER, dataKey, iv);
+
+    const encryptedMetaData = {
+      ...EncryptedBackend._withoutKeyMetaData(metaData),
+      [META_KEY]: wrappedKey.toString('base64'),
+      [META_IV]: iv.toString('base64')
+    };
+
+    // Buffers stay buffers, backends treat them differently from streams (e.g. conditional writes)
+    if (Buffer.isBuffer(data) || data instanceof Uint8Array) {
+      const content = Buffer.concat([cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+      encryptedMetaData[META_SIZE] = String(data.length);
+      return this.backend.putObject(bucket, key, content, content.length, encryptedMetaData);
+    }
+
+    if (size !== undefined) {
+      encryptedMetaData[META_SIZE] = String(size);
+    }
+    const stream = pipeline(StreamConverter.toReadableStream(data), EncryptedBackend._encryptStream(cipher), () => {});
+    return this.backend.putObject(bucket, key, stream, size === undefined ? undefined : size + TAG_LENGTH, encryptedMetaData);
+  }
+
+  async statObject(bucket, key, statOpts) {
+    const info = await this.backend.statObject(bucket, key, statOpts);
+    return { ...info, size: EncryptedBackend.plainSize(info.size, info.metaData), storedSize: info.size };
+  }
+
+  listObjectsV2(bucket, prefix = '', recursive = false) {
+    // Listings carry no metadata to tell encrypted objects apart and report the stored size
+    return this.backend.listObjectsV2(bucket, prefix, recursive);
+  }
+
+  listObjectVersions(bucket, prefix) {
+    return this.backend.listObjectVersions(bucket, prefix);
+  }
+
+  async getBucketVersioning(bucket) {
+    return this.backend.getBucketVersioning(bucket);
+  }
+
+  async setBucketVersioning(bucket, versionConfig) {
+    return this.backend.setBucketVersioning(bucket, versionConfig);
+  }
+
+  async copyObject(bucket, key, source, conditions, headers) {
+    // The metadata, and with it the wrapped key, is copied along
+    return this.backend.copyObject(bucket, key, source, conditions, headers);
+  }
+
+  async composeObject(bucket, key, sources, metaData) {
+    // Ciphertexts cannot be concatenated server-side: decrypt the sources and upload anew
+    const infos = [];
+    for (const source of sources) {
+      const info = await this._statObject(bucket, source.key);
+      if (source.matchETag && source.matchETag !== info.etag) {
+        throw StorageBackend.createError('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold');
+      }
+      infos.push(info);
+    }
+
+    const backend = this;
+    async function* concat() {
+      for (const source of sources) {
+        yield* await backend.getObject(bucket, source.key);
+      }
+    }
+
+    // The destination must not change while the sources are read
+    const target = sources.find(source => source.key === key && source.matchETag);
+    const size = infos.reduce((total, info) => total + info.size, 0);
+    return this.putObject(bucket, key, Readable.from(concat()), size, {
+      ...(metaData || infos[0].metaData),
+      ...(target && { 'if-match': target.matchETag })
+    });
+  }
+
+  async setObjectMetadata(bucket, key, metaData = {}) {
+    // Keep the key material whatever metadata the caller passes
+    const info = await this._statObject(bucket, key);
+    const keyMetaData = {};
+    for (const name of [META_KEY, META_IV, META_SIZE]) {
+      if (info.metaData[name] !== undefined) keyMetaData[name] = info.metaData[name];
+    }
+    return this.backend.setObjectMetadata(bucket, key, { ...EncryptedBackend._withoutKeyMetaData(metaData), ...keyMetaData });
+  }
+
+  async getObjectTagging(bucket, key) {
+    return this.backend.getObjectTagging(bucket, key);
+  }
+
+  async setObjectTagging(bucket, key, tags) {
+    return this.backend.setObjectTagging(bucket, key, tags);
+  }
+
+  async removeObjectTagging(bucket, key) {
+    return this.backend.removeObjectTagging(bucket, key);
+  }
+
+  async removeObject(bucket, key) {
+    return this.backend.removeObject(bucket, key);
+  }
+
+  async removeObjects(bucket, keys) {
+    return this.backend.removeObjects(bucket, keys);
+  }
+
+  async presignedUrl(method, bucket, key, expires, reqParams) {
+    // A presigned request reads or writes the stored bytes directly
+    throw StorageBackend.createError('NotImplemented', 'Presigned requests bypass client-side encryption');
+  }
+
+  async presignedPostPolicy(bucket, key, conditions) {
+    throw StorageBackend.createError('NotImplemented', 'Presigned requests bypass client-side encryption');
+  }
+
+  /**
+   * Get object info for a read (a missing object is NoSuchKey, like getObject)
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object} [statOpts] - Options passed to statObject
+   * @returns {Promise<Object>} Object info with plaintext size
+   */
+  async _statObject(bucket, key, statOpts) {
+    try {
+      return await this.statObject(bucket, key, statOpts);
+    } catch (error) {
+      if (error.code === 'NotFound') {
+        throw StorageBackend.createError('NoSuchKey', `The specified key does not exist: ${key}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stat an object and read it with the GET pinned to the etag of the stat,
+   * so the key material and the content belong to the same upload
+   *
+   * An object replaced in between fails the pin and is stat'ed again.
+   * Versions do not change, reads of one are not pinned. A matchETag of
+   * the caller is checked against the stat.
+   *
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object} [getOpts] - Get options
+   * @param {Function} read - (info, pinnedOpts) => Promise<Readable>: read with the pinned options
+   * @returns {Promise<Readable>} Result of read
+   */
+  async _readPinned(bucket, key, getOpts = {}, read) {
+    for (let attempt = 1; ; attempt++) {
+      const info = await this._statObject(bucket, key, getOpts);
+      if (getOpts.matchETag !== undefined && getOpts.matchETag !== info.etag) {
+        throw StorageBackend.createError('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold');
+      }
+      try {
+        return await read(info, getOpts.versionId ? getOpts : { ...getOpts, matchETag: info.etag });
+      } catch (error) {
+        if (error.code !== 'PreconditionFailed' || attempt >= READ_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Decrypt the data key of an object with the key provider
+   * @param {Object} metaData - Object metadata
+   * @returns {Promise<Buffer>} Data key
+   */
+  async _unwrapKey(metaData) {
+    const dataKey = Buffer.from(await this.keyProvider.unwrapKey(Buffer.from(metaData[META_KEY], 'base64')));
+    if (dataKey.length !== KEY_LENGTH) {
+      throw new Error(`Key provider returned a ${dataKey.length} byte key, expected ${KEY_LENGTH}`);
+    }
+    return dataKey;
+  }
+
+  /**
+   * Check whether an object was stored encrypted
+   * @param {Object} metaData - Object metadata
+   * @returns {boolean} True if the metadata holds a wrapped data key
+   */
+  static isEncrypted(metaData) {
+    return !!metaData && metaData[META_KEY] !== undefined;
+  }
+
+  /**
+   * Size of the plaintext of an object
+   * @param {number} size - Stored size
+   * @param {Object} metaData - Object metadata
+   * @returns {number} Plaintext size
+   */
+  static plainSize(size, metaData) {
+    if (!EncryptedBackend.isEncrypted(metaData)) return size;
+    // Streams of unknown length are stored without the size
+    return metaData[META_SIZE] !== undefined ? Number(metaData[META_SIZE]) : size - TAG_LENGTH;
+  }
+
+  static _iv(metaData) {
+    return Buffer.from(metaData[META_IV], 'base64');
+  }
+
+  static _withoutKeyMetaData(metaData) {
+    const result = { ...metaData };
+    for (const name of [META_KEY, META_IV, META_SIZE]) {
+      delete result[name];
+    }
+    return result;
+  }
+
+  /**
+   * Transform appending the authentication tag to the ciphertext
+   * @param {Cipher} cipher - AES-GCM cipher
+   * @returns {Transform} Plaintext in, stored content out
+   */
+  static _encryptStream(cipher) {
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        callback(null, cipher.update(chunk));
+      },
+      flush(callback) {
+        callback(null, Buffer.concat([cipher.final(), cipher.getAuthTag()]));
+      }
+    });
+  }
+
+  /**
+   * Transform holding back the trailing authentication tag and checking it at the end
+   * @param {Decipher} decipher - AES-GCM decipher
+   * @param {string} key - Object key for errors
+   * @returns {Transform} Stored content in, plaintext out
+   */
+  static _decryptStream(decipher, key) {
+    let tail = Buffer.alloc(0);
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        const data = Buffer.concat([tail, chunk]);
+        const split = Math.max(0, data.length - TAG_LENGTH);
+        tail = data.subarray(split);
+        callback(null, decipher.update(data.subarray(0, split)));
+      },
+      flush(callback) {
+        try {
+          decipher.setAuthTag(tail);
+          callback(null, decipher.final());
+        } catch {
+          callback(StorageBackend.createError('DecryptionFailed', `Could not decrypt object ${key}: content or key does not match`));
+        }
+      }
+    });
+  }
+}
+
+export default EncryptedBackend;
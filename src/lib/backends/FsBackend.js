@@ -0,0 +1,695 @@
+// FsBackend.js - Storage backend that keeps objects in an fs-compatible file system
+
+import nodeFs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import StorageBackend from './StorageBackend.js';
+import StreamConverter from '../StreamConverter.js';
+
+// Directory (under root) holding object metadata and in-flight uploads
+const META_DIR = '.fs-object-storage';
+
+class FsBackend extends StorageBackend {
+  /**
+   * Create FsBackend instance
+   *
+   * Objects are stored as files under `<root>/<bucket>/<key>`, directory
+   * markers (keys ending with '/') as directories. Like MinIO in fs mode, an
+   * object cannot be the parent of another object.
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.root - Root directory for all buckets
+   * @param {Object} [options.fs] - fs-compatible module (defaults to Node's fs)
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.root) throw new Error('root is required');
+
+    this.fs = options.fs || nodeFs;
+    this.root = options.root;
+
+    // Tail of the pending-operation chain per object ('bucket/key')
+    this._keyLocks = new Map();
+  }
+
+  getWorkerConfig() {
+    // Only Node's fs can be reached from another thread
+    return this.fs === nodeFs ? { type: 'FsBackend', options: { root: this.root } } : null;
+  }
+
+  async bucketExists(bucket) {
+    const stats = await this._statPath(this._bucketPath(bucket));
+    return !!stats && stats.isDirectory();
+  }
+
+  async makeBucket(bucket) {
+    if (await this.bucketExists(bucket)) {
+      throw StorageBackend.createError('BucketAlreadyExists', `Bucket ${bucket} already exists`);
+    }
+    await this.fs.promises.mkdir(this._bucketPath(bucket), { recursive: true });
+  }
+
+  async listBuckets() {
+    const dirents = await this.fs.promises.readdir(this.root, { withFileTypes: true }).catch(() => []);
+    const buckets = [];
+    for (const dirent of dirents) {
+      const name = String(dirent.name);
+      if (!dirent.isDirectory() || name === META_DIR) continue;
+
+      const stats = await this.fs.promises.stat(this._bucketPath(name));
+      buckets.push({ name, creationDate: stats.birthtime });
+    }
+    return buckets.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  }
+
+  async removeBucket(bucket) {
+    await this._assertBucket(bucket);
+
+    const children = await this.fs.promises.readdir(this._bucketPath(bucket));
+    if (children.length > 0) {
+      throw StorageBackend.createError('BucketNotEmpty', `The bucket you tried to delete is not empty: ${bucket}`);
+    }
+    await this.fs.promises.rmdir(this._bucketPath(bucket));
+    await this.fs.promises.rm(path.posix.join(this.root, META_DIR, 'meta', bucket), { recursive: true, force: true });
+  }
+
+  async getObject(bucket, key, getOpts = {}) {
+    await this._assertBucket(bucket);
+    FsBackend._assertVersion(key, getOpts.versionId);
+    FsBackend._assertNoEncryption(getOpts);
+
+    const stats = await this._statPath(this._objectPath(bucket, key));
+    if (key.endsWith('/')) {
+      if (!stats || !stats.isDirectory() || !(await this._readMeta(bucket, key))) {
+        throw FsBackend.noSuchKey(key);
+      }
+      return Readable.from([]);
+    }
+    if (!stats || !stats.isFile()) {
+      throw FsBackend.noSuchKey(key);
+    }
+    if (getOpts.matchETag !== undefined && getOpts.matchETag !== (await this.statObject(bucket, key)).etag) {
+      throw FsBackend.preconditionFailed();
+    }
+
+    return this.fs.createReadStream(this._objectPath(bucket, key));
+  }
+
+  async getPartialObject(bucket, key, offset, length, getOpts = {}) {
+    FsBackend._assertNoEncryption(getOpts);
+    const info = await this.statObject(bucket, key).catch(error => {
+      throw error.code === 'NotFound' ? FsBackend.noSuchKey(key) : error;
+    });
+    if (getOpts.matchETag !== undefined && getOpts.matchETag !== info.etag) {
+      throw FsBackend.preconditionFailed();
+    }
+    if (offset >= info.size && info.size > 0) {
+      throw StorageBackend.createError('InvalidRange', 'The requested range is not satisfiable');
+    }
+    if (key.endsWith('/') || info.size === 0) {
+      return Readable.from([]);
+    }
+
+    const end = length ? Math.min(offset + length, info.size) - 1 : info.size - 1;
+    return this.fs.createReadStream(this._objectPath(bucket, key), { start: offset, end });
+  }
+
+  async putObject(bucket, key, data, size, metaData = {}) {
+    await this._assertBucket(bucket);
+    FsBackend._assertNoEncryption(metaData);
+
+    const objectPath = this._objectPath(bucket, key);
+    await this._prepareParents(bucket, key);
+
+    if (key.endsWith('/')) {
+      const stats = await this._statPath(objectPath);
+      if (stats && !stats.isDirectory()) {
+        throw FsBackend.parentIsObject(key);
+      }
+      await this.fs.promises.mkdir(objectPath, { recursive: true });
+      const etag = crypto.createHash('md5').update('').digest('hex');
+      await this._writeMeta(bucket, key, { etag, metaData: FsBackend.normalizeMetaData(metaData), ...FsBackend._uploadTags(metaData) });
+      return { etag, versionId: null };
+    }
+
+    const stats = await this._statPath(objectPath);
+    if (stats && stats.isDirectory()) {
+      throw StorageBackend.createError('XMinioObjectExistsAsDirectory', `Object name already exists as a directory: ${key}`);
+    }
+
+    // Stream into a temporary file first so readers never see partial content
+    const tmpDir = path.posix.join(this.root, META_DIR, 'tmp');
+    await this.fs.promises.mkdir(tmpDir, { recursive: true });
+    const tmpPath = path.posix.join(tmpDir, crypto.randomUUID());
+    const hash = crypto.createHash('md5');
+
+    try {
+      await pipeline(
+        StreamConverter.toReadableStream(data),
+        new Transform({
+          transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+          }
+        }),
+        this.fs.createWriteStream(tmpPath)
+      );
+    } catch (error) {
+      await this.fs.promises.unlink(tmpPath).catch(() => {});
+      throw error;
+    }
+
+    // Check conditions, swap in the content and record its etag as one step per
+    // key, so concurrent conditional puts cannot both succeed
+    const etag = hash.digest('hex');
+    await this._withKeyLock(bucket, key, async () => {
+      try {
+        await this._checkPutConditions(bucket, key, metaData);
+        await this.fs.promises.rename(tmpPath, objectPath);
+      } catch (error) {
+        await this.fs.promises.unlink(tmpPath).catch(() => {});
+        throw error;
+      }
+      await this._writeMeta(bucket, key, { etag, metaData: FsBackend.normalizeMetaData(metaData), ...FsBackend._uploadTags(metaData) });
+    });
+    return { etag, versionId: null };
+  }
+
+  async statObject(bucket, key, statOpts = {}) {
+    await this._assertBucket(bucket);
+    FsBackend._assertVersion(key, statOpts.versionId);
+    FsBackend._assertNoEncryption(statOpts);
+
+    const objectPath = this._objectPath(bucket, key);
+    const stats = await this._statPath(objectPath);
+    const meta = await this._readMeta(bucket, key);
+
+    if (key.endsWith('/')) {
+      if (!stats || !stats.isDirectory() || !meta) {
+        throw FsBackend.notFound(key);
+      }
+      return { size: 0, etag: meta.etag, lastModified: new Date(meta.lastModified), metaData: meta.metaData, versionId: null };
+    }
+    if (!stats || !stats.isFile()) {
+      throw FsBackend.notFound(key);
+    }
+
+    // Files placed in the root directory by other tools have no metadata yet
+    if (!meta) {
+      const content = await this.fs.promises.readFile(objectPath);
+      return {
+        size: stats.size,
+        etag: crypto.createHash('md5').update(content).digest('hex'),
+        lastModified: stats.mtime,
+        metaData: FsBackend.normalizeMetaData(),
+        versionId: null
+      };
+    }
+
+    return { size: stats.size, etag: meta.etag, lastModified: new Date(meta.lastModified), metaData: meta.metaData, versionId: null };
+  }
+
+  listObjectsV2(bucket, prefix = '', recursive = false) {
+    return Readable.from(this._listObjects(bucket, prefix, recursive));
+  }
+
+  listObjectVersions(bucket, prefix) {
+    // Without versioning every object has the single version 'null'
+    const backend = this;
+    return Readable.from((async function* () {
+      for await (const entry of backend._listObjects(bucket, prefix, true)) {
+        yield { ...entry, versionId: 'null', isLatest: true, isDeleteMarker: false };
+      }
+    })());
+  }
+
+  async getBucketVersioning(bucket) {
+    await this._assertBucket(bucket);
+    return {};
+  }
+
+  async copyObject(bucket, key, source, conditions = {}, headers = {}) {
+    FsBackend._assertNoEncryption(headers);
+    const [sourcePath, versionId] = source.split('?versionId=');
+    const separator = sourcePath.indexOf('/', 1);
+    const srcBucket = sourcePath.substring(sourcePath.startsWith('/') ? 1 : 0, separator);
+    const srcKey = sourcePath.substring(separator + 1);
+    FsBackend._assertVersion(srcKey, versionId && decodeURIComponent(versionId));
+
+    const srcInfo = await this.statObject(srcBucket, srcKey).catch(error => {
+      throw error.code === 'NotFound' ? FsBackend.noSuchKey(srcKey) : error;
+    });
+    if (conditions.matchETag && conditions.matchETag !== srcInfo.etag) {
+      throw FsBackend.preconditionFailed();
+    }
+    if (conditions.matchETagExcept && conditions.matchETagExcept === srcInfo.etag) {
+      throw FsBackend.preconditionFailed();
+    }
+
+    // Tags are copied along like S3 does by default
+    const srcMeta = await this._readMeta(srcBucket, srcKey);
+    const stream = await this.getObject(srcBucket, srcKey);
+    const { etag } = await this.putObject(bucket, key, stream, srcInfo.size, {
+      ...srcInfo.metaData,
+      ...(headers['if-none-match'] !== undefined && { 'if-none-match': headers['if-none-match'] })
+    });
+    if (srcMeta && srcMeta.tags) {
+      await this.setObjectTagging(bucket, key, srcMeta.tags);
+    }
+    return { etag, lastModified: new Date() };
+  }
+
+  async composeObject(bucket, key, sources, metaData) {
+    const infos = [];
+    for (const source of sources) {
+      const info = await this.statObject(bucket, source.key).catch(error => {
+        throw error.code === 'NotFound' ? FsBackend.noSuchKey(source.key) : error;
+      });
+      if (source.matchETag && source.matchETag !== info.etag) {
+        throw FsBackend.preconditionFailed();
+      }
+      infos.push(info);
+    }
+
+    const backend = this;
+    async function* concat() {
+      for (const source of sources) {
+        yield* await backend.getObject(bucket, source.key);
+      }
+    }
+
+    const size = infos.reduce((total, info) => total + info.size, 0);
+    return this.putObject(bucket, key, Readable.from(concat()), size, metaData || infos[0].metaData);
+  }
+
+  async setObjectMetadata(bucket, key, metaData = {}) {
+    FsBackend._assertNoEncryption(metaData);
+    const info = await this.statObject(bucket, key).catch(error => {
+      throw error.code === 'NotFound' ? FsBackend.noSuchKey(key) : error;
+    });
+
+    // Like a copy onto itself: same content, etag and tags, new lastModified
+    await this._withKeyLock(bucket, key, async () => {
+      const current = await this._readMeta(bucket, key);
+      if (metaData['if-match'] !== undefined && String(metaData['if-match']).replace(/"/g, '') !== (current ? current.etag : info.etag)) {
+        throw FsBackend.preconditionFailed();
+      }
+      return this._writeMeta(bucket, key, {
+        etag: info.etag,
+        metaData: FsBackend.normalizeMetaData(metaData),
+        ...(current && current.tags && { tags: current.tags })
+      });
+    });
+    const meta = await this._readMeta(bucket, key);
+    return { etag: info.etag, lastModified: new Date(meta.lastModified) };
+  }
+
+  async getObjectTagging(bucket, key) {
+    await this.statObject(bucket, key).catch(error => {
+      throw error.code === 'NotFound' ? FsBackend.noSuchKey(key) : error;
+    });
+    const meta = await this._readMeta(bucket, key);
+    return Object.entries((meta && meta.tags) || {}).map(([Key, Value]) => ({ Key, Value }));
+  }
+
+  async setObjectTagging(bucket, key, tags) {
+    await this._updateMeta(bucket, key, meta => ({ ...meta, tags: { ...tags } }));
+  }
+
+  async removeObjectTagging(bucket, key) {
+    await this._updateMeta(bucket, key, ({ tags, ...meta }) => meta);
+  }
+
+  async removeObject(bucket, key) {
+    await this._assertBucket(bucket);
+
+    const objectPath = this._objectPath(bucket, key);
+    const stats = await this._statPath(objectPath);
+
+    if (key.endsWith('/')) {
+      await this._removeMeta(bucket, key);
+      if (stats && stats.isDirectory()) {
+        await this._pruneDirectory(bucket, key.slice(0, -1));
+      }
+      return;
+    }
+
+    // Deleting a missing key is not an error in S3
+    if (stats && stats.isFile()) {
+      await this.fs.promises.unlink(objectPath);
+    }
+    await this._removeMeta(bucket, key);
+    await this._pruneDirectory(bucket, path.posix.dirname(key));
+  }
+
+  async removeObjects(bucket, keys) {
+    await this._assertBucket(bucket);
+
+    const failures = [];
+    for (const key of keys) {
+      try {
+        await this.removeObject(bucket, key);
+      } catch (error) {
+        failures.push({ key, error });
+      }
+    }
+    return failures;
+  }
+
+  /**
+   * Collect listing entries in key order
+   * @param {string} bucket - Bucket name
+   * @param {string} prefix - Key prefix
+   * @param {boolean} recursive - List all keys instead of grouping by '/'
+   * @returns {AsyncGenerator<Object>} Listing entries
+   */
+  async *_listObjects(bucket, prefix, recursive) {
+    await this._assertBucket(bucket);
+
+    const baseKey = prefix.substring(0, prefix.lastIndexOf('/') + 1);
+    const entries = [];
+
+    // The walk emits markers from their parent, a prefix naming a marker starts below it
+    if (baseKey !== '' && baseKey === prefix) {
+      const stats = await this._statPath(this._objectPath(bucket, prefix));
+      const meta = stats && stats.isDirectory() ? await this._readMeta(bucket, prefix) : null;
+      if (meta) {
+        entries.push({ name: prefix, size: 0, etag: meta.etag, lastModified: new Date(meta.lastModified) });
+      }
+    }
+    await this._walk(bucket, baseKey, prefix, recursive, entries);
+
+    entries.sort((a, b) => {
+      const nameA = a.name || a.prefix;
+      const nameB = b.name || b.prefix;
+      return nameA < nameB ? -1 : nameA > nameB ? 1 : 0;
+    });
+
+    yield* entries;
+  }
+
+  /**
+   * Walk a directory and push listing entries matching prefix
+   * @param {string} bucket - Bucket name
+   * @param {string} dirKey - Key of the directory to walk ('' or ending with '/')
+   * @param {string} prefix - Key prefix to match
+   * @param {boolean} recursive - Descend into sub directories
+   * @param {Object[]} entries - Output entries
+   * @returns {Promise<void>}
+   */
+  async _walk(bucket, dirKey, prefix, recursive, entries) {
+    let dirents;
+    try {
+      dirents = await this.fs.promises.readdir(this._objectPath(bucket, dirKey), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return;
+      throw error;
+    }
+
+    for (const dirent of dirents) {
+      const name = String(dirent.name);
+      if (dirKey === '' && name === META_DIR) continue;
+
+      if (dirent.isDirectory()) {
+        const childKey = dirKey + name + '/';
+        if (!childKey.startsWith(prefix) && !prefix.startsWith(childKey)) continue;
+
+        if (!recursive && childKey.length > prefix.length) {
+          entries.push({ prefix: childKey, size: 0 });
+          continue;
+        }
+        if (childKey.startsWith(prefix)) {
+          const meta = await this._readMeta(bucket, childKey);
+          if (meta) {
+            entries.push({ name: childKey, size: 0, etag: meta.etag, lastModified: new Date(meta.lastModified) });
+          }
+        }
+        await this._walk(bucket, childKey, prefix, recursive, entries);
+      } else if (dirent.isFile()) {
+        const childKey = dirKey + name;
+        if (!childKey.startsWith(prefix)) continue;
+
+        const info = await this.statObject(bucket, childKey);
+        entries.push({ name: childKey, size: info.size, etag: info.etag, lastModified: info.lastModified });
+      }
+    }
+  }
+
+  /**
+   * Make sure no ancestor of key is stored as an object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async _prepareParents(bucket, key) {
+    const segments = key.split('/').filter(Boolean);
+    let current = this._bucketPath(bucket);
+
+    for (const segment of segments.slice(0, key.endsWith('/') ? -1 : segments.length - 1)) {
+      current = path.posix.join(current, segment);
+      let stats = await this._statPath(current);
+      if (!stats) {
+        try {
+          await this.fs.promises.mkdir(current);
+          continue;
+        } catch (error) {
+          // Another upload may have created it in the meantime
+          if (error.code !== 'EEXIST') throw error;
+          stats = await this._statPath(current);
+        }
+      }
+      if (!stats || !stats.isDirectory()) {
+        throw FsBackend.parentIsObject(key);
+      }
+    }
+  }
+
+  /**
+   * Remove empty directories that are not directory markers, walking upwards
+   * @param {string} bucket - Bucket name
+   * @param {string} dirKey - Directory key without trailing separator
+   * @returns {Promise<void>}
+   */
+  async _pruneDirectory(bucket, dirKey) {
+    while (dirKey && dirKey !== '.') {
+      if (await this._readMeta(bucket, dirKey + '/')) return;
+
+      const dirPath = this._objectPath(bucket, dirKey);
+      const children = await this.fs.promises.readdir(dirPath).catch(() => null);
+      if (!children || children.length > 0) return;
+
+      try {
+        await this.fs.promises.rmdir(dirPath);
+      } catch (error) {
+        // Stop when another upload has written into the directory meanwhile
+        if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST' || error.code === 'ENOENT') return;
+        throw error;
+      }
+      dirKey = path.posix.dirname(dirKey);
+    }
+  }
+
+  /**
+   * Run fn after all earlier fn calls for the same object have settled
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Result of fn
+   */
+  async _withKeyLock(bucket, key, fn) {
+    const id = `${bucket}/${key}`;
+    const previous = this._keyLocks.get(id) || Promise.resolve();
+    const current = previous.then(fn, fn);
+    const tail = current.catch(() => {});
+    this._keyLocks.set(id, tail);
+    try {
+      return await current;
+    } finally {
+      if (this._keyLocks.get(id) === tail) {
+        this._keyLocks.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Evaluate the If-Match / If-None-Match headers of a put against the current object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object} metaData - Metadata passed to putObject
+   * @returns {Promise<void>}
+   */
+  async _checkPutConditions(bucket, key, metaData) {
+    let ifMatch;
+    let ifNoneMatch;
+    for (const [name, value] of Object.entries(metaData)) {
+      const lower = name.toLowerCase();
+      if (lower === 'if-match') ifMatch = String(value).replace(/"/g, '');
+      if (lower === 'if-none-match') ifNoneMatch = String(value).replace(/"/g, '');
+    }
+    if (ifMatch === undefined && ifNoneMatch === undefined) return;
+
+    const current = await this.statObject(bucket, key).catch(error => {
+      if (error.code === 'NotFound') return null;
+      throw error;
+    });
+
+    if (ifMatch !== undefined) {
+      if (!current) throw FsBackend.noSuchKey(key);
+      if (ifMatch !== '*' && ifMatch !== current.etag) throw FsBackend.preconditionFailed();
+    }
+    if (ifNoneMatch !== undefined && current && (ifNoneMatch === '*' || ifNoneMatch === current.etag)) {
+      throw FsBackend.preconditionFailed();
+    }
+  }
+
+  async _assertBucket(bucket) {
+    if (!(await this.bucketExists(bucket))) {
+      throw StorageBackend.createError('NoSuchBucket', `The specified bucket does not exist: ${bucket}`);
+    }
+  }
+
+  async _statPath(filePath) {
+    try {
+      return await this.fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+      throw error;
+    }
+  }
+
+  async _readMeta(bucket, key) {
+    try {
+      return JSON.parse(await this.fs.promises.readFile(this._metaPath(bucket, key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async _writeMeta(bucket, key, meta) {
+    const metaPath = this._metaPath(bucket, key);
+    await this.fs.promises.mkdir(path.posix.dirname(metaPath), { recursive: true });
+    await this.fs.promises.writeFile(metaPath, JSON.stringify({
+      lastModified: new Date().toISOString(),
+      ...meta
+    }));
+  }
+
+  /**
+   * Change the stored metadata record of an object without touching its content
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Function} update - Maps the current record to the new one
+   * @returns {Promise<void>}
+   */
+  async _updateMeta(bucket, key, update) {
+    const info = await this.statObject(bucket, key).catch(error => {
+      throw error.code === 'NotFound' ? FsBackend.noSuchKey(key) : error;
+    });
+
+    await this._withKeyLock(bucket, key, async () => {
+      // Files placed by other tools get a record describing their current state
+      const meta = await this._readMeta(bucket, key) ||
+        { etag: info.etag, lastModified: info.lastModified.toISOString(), metaData: info.metaData };
+      await this._writeMeta(bucket, key, update(meta));
+    });
+  }
+
+  async _removeMeta(bucket, key) {
+    try {
+      await this.fs.promises.unlink(this._metaPath(bucket, key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  _bucketPath(bucket) {
+    return path.posix.join(this.root, bucket);
+  }
+
+  _objectPath(bucket, key) {
+    const segments = key.split('/').filter(Boolean);
+    if (segments.some(segment => segment === '.' || segment === '..')) {
+      throw StorageBackend.createError('XMinioInvalidObjectName', `Object name contains unsupported characters: ${key}`);
+    }
+    return path.posix.join(this._bucketPath(bucket), ...segments);
+  }
+
+  _metaPath(bucket, key) {
+    // Hash keys so metadata files never collide with each other or exceed name limits
+    const name = crypto.createHash('sha1').update(key).digest('hex');
+    return path.posix.join(this.root, META_DIR, 'meta', bucket, name + '.json');
+  }
+
+  /**
+   * Normalize metadata the way MinIO reports it from statObject
+   * @param {Object} [metaData] - Metadata passed to putObject
+   * @returns {Object} Metadata with lower-case keys and no 'x-amz-meta-' prefix
+   */
+  static normalizeMetaData(metaData = {}) {
+    const normalized = { 'content-type': 'application/octet-stream' };
+    for (const [name, value] of Object.entries(metaData)) {
+      const lower = name.toLowerCase();
+      if (lower === 'if-match' || lower === 'if-none-match' || lower === 'x-amz-tagging') continue;
+      normalized[lower.startsWith('x-amz-meta-') ? lower.substring('x-amz-meta-'.length) : lower] = String(value);
+    }
+    return normalized;
+  }
+
+  /**
+   * Tags requested by the x-amz-tagging header of an upload
+   * @param {Object} [metaData] - Metadata passed to putObject
+   * @returns {{tags: Object<string, string>}|{}} Tags field of the metadata record
+   */
+  static _uploadTags(metaData = {}) {
+    const header = Object.keys(metaData).find(name => name.toLowerCase() === 'x-amz-tagging');
+    if (header === undefined || !metaData[header]) return {};
+    return { tags: Object.fromEntries(new URLSearchParams(metaData[header])) };
+  }
+
+  /**
+   * Reject version IDs other than 'null' (the version of objects in unversioned buckets)
+   * @param {string} key - Object key
+   * @param {string} [versionId] - Requested version
+   * @returns {void}
+   */
+  static _assertVersion(key, versionId) {
+    if (versionId && versionId !== 'null') {
+      throw StorageBackend.createError('NoSuchVersion', `The specified version does not exist: ${key}`);
+    }
+  }
+
+  /**
+   * Reject server-side encryption, which plain files cannot provide
+   * @param {Object} [options] - Request headers, or get/stat options
+   * @returns {void}
+   */
+  static _assertNoEncryption(options = {}) {
+    const encrypted = options.SSECustomerKey !== undefined ||
+      Object.keys(options).some(name => /^x-amz-(copy-source-)?server-side-encryption/i.test(name));
+    if (encrypted) {
+      throw StorageBackend.notImplemented('Server-side encryption');
+    }
+  }
+
+  static noSuchKey(key) {
+    return StorageBackend.createError('NoSuchKey', `The specified key does not exist: ${key}`);
+  }
+
+  static notFound(key) {
+    return StorageBackend.createError('NotFound', `Not Found: ${key}`);
+  }
+
+  static preconditionFailed() {
+    return StorageBackend.createError('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold');
+  }
+
+  static parentIsObject(key) {
+    return StorageBackend.createError('XMinioParentIsObject', `Object-prefix is already an object, please choose a different object-prefix name: ${key}`);
+  }
+}
+
+export default FsBackend;
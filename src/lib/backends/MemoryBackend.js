@@ -0,0 +1,31 @@
+// MemoryBackend.js - In-memory storage backend built on memfs
+
+import { Volume, createFsFromVolume } from 'memfs';
+import FsBackend from './FsBackend.js';
+
+class MemoryBackend extends FsBackend {
+  /**
+   * Create MemoryBackend instance
+   * @param {Object} [options] - Configuration options
+   * @param {string[]} [options.buckets=[]] - Buckets to create up front
+   */
+  constructor(options = {}) {
+    const volume = new Volume();
+    super({ fs: createFsFromVolume(volume), root: '/' });
+
+    this.volume = volume;
+    for (const bucket of options.buckets || []) {
+      volume.mkdirSync('/' + bucket, { recursive: true });
+    }
+  }
+
+  /**
+   * Remove all buckets and objects
+   * @returns {void}
+   */
+  reset() {
+    this.volume.reset();
+  }
+}
+
+export default MemoryBackend;
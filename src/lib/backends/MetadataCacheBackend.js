@@ -0,0 +1,369 @@
+// MetadataCacheBackend.js - Backend wrapper caching object info and listings for a time
+
+import { Readable } from 'stream';
+import StorageBackend from './StorageBackend.js';
+
+class MetadataCacheBackend extends StorageBackend {
+  /**
+   * Create MetadataCacheBackend instance (use the metadataCache option of ObjectStorage)
+   *
+   * statObject() results, missing objects included, and listObjectsV2()
+   * listings are kept for `ttl` ms. A missing object is also known without
+   * a request when a cached listing covers its key. Writes and removals
+   * through this wrapper drop the info of the key and every listing that
+   * could contain it; changes by other clients show after the TTL.
+   * Versioned and SSE-C stats are not cached.
+   *
+   * @param {StorageBackend} backend - Backend to cache
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.ttl=5000] - Lifetime of entries in ms
+   * @param {number} [options.negativeTtl=ttl] - Lifetime of missing objects in ms
+   * @param {number} [options.maxEntries=10000] - Cached infos plus listed objects before the oldest entries are dropped
+   */
+  constructor(backend, options = {}) {
+    super();
+    this.backend = backend;
+    this.ttl = options.ttl !== undefined ? options.ttl : 5000;
+    this.negativeTtl = options.negativeTtl !== undefined ? options.negativeTtl : this.ttl;
+    this.maxEntries = options.maxEntries || 10000;
+
+    // Both maps are in insertion order: the first entry is dropped first
+    this._infos = new Map();
+    this._listings = new Map();
+    this._count = 0;
+
+    // Changes while a request is in flight keep its result out of the cache
+    this._generation = 0;
+  }
+
+  /**
+   * Drop all cached entries
+   * @returns {void}
+   */
+  clear() {
+    this._infos.clear();
+    this._listings.clear();
+    this._count = 0;
+    this._generation++;
+  }
+
+  /**
+   * Drop the cached entries of the objects below a prefix, and the
+   * listings that may contain them (e.g. after a change notification)
+   * @param {string} bucket - Bucket name
+   * @param {string} prefix - Key prefix
+   * @returns {void}
+   */
+  invalidatePrefix(bucket, prefix) {
+    this._generation++;
+    for (const id of this._infos.keys()) {
+      if (id.startsWith(`${bucket}/${prefix}`)) this._deleteInfo(id);
+    }
+    for (const [id, listing] of this._listings) {
+      if (listing.bucket === bucket && (listing.prefix.startsWith(prefix) || prefix.startsWith(listing.prefix))) {
+        this._deleteListing(id);
+      }
+    }
+  }
+
+  getWorkerConfig() {
+    return this.backend.getWorkerConfig();
+  }
+
+  listenBucketNotification(bucket, prefix, suffix, events) {
+    return this.backend.listenBucketNotification(bucket, prefix, suffix, events);
+  }
+
+  async bucketExists(bucket) {
+    return this.backend.bucketExists(bucket);
+  }
+
+  async makeBucket(bucket) {
+    this._invalidateBucket(bucket);
+    return this.backend.makeBucket(bucket);
+  }
+
+  async listBuckets() {
+    return this.backend.listBuckets();
+  }
+
+  async removeBucket(bucket) {
+    try {
+      return await this.backend.removeBucket(bucket);
+    } finally {
+      this._invalidateBucket(bucket);
+    }
+  }
+
+  async getObject(bucket, key, getOpts) {
+    return this.backend.getObject(bucket, key, getOpts);
+  }
+
+  async getObjectIfChanged(bucket, key, etag, getOpts) {
+    // Revalidation has to reach the backend, the cached etag may be stale
+    return this.backend.getObjectIfChanged(bucket, key, etag, getOpts);
+  }
+
+  async getPartialObject(bucket, key, offset, length, getOpts) {
+    return this.backend.getPartialObject(bucket, key, offset, length, getOpts);
+  }
+
+  async putObject(bucket, key, data, size, metaData) {
+    return this._mutate(bucket, [key], () => this.backend.putObject(bucket, key, data, size, metaData));
+  }
+
+  async statObject(bucket, key, statOpts = {}) {
+    if (statOpts.versionId || statOpts.SSECustomerKey) {
+      return this.backend.statObject(bucket, key, statOpts);
+    }
+
+    const id = `${bucket}/${key}`;
+    const cached = this._infos.get(id);
+    if (cached && cached.expires > Date.now()) {
+      if (cached.info) return cached.info;
+      throw MetadataCacheBackend._notFound(key);
+    }
+    if (this._isListedMissing(bucket, key)) {
+      throw MetadataCacheBackend._notFound(key);
+    }
+
+    const generation = this._generation;
+    try {
+      const info = await this.backend.statObject(bucket, key, statOpts);
+      if (generation === this._generation) this._setInfo(id, info, this.ttl);
+      return info;
+    } catch (error) {
+      if (error.code === 'NotFound' && generation === this._generation) {
+        this._setInfo(id, null, this.negativeTtl);
+      }
+      throw error;
+    }
+  }
+
+  listObjectsV2(bucket, prefix = '', recursive = false) {
+    const cached = this._cachedListing(bucket, prefix, recursive);
+    if (cached) {
+      return Readable.from(cached);
+    }
+
+    // Listings read to the end are cached; readers stopping early only get the objects they read
+    const cache = this;
+    const generation = this._generation;
+    const source = this.backend.listObjectsV2(bucket, prefix, recursive);
+    async function* read() {
+      const objects = [];
+      for await (const obj of source) {
+        objects.push(obj);
+        yield obj;
+      }
+      if (generation === cache._generation) cache._setListing(bucket, prefix, recursive, objects);
+    }
+    return Readable.from(read());
+  }
+
+  listObjectVersions(bucket, prefix) {
+    return this.backend.listObjectVersions(bucket, prefix);
+  }
+
+  async getBucketVersioning(bucket) {
+    return this.backend.getBucketVersioning(bucket);
+  }
+
+  async setBucketVersioning(bucket, versionConfig) {
+    return this.backend.setBucketVersioning(bucket, versionConfig);
+  }
+
+  async copyObject(bucket, key, source, conditions, headers) {
+    return this._mutate(bucket, [key], () => this.backend.copyObject(bucket, key, source, conditions, headers));
+  }
+
+  async composeObject(bucket, key, sources, metaData) {
+    return this._mutate(bucket, [key], () => this.backend.composeObject(bucket, key, sources, metaData));
+  }
+
+  async setObjectMetadata(bucket, key, metaData) {
+    return this._mutate(bucket, [key], () => this.backend.setObjectMetadata(bucket, key, metaData));
+  }
+
+  async getObjectTagging(bucket, key) {
+    return this.backend.getObjectTagging(bucket, key);
+  }
+
+  async setObjectTagging(bucket, key, tags) {
+    return this.backend.setObjectTagging(bucket, key, tags);
+  }
+
+  async removeObjectTagging(bucket, key) {
+    return this.backend.removeObjectTagging(bucket, key);
+  }
+
+  async removeObject(bucket, key) {
+    return this._mutate(bucket, [key], () => this.backend.removeObject(bucket, key));
+  }
+
+  async removeObjects(bucket, keys) {
+    return this._mutate(bucket, keys, () => this.backend.removeObjects(bucket, keys));
+  }
+
+  async presignedUrl(method, bucket, key, expires, reqParams) {
+    return this.backend.presignedUrl(method, bucket, key, expires, reqParams);
+  }
+
+  async presignedPostPolicy(bucket, key, conditions) {
+    return this.backend.presignedPostPolicy(bucket, key, conditions);
+  }
+
+  /**
+   * Run a change of objects and drop what it may have made stale, also
+   * when it fails (it may have been applied anyway)
+   * @param {string} bucket - Bucket name
+   * @param {string[]} keys - Changed keys
+   * @param {Function} operation - Performs the change
+   * @returns {Promise<*>} Result of the operation
+   */
+  async _mutate(bucket, keys, operation) {
+    this._invalidate(bucket, keys);
+    try {
+      return await operation();
+    } finally {
+      this._invalidate(bucket, keys);
+    }
+  }
+
+  _invalidate(bucket, keys) {
+    this._generation++;
+    for (const key of keys) {
+      this._deleteInfo(`${bucket}/${key}`);
+    }
+    for (const [id, listing] of this._listings) {
+      if (listing.bucket === bucket && keys.some(key => key.startsWith(listing.prefix))) {
+        this._deleteListing(id);
+      }
+    }
+  }
+
+  _invalidateBucket(bucket) {
+    this._generation++;
+    for (const id of this._infos.keys()) {
+      if (id.startsWith(`${bucket}/`)) this._deleteInfo(id);
+    }
+    for (const [id, listing] of this._listings) {
+      if (listing.bucket === bucket) this._deleteListing(id);
+    }
+  }
+
+  /**
+   * Find a live listing of a prefix; non-recursive listings are also
+   * derived from a recursive listing of a parent prefix
+   * @param {string} bucket - Bucket name
+   * @param {string} prefix - Key prefix
+   * @param {boolean} recursive - Recursive listing
+   * @returns {Object[]|null} Listed objects and common prefixes
+   */
+  _cachedListing(bucket, prefix, recursive) {
+    const exact = this._liveListing(MetadataCacheBackend._listingId(bucket, prefix, recursive));
+    if (exact) return exact.objects;
+
+    const covering = this._coveringListing(bucket, prefix);
+    if (!covering) return null;
+
+    const below = covering.objects.filter(obj => obj.name && obj.name.startsWith(prefix));
+    if (recursive) return below;
+
+    // Group by the next separator like a delimited listing
+    const objects = [];
+    const prefixes = new Set();
+    for (const obj of below) {
+      const separator = obj.name.indexOf('/', prefix.length);
+      if (separator === -1) {
+        objects.push(obj);
+      } else {
+        prefixes.add(obj.name.substring(0, separator + 1));
+      }
+    }
+    return [...objects, ...[...prefixes].map(name => ({ prefix: name, size: 0 }))];
+  }
+
+  /**
+   * Check whether a cached listing shows that an object does not exist
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {boolean} True if a listing covering the key does not contain it
+   */
+  _isListedMissing(bucket, key) {
+    const covering = this._coveringListing(bucket, key);
+    if (covering) {
+      return !covering.objects.some(obj => obj.name === key);
+    }
+
+    // A delimited listing of the parent shows files, directory markers are grouped into prefixes
+    if (key.endsWith('/')) return false;
+    const parent = key.substring(0, key.lastIndexOf('/') + 1);
+    const listing = this._liveListing(MetadataCacheBackend._listingId(bucket, parent, false));
+    return !!listing && !listing.objects.some(obj => obj.name === key);
+  }
+
+  _coveringListing(bucket, prefix) {
+    for (const [id, listing] of this._listings) {
+      if (listing.bucket === bucket && listing.recursive && prefix.startsWith(listing.prefix) && this._liveListing(id)) {
+        return listing;
+      }
+    }
+    return null;
+  }
+
+  _liveListing(id) {
+    const listing = this._listings.get(id);
+    if (!listing) return null;
+    if (listing.expires <= Date.now()) {
+      this._deleteListing(id);
+      return null;
+    }
+    return listing;
+  }
+
+  _setInfo(id, info, ttl) {
+    this._deleteInfo(id);
+    this._infos.set(id, { info, expires: Date.now() + ttl });
+    this._count++;
+    this._evict();
+  }
+
+  _deleteInfo(id) {
+    if (this._infos.delete(id)) this._count--;
+  }
+
+  _setListing(bucket, prefix, recursive, objects) {
+    const id = MetadataCacheBackend._listingId(bucket, prefix, recursive);
+    this._deleteListing(id);
+    this._listings.set(id, { bucket, prefix, recursive, objects, expires: Date.now() + this.ttl });
+    this._count += Math.max(1, objects.length);
+    this._evict();
+  }
+
+  _deleteListing(id) {
+    const listing = this._listings.get(id);
+    if (!listing) return;
+    this._listings.delete(id);
+    this._count -= Math.max(1, listing.objects.length);
+  }
+
+  _evict() {
+    while (this._count > this.maxEntries && this._listings.size > 0) {
+      this._deleteListing(this._listings.keys().next().value);
+    }
+    while (this._count > this.maxEntries && this._infos.size > 0) {
+      this._deleteInfo(this._infos.keys().next().value);
+    }
+  }
+
+  static _listingId(bucket, prefix, recursive) {
+    return `${recursive ? 'r' : 'd'}:${bucket}/${prefix}`;
+  }
+
+  static _notFound(key) {
+    return StorageBackend.createError('NotFound', `Not Found: ${key}`);
+  }
+}
+
+export default MetadataCacheBackend;
@@ -0,0 +1,387 @@
+// MinioBackend.js - Storage backend for MinIO/S3 through the MinIO client
+
+import { Readable } from 'stream';
+import { Client as MinioClient, CopyConditions, CopySourceOptions, CopyDestinationOptions } from 'minio';
+import StorageBackend from './StorageBackend.js';
+import StreamConverter from '../StreamConverter.js';
+
+// Headers the client sends as-is; other metadata keys become x-amz-meta-*
+const STANDARD_HEADERS = ['content-type', 'cache-control', 'content-encoding', 'content-disposition', 'content-language',
+  'if-match', 'if-none-match'];
+
+// Other response headers the client reports as metadata
+const REPORTED_HEADERS = ['x-amz-website-redirect-location', 'x-amz-storage-class', 'x-amz-acl'];
+
+// Upload header carrying an SSE-C key
+const SSE_CUSTOMER_KEY = 'x-amz-server-side-encryption-customer-key';
+
+// Upload header carrying the tags of the object
+const TAGGING = 'x-amz-tagging';
+
+class MinioBackend extends StorageBackend {
+  /**
+   * Create MinioBackend instance
+   * @param {Object} options - Configuration options
+   * @param {string} options.endpoint - MinIO endpoint (e.g., 'localhost:9000')
+   * @param {string} options.accessKey - Access key
+   * @param {string} options.secretKey - Secret key
+   * @param {boolean} [options.useSSL=false] - Use SSL
+   * @param {string} [options.region='us-east-1'] - Region
+   */
+  constructor(options = {}) {
+    super();
+
+    // Validate required options
+    if (!options.endpoint) throw new Error('endpoint is required');
+    if (!options.accessKey) throw new Error('accessKey is required');
+    if (!options.secretKey) throw new Error('secretKey is required');
+
+    this._options = {
+      endpoint: options.endpoint,
+      accessKey: options.accessKey,
+      secretKey: options.secretKey,
+      useSSL: options.useSSL || false,
+      region: options.region || 'us-east-1'
+    };
+
+    this.client = new MinioClient({
+      endPoint: options.endpoint.split(':')[0],
+      port: parseInt(options.endpoint.split(':')[1]) || (options.useSSL ? 443 : 80),
+      useSSL: options.useSSL || false,
+      accessKey: options.accessKey,
+      secretKey: options.secretKey,
+      region: options.region || 'us-east-1'
+    });
+  }
+
+  listenBucketNotification(bucket, prefix, suffix, events) {
+    // MinIO extension; S3 rejects it and the poller emits 'error'
+    return this.client.listenBucketNotification(bucket, prefix, suffix, events);
+  }
+
+  getWorkerConfig() {
+    return { type: 'MinioBackend', options: this._options };
+  }
+
+  async bucketExists(bucket) {
+    return this.client.bucketExists(bucket);
+  }
+
+  async makeBucket(bucket) {
+    return this.client.makeBucket(bucket);
+  }
+
+  async listBuckets() {
+    return this.client.listBuckets();
+  }
+
+  async removeBucket(bucket) {
+    return this.client.removeBucket(bucket);
+  }
+
+  async getObject(bucket, key, getOpts = {}) {
+    if (getOpts.SSECustomerKey || getOpts.matchETag) {
+      return this._getWithHeaders(bucket, key, getOpts, 0, 0);
+    }
+    return this.client.getObject(bucket, key, getOpts);
+  }
+
+  async getPartialObject(bucket, key, offset, length, getOpts = {}) {
+    if (getOpts.SSECustomerKey || getOpts.matchETag) {
+      return this._getWithHeaders(bucket, key, getOpts, offset, length || 0);
+    }
+    return this.client.getPartialObject(bucket, key, offset, length);
+  }
+
+  async getObjectIfChanged(bucket, key, etag, getOpts = {}) {
+    const headers = getOpts.SSECustomerKey ? MinioBackend.customerKeyHeaders(getOpts) : {};
+    if (etag !== null) {
+      headers['if-none-match'] = `"${etag}"`;
+    }
+    const response = await this.client.makeRequestAsync({
+      method: 'GET',
+      bucketName: bucket,
+      objectName: key,
+      headers,
+      query: MinioBackend._versionQuery(getOpts)
+    }, '', [200, 304]);
+    if (response.statusCode === 304) {
+      response.resume();
+      return null;
+    }
+    return { stream: response, etag: (response.headers.etag || '').replace(/^"|"$/g, '') };
+  }
+
+  async putObject(bucket, key, data, size, metaData) {
+    // Upload parts carry no SSE-C key, so such content has to fit in one request
+    if (metaData && metaData[SSE_CUSTOMER_KEY]) {
+      const content = Buffer.isBuffer(data) ? data : await StreamConverter.streamToBuffer(StreamConverter.toReadableStream(data));
+      if (content.length > this.client.partSize) {
+        throw StorageBackend.notImplemented(`SSE-C upload above ${this.client.partSize} bytes`);
+      }
+      return this.client.uploadBuffer(bucket, key, MinioBackend.toHeaders(metaData), content);
+    }
+
+    // The client sends buffers above its part size as a multipart upload with
+    // the headers on the initiate request only, where preconditions are not checked;
+    // conditional streams are buffered so that they go up in one request as well
+    const conditional = metaData && (metaData['if-match'] || metaData['if-none-match']);
+    if (conditional && !Buffer.isBuffer(data)) {
+      data = await StreamConverter.streamToBuffer(StreamConverter.toReadableStream(data));
+      size = data.length;
+    }
+    if (conditional && Buffer.isBuffer(data) && data.length > this.client.partSize) {
+      return this.client.uploadBuffer(bucket, key, MinioBackend.toHeaders(metaData), data);
+    }
+
+    // The client would send x-amz-tagging as user metadata; pick the single
+    // or multipart upload the way it does, with the header kept as it is
+    if (metaData && metaData[TAGGING] !== undefined) {
+      const headers = MinioBackend.toHeaders(metaData);
+      if (Buffer.isBuffer(data) || typeof data === 'string') {
+        return this.client.uploadBuffer(bucket, key, headers, Buffer.from(data));
+      }
+      const partSize = this.client.calculatePartSize(typeof size === 'number' ? size : this.client.maxObjectSize);
+      if (typeof size === 'number' && size <= partSize) {
+        return this.client.uploadBuffer(bucket, key, headers, await StreamConverter.streamToBuffer(StreamConverter.toReadableStream(data)));
+      }
+      return this.client.uploadStream(bucket, key, headers, StreamConverter.toReadableStream(data), partSize);
+    }
+    return this.client.putObject(bucket, key, data, size, metaData);
+  }
+
+  async statObject(bucket, key, statOpts = {}) {
+    if (!statOpts.SSECustomerKey) {
+      return this.client.statObject(bucket, key, statOpts);
+    }
+
+    // The client has no SSE-C support for HEAD requests
+    const response = await this.client.makeRequestAsyncOmit({
+      method: 'HEAD',
+      bucketName: bucket,
+      objectName: key,
+      headers: MinioBackend.customerKeyHeaders(statOpts),
+      query: MinioBackend._versionQuery(statOpts)
+    });
+    return {
+      size: parseInt(response.headers['content-length']),
+      metaData: MinioBackend.toMetaData(response.headers),
+      lastModified: new Date(response.headers['last-modified']),
+      versionId: response.headers['x-amz-version-id'] || null,
+      etag: (response.headers.etag || '').replace(/^"|"$/g, '')
+    };
+  }
+
+  listObjectsV2(bucket, prefix = '', recursive = false) {
+    return this.client.listObjectsV2(bucket, prefix, recursive);
+  }
+
+  listObjectVersions(bucket, prefix) {
+    const versions = this.client.listObjects(bucket, prefix, true, { IncludeVersion: true });
+    // The client reports IsLatest as parsed from XML
+    return Readable.from((async function* () {
+      for await (const version of versions) {
+        yield { ...version, isLatest: String(version.isLatest) === 'true' };
+      }
+    })());
+  }
+
+  async getBucketVersioning(bucket) {
+    return this.client.getBucketVersioning(bucket);
+  }
+
+  async setBucketVersioning(bucket, versionConfig) {
+    return this.client.setBucketVersioning(bucket, versionConfig);
+  }
+
+  async copyObject(bucket, key, source, conditions = new CopyConditions(), headers = {}) {
+    // The legacy call escapes the whole source and sends no headers, so
+    // versions and encryption need the options form
+    const [sourcePath, versionId] = source.split('?versionId=');
+    if (versionId !== undefined || Object.keys(headers).length > 0) {
+      const separator = sourcePath.indexOf('/', 1);
+      return this.client.copyObject(
+        new CopySourceOptions({
+          Bucket: sourcePath.substring(1, separator),
+          Object: sourcePath.substring(separator + 1),
+          ...(versionId !== undefined && { VersionID: decodeURIComponent(versionId) }),
+          ...(conditions.matchETag && { MatchETag: conditions.matchETag }),
+          ...(conditions.matchETagExcept && { NoMatchETag: conditions.matchETagExcept })
+        }),
+        new CopyDestinationOptions({ Bucket: bucket, Object: key, Headers: headers })
+      );
+    }
+    return this.client.copyObject(bucket, key, source, conditions);
+  }
+
+  async composeObject(bucket, key, sources, metaData = {}) {
+    // The client pins each source to the etag of its own stat; checking
+    // matchETag first only leaves the time between the two stats uncovered
+    for (const source of sources) {
+      const info = await this.client.statObject(bucket, source.key);
+      if (source.matchETag && source.matchETag !== info.etag) {
+        throw StorageBackend.createError('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold');
+      }
+    }
+
+    const result = await this.client.composeObject(
+      new CopyDestinationOptions({ Bucket: bucket, Object: key, Headers: MinioBackend.toHeaders(metaData) }),
+      sources.map(source => new CopySourceOptions({ Bucket: bucket, Object: source.key }))
+    );
+    // The client aborts the multipart upload and resolves without a result when a part copy fails
+    if (!result || !result.etag) {
+      throw StorageBackend.createError('InternalError', `Could not compose object ${key}`);
+    }
+    return { etag: result.etag, versionId: result.versionId || null };
+  }
+
+  async setObjectMetadata(bucket, key, metaData = {}) {
+    // S3 replaces metadata by copying the object onto itself; a condition applies to the source
+    const { 'if-match': matchETag, ...replacement } = metaData;
+    const result = await this.client.copyObject(
+      new CopySourceOptions({ Bucket: bucket, Object: key, ...(matchETag && { MatchETag: matchETag }) }),
+      new CopyDestinationOptions({ Bucket: bucket, Object: key, MetadataDirective: 'REPLACE', Headers: MinioBackend.toHeaders(replacement) })
+    );
+    return { etag: result.Etag, lastModified: result.LastModified };
+  }
+
+  async getObjectTagging(bucket, key) {
+    return this.client.getObjectTagging(bucket, key);
+  }
+
+  async setObjectTagging(bucket, key, tags) {
+    return this.client.setObjectTagging(bucket, key, tags);
+  }
+
+  async removeObjectTagging(bucket, key) {
+    return this.client.removeObjectTagging(bucket, key, {});
+  }
+
+  async presignedUrl(method, bucket, key, expires, reqParams) {
+    return this.client.presignedUrl(method, bucket, key, expires, reqParams);
+  }
+
+  async presignedPostPolicy(bucket, key, conditions) {
+    const policy = this.client.newPostPolicy();
+    policy.setBucket(bucket);
+    if (conditions.keyStartsWith) {
+      policy.setKeyStartsWith(key);
+    } else {
+      policy.setKey(key);
+    }
+    policy.setExpires(conditions.expires);
+    if (conditions.contentLengthRange) {
+      policy.setContentLengthRange(...conditions.contentLengthRange);
+    }
+
+    // Every posted field needs a condition; headers use their canonical case like setContentType()
+    for (const [name, value] of Object.entries(MinioBackend.toHeaders(conditions.metaData || {}))) {
+      const field = name.startsWith('x-amz-') ? name : name.replace(/(^|-)[a-z]/g, letter => letter.toUpperCase());
+      policy.policy.conditions.push(['eq', '$' + field, value]);
+      policy.formData[field] = value;
+    }
+    return this.client.presignedPostPolicy(policy);
+  }
+
+  async removeObject(bucket, key) {
+    return this.client.removeObject(bucket, key);
+  }
+
+  async removeObjects(bucket, keys) {
+    const results = await this.client.removeObjects(bucket, keys);
+
+    // The client returns the <Error> entries of the multi-object delete response
+    return results
+      .map(result => (result && result.Error) || result)
+      .filter(result => result && result.Code)
+      .map(result => ({ key: result.Key, error: StorageBackend.createError(result.Code, result.Message) }));
+  }
+
+  /**
+   * GET an object with an SSE-C key or an If-Match precondition
+   *
+   * The client would copy the get options, and with them the key, into the
+   * query string of the request instead of sending them as headers.
+   *
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object} getOpts - Get options with SSECustomerKey and/or matchETag
+   * @param {number} offset - First byte to read
+   * @param {number} length - Number of bytes to read (0 for the rest)
+   * @returns {Promise<Readable>} Content stream
+   */
+  async _getWithHeaders(bucket, key, getOpts, offset, length) {
+    const headers = getOpts.SSECustomerKey ? MinioBackend.customerKeyHeaders(getOpts) : {};
+    if (getOpts.matchETag) {
+      headers['if-match'] = `"${getOpts.matchETag}"`;
+    }
+    if (offset || length) {
+      headers.range = `bytes=${offset}-${length ? offset + length - 1 : ''}`;
+    }
+    return this.client.makeRequestAsync({
+      method: 'GET',
+      bucketName: bucket,
+      objectName: key,
+      headers,
+      query: MinioBackend._versionQuery(getOpts)
+    }, '', headers.range ? [200, 206] : [200]);
+  }
+
+  /**
+   * Convert SSE-C get/stat options to request headers
+   * @param {Object} opts - Options with SSECustomerAlgorithm, SSECustomerKey and SSECustomerKeyMD5
+   * @returns {Object} Headers
+   */
+  static customerKeyHeaders(opts) {
+    return {
+      'x-amz-server-side-encryption-customer-algorithm': opts.SSECustomerAlgorithm || 'AES256',
+      'x-amz-server-side-encryption-customer-key': opts.SSECustomerKey,
+      'x-amz-server-side-encryption-customer-key-md5': opts.SSECustomerKeyMD5
+    };
+  }
+
+  /**
+   * Convert response headers to statObject-style metadata, like the client does
+   * @param {Object} headers - Response headers
+   * @returns {Object} Metadata (user metadata without the x-amz-meta- prefix)
+   */
+  static toMetaData(headers) {
+    const metaData = {};
+    for (const [name, value] of Object.entries(headers)) {
+      const lower = name.toLowerCase();
+      if (lower.startsWith('x-amz-meta-')) {
+        metaData[lower.substring('x-amz-meta-'.length)] = value;
+      } else if (STANDARD_HEADERS.includes(lower) || REPORTED_HEADERS.includes(lower) ||
+        lower.startsWith('x-amz-server-side-encryption')) {
+        metaData[name] = value;
+      }
+    }
+    return metaData;
+  }
+
+  /**
+   * Query string selecting the version of get/stat options
+   * @param {Object} opts - Options
+   * @returns {string} Query string
+   */
+  static _versionQuery(opts) {
+    return opts.versionId ? `versionId=${encodeURIComponent(opts.versionId)}` : '';
+  }
+
+  /**
+   * Convert statObject-style metadata to request headers
+   * @param {Object} metaData - Metadata (user metadata without the x-amz-meta- prefix)
+   * @returns {Object} Headers
+   */
+  static toHeaders(metaData) {
+    const headers = {};
+    for (const [name, value] of Object.entries(metaData)) {
+      const lower = name.toLowerCase();
+      const isHeader = STANDARD_HEADERS.includes(lower) || lower.startsWith('x-amz-');
+      headers[isHeader ? lower : 'x-amz-meta-' + lower] = String(value);
+    }
+    return headers;
+  }
+}
+
+export default MinioBackend;
@@ -0,0 +1,337 @@
+// StorageBackend.js - Base class describing the object storage backend interface
+
+/**
+ * Backends expose the subset of the MinIO client API that ObjectStorage uses,
+ * with the same argument order and result shapes. Errors must be S3-style
+ * (e.g. `code: 'NoSuchKey'`) so ErrorHandler can convert them to fs errors.
+ */
+class StorageBackend {
+  /**
+   * Check if a bucket exists
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<boolean>} True if bucket exists
+   */
+  async bucketExists(bucket) {
+    throw StorageBackend.notImplemented('bucketExists');
+  }
+
+  /**
+   * Create a bucket
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<void>}
+   */
+  async makeBucket(bucket) {
+    throw StorageBackend.notImplemented('makeBucket');
+  }
+
+  /**
+   * List all buckets
+   * @returns {Promise<Object[]>} Buckets {name, creationDate}
+   */
+  async listBuckets() {
+    throw StorageBackend.notImplemented('listBuckets');
+  }
+
+  /**
+   * Remove an empty bucket
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<void>}
+   */
+  async removeBucket(bucket) {
+    throw StorageBackend.notImplemented('removeBucket');
+  }
+
+  /**
+   * Get object content
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object} [getOpts] - Options
+   * @param {string} [getOpts.versionId] - Version to read (NoSuchVersion if it does not exist)
+   * @param {string} [getOpts.SSECustomerKey] - Base64 SSE-C key (with SSECustomerAlgorithm and SSECustomerKeyMD5)
+   * @param {string} [getOpts.matchETag] - Etag the object must still have (PreconditionFailed otherwise)
+   * @returns {Promise<Readable>} Object content stream
+   */
+  async getObject(bucket, key, getOpts) {
+    throw StorageBackend.notImplemented('getObject');
+  }
+
+  /**
+   * Get a byte range of object content
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {number} offset - First byte to read
+   * @param {number} [length] - Number of bytes to read (to end of object if omitted)
+   * @param {Object} [getOpts] - Options (SSE-C key and matchETag as for getObject)
+   * @returns {Promise<Readable>} Content stream of the range
+   */
+  async getPartialObject(bucket, key, offset, length, getOpts) {
+    throw StorageBackend.notImplemented('getPartialObject');
+  }
+
+  /**
+   * Get object content unless the object still has a known etag (conditional GET)
+   *
+   * The default implementation compares the etag of statObject() and reads
+   * the content with getObject(), so wrappers decoding the content get
+   * their decoded reads. Backends with conditional requests send the etag
+   * in an If-None-Match header instead.
+   *
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {string|null} etag - Etag of the copy the caller has (null to read unconditionally)
+   * @param {Object} [getOpts] - Options (as for getObject)
+   * @returns {Promise<{stream: Readable, etag: string}|null>} Content and its etag, or null if unchanged
+   */
+  async getObjectIfChanged(bucket, key, etag, getOpts) {
+    const info = await this.statObject(bucket, key, getOpts);
+    if (etag !== null && info.etag === etag) {
+      return null;
+    }
+    return { stream: await this.getObject(bucket, key, getOpts), etag: info.etag };
+  }
+
+  /**
+   * Upload object content
+   *
+   * The 'if-match' and 'if-none-match' headers in metaData make the upload
+   * conditional; a failed condition throws PreconditionFailed. The
+   * x-amz-server-side-encryption* headers request server-side encryption;
+   * backends that cannot encrypt throw NotImplemented for them. The
+   * x-amz-tagging header (URL query encoded) stores tags with the object.
+   *
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Readable|Buffer|string} data - Object content
+   * @param {number} [size] - Content size in bytes
+   * @param {Object} [metaData] - Object metadata (headers)
+   * @returns {Promise<{etag: string, versionId: string|null}>} Upload result
+   */
+  async putObject(bucket, key, data, size, metaData) {
+    throw StorageBackend.notImplemented('putObject');
+  }
+
+  /**
+   * Get object information
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object} [statOpts] - Options
+   * @param {string} [statOpts.versionId] - Version to stat (NoSuchVersion if it does not exist)
+   * @param {string} [statOpts.SSECustomerKey] - Base64 SSE-C key (as for getObject)
+   * @returns {Promise<{size: number, etag: string, lastModified: Date, metaData: Object, versionId: string|null}>} Object info
+   *   (wrappers decoding the content add storedSize, the size in the wrapped backend, and set
+   *   sizeUnknown when they cannot tell the decoded size and size is the stored size)
+   */
+  async statObject(bucket, key, statOpts) {
+    throw StorageBackend.notImplemented('statObject');
+  }
+
+  /**
+   * List objects under a prefix
+   * @param {string} bucket - Bucket name
+   * @param {string} [prefix=''] - Key prefix
+   * @param {boolean} [recursive=false] - List all keys instead of grouping by '/'
+   * @returns {Readable} Object stream emitting {name, size, etag, lastModified} or {prefix, size}
+   */
+  listObjectsV2(bucket, prefix, recursive) {
+    throw StorageBackend.notImplemented('listObjectsV2');
+  }
+
+  /**
+   * List the versions and delete markers of objects under a prefix
+   * @param {string} bucket - Bucket name
+   * @param {string} prefix - Key prefix
+   * @returns {Readable} Stream emitting {name, versionId, isLatest, isDeleteMarker, size, etag, lastModified}
+   */
+  listObjectVersions(bucket, prefix) {
+    throw StorageBackend.notImplemented('listObjectVersions');
+  }
+
+  /**
+   * Get the versioning configuration of a bucket
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<{Status?: string}>} Configuration ('Enabled' or 'Suspended', no Status if never enabled)
+   */
+  async getBucketVersioning(bucket) {
+    throw StorageBackend.notImplemented('getBucketVersioning');
+  }
+
+  /**
+   * Enable or suspend versioning of a bucket
+   * @param {string} bucket - Bucket name
+   * @param {{Status: string}} versionConfig - 'Enabled' or 'Suspended'
+   * @returns {Promise<void>}
+   */
+  async setBucketVersioning(bucket, versionConfig) {
+    throw StorageBackend.notImplemented('setBucketVersioning');
+  }
+
+  /**
+   * Copy object within the backend
+   * @param {string} bucket - Destination bucket name
+   * @param {string} key - Destination object key
+   * @param {string} source - Source as '/bucket/key', optionally followed by '?versionId=<id>'
+   * @param {Object} [conditions] - Copy conditions
+   * @param {Object} [headers] - Encryption headers of the destination,
+   *   x-amz-copy-source-server-side-encryption-customer-* headers of an SSE-C source
+   *   and 'if-none-match': '*' to copy only if the destination does not exist
+   *   (PreconditionFailed otherwise)
+   * @returns {Promise<Object>} Copy result
+   */
+  async copyObject(bucket, key, source, conditions, headers) {
+    throw StorageBackend.notImplemented('copyObject');
+  }
+
+  /**
+   * Create object from the concatenation of objects in the same bucket (server-side)
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Destination object key (may be the first source)
+   * @param {Array<{key: string, matchETag: string}>} sources - Source objects in order; a source whose etag no longer matches fails with PreconditionFailed
+   * @param {Object} [metaData] - Object metadata (headers)
+   * @returns {Promise<{etag: string, versionId: string|null}>} Upload result
+   */
+  async composeObject(bucket, key, sources, metaData) {
+    throw StorageBackend.notImplemented('composeObject');
+  }
+
+  /**
+   * Replace the metadata of an object, keeping its content
+   *
+   * An 'if-match' header in metaData makes the replacement conditional; an
+   * object with another etag throws PreconditionFailed.
+   *
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object} metaData - Complete new metadata (headers)
+   * @returns {Promise<{etag: string, lastModified: Date}>} Update result
+   */
+  async setObjectMetadata(bucket, key, metaData) {
+    throw StorageBackend.notImplemented('setObjectMetadata');
+  }
+
+  /**
+   * Get the tags of an object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {Promise<Array<{Key: string, Value: string}>>} Tag set (empty if untagged)
+   */
+  async getObjectTagging(bucket, key) {
+    throw StorageBackend.notImplemented('getObjectTagging');
+  }
+
+  /**
+   * Replace the tags of an object, keeping its content and metadata
+   *
+   * Uploads (putObject, composeObject) store the tags of their x-amz-tagging
+   * header and none otherwise; copyObject copies the tags of the source.
+   *
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {Object<string, string>} tags - Complete new tag set
+   * @returns {Promise<void>}
+   */
+  async setObjectTagging(bucket, key, tags) {
+    throw StorageBackend.notImplemented('setObjectTagging');
+  }
+
+  /**
+   * Remove all tags of an object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async removeObjectTagging(bucket, key) {
+    throw StorageBackend.notImplemented('removeObjectTagging');
+  }
+
+  /**
+   * Remove object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {Promise<void>}
+   */
+  async removeObject(bucket, key) {
+    throw StorageBackend.notImplemented('removeObject');
+  }
+
+  /**
+   * Remove multiple objects in one request
+   * @param {string} bucket - Bucket name
+   * @param {string[]} keys - Object keys
+   * @returns {Promise<Array<{key: string, error: Error}>>} Keys that could not be removed
+   */
+  async removeObjects(bucket, keys) {
+    throw StorageBackend.notImplemented('removeObjects');
+  }
+
+  /**
+   * Create a presigned URL (optional; only servers can verify signatures)
+   * @param {string} method - HTTP method ('GET' or 'PUT')
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @param {number} expires - Lifetime in seconds
+   * @param {Object<string, string>} [reqParams] - Query parameters to sign (e.g. response-content-type)
+   * @returns {Promise<string>} Presigned URL
+   */
+  async presignedUrl(method, bucket, key, expires, reqParams) {
+    throw StorageBackend.notImplemented('presignedUrl');
+  }
+
+  /**
+   * Create a presigned POST policy for browser uploads (optional)
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key, or key prefix when keyStartsWith is set
+   * @param {Object} conditions - Policy conditions
+   * @param {Date} conditions.expires - Expiration of the policy
+   * @param {boolean} [conditions.keyStartsWith=false] - Allow any key starting with `key`
+   * @param {Object} [conditions.metaData] - Metadata (headers) the upload must have
+   * @param {number[]|null} [conditions.contentLengthRange] - Allowed [min, max] size in bytes
+   * @returns {Promise<{postURL: string, formData: Object<string, string>}>} Form target and fields
+   */
+  async presignedPostPolicy(bucket, key, conditions) {
+    throw StorageBackend.notImplemented('presignedPostPolicy');
+  }
+
+  /**
+   * Listen for bucket notifications (optional; watchers poll when not implemented)
+   * @param {string} bucket - Bucket name
+   * @param {string} prefix - Key prefix filter
+   * @param {string} suffix - Key suffix filter
+   * @param {string[]} events - Event names (e.g. 's3:ObjectCreated:*')
+   * @returns {EventEmitter} Emits 'notification' (S3 event records) and 'error'; stop() ends listening
+   */
+  listenBucketNotification(bucket, prefix, suffix, events) {
+    throw StorageBackend.notImplemented('listenBucketNotification');
+  }
+
+  /**
+   * Describe how to recreate this backend in a worker thread (used by the *Sync methods)
+   * @returns {{type: string, options: Object}|null} Backend class name and structured-clonable
+   *   constructor options, or null if the backend cannot be recreated elsewhere
+   */
+  getWorkerConfig() {
+    return null;
+  }
+
+  /**
+   * Create S3-style error for backends that emulate object storage
+   * @param {string} code - S3 error code (e.g., 'NoSuchKey')
+   * @param {string} message - Error message
+   * @returns {Error} S3-style error
+   */
+  static createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Create error for operations a backend does not support
+   * @param {string} operation - Operation name
+   * @returns {Error} S3-style NotImplemented error
+   */
+  static notImplemented(operation) {
+    return StorageBackend.createError('NotImplemented', `${operation} is not implemented by this backend`);
+  }
+}
+
+export default StorageBackend;
@@ -0,0 +1,362 @@
+// createFs.js - Node fs-shaped facade (callback API and fs.promises) over ObjectStorage
+
+import { constants } from 'fs';
+import { on } from 'events';
+import ErrorHandler from './ErrorHandler.js';
+import FileHandle from './FileHandle.js';
+
+/**
+ * Create TypeError matching Node's ERR_INVALID_ARG_TYPE
+ * @param {string} name - Argument name
+ * @param {string} expected - Expected type description
+ * @param {*} actual - Received value
+ * @returns {TypeError} Argument error
+ */
+function invalidArgType(name, expected, actual) {
+  const received = actual === null || actual === undefined ? String(actual) : `type ${typeof actual}`;
+  const error = new TypeError(`The "${name}" argument must be of type ${expected}. Received ${received}`);
+  error.code = 'ERR_INVALID_ARG_TYPE';
+  return error;
+}
+
+/**
+ * Create TypeError matching Node's ERR_INVALID_ARG_VALUE for an option
+ * @param {string} name - Option name (e.g. 'options.recursive')
+ * @param {*} value - Received value
+ * @param {string} reason - Why the value is rejected
+ * @returns {TypeError} Argument error
+ */
+function invalidArgValue(name, value, reason) {
+  const error = new TypeError(`The property '${name}' ${reason}. Received ${String(value)}`);
+  error.code = 'ERR_INVALID_ARG_VALUE';
+  return error;
+}
+
+/**
+ * Convert a Node path argument to an ObjectStorage path
+ * @param {string|Buffer|URL} path - Path as accepted by fs
+ * @param {string} [name='path'] - Argument name for errors
+ * @returns {string} Path string
+ */
+function toPath(path, name = 'path') {
+  if (typeof path === 'string') return path;
+  if (Buffer.isBuffer(path)) return path.toString('utf8');
+  if (path instanceof URL) return decodeURIComponent(path.pathname);
+  throw invalidArgType(name, 'string or an instance of Buffer or URL', path);
+}
+
+/**
+ * Normalize options given as encoding string (or mode number) to an object
+ * @param {Object|string|number|undefined} options - fs options argument
+ * @param {string} [key='encoding'] - Property a non-object argument stands for
+ * @returns {Object} Options object
+ */
+function toOptions(options, key = 'encoding') {
+  if (options === undefined || options === null) return {};
+  if (typeof options === 'object') return options;
+  return { [key]: options };
+}
+
+/**
+ * Wrap a promise function into an fs callback function
+ * @param {Function} fn - Function returning a promise
+ * @param {Function} [toArgs] - Maps the result to callback arguments after the error
+ * @returns {Function} Callback-style function (last argument is the callback)
+ */
+function callbackify(fn, toArgs = result => [result]) {
+  return function (...args) {
+    const callback = args.pop();
+    if (typeof callback !== 'function') {
+      throw invalidArgType('cb', 'function', callback);
+    }
+    // Call back outside the promise chain so errors thrown by the callback stay uncaught
+    Promise.resolve()
+      .then(() => fn(...args))
+      .then(
+        result => process.nextTick(callback, null, ...toArgs(result)),
+        error => process.nextTick(callback, error)
+      );
+  };
+}
+
+/**
+ * Create an object shaped like Node's fs module over an ObjectStorage
+ *
+ * The returned object has callback-style methods (`fs.readFile(path, cb)`),
+ * numeric file descriptors for open/read/write/close, `*Sync` variants, stream
+ * factories and a `promises` namespace shaped like `fs.promises`, so libraries
+ * that accept an injectable fs module can work with object storage directly.
+ *
+ * @param {ObjectStorage} storage - Storage to expose
+ * @returns {Object} fs-compatible module object
+ */
+export default function createFs(storage) {
+  const promises = {
+    constants,
+
+    async access(path, mode = constants.F_OK) {
+      path = toPath(path);
+      try {
+        // Objects have no permission bits, existence is all that is checked
+        await storage.stat(path);
+      } catch (error) {
+        if (ErrorHandler.isNotFoundError(error) || error.code === 'ENOTDIR') {
+          throw ErrorHandler.createFileSystemError(error.code, path, 'access');
+        }
+        throw error;
+      }
+    },
+
+    async appendFile(path, data, options) {
+      return storage.appendFile(toPath(path), data, toOptions(options));
+    },
+
+    async chmod(path, mode) {
+      return storage.chmod(toPath(path), mode);
+    },
+
+    async chown(path, uid, gid) {
+      return storage.chown(toPath(path), uid, gid);
+    },
+
+    async copyFile(src, dest, mode = 0) {
+      return storage.copyFile(toPath(src, 'src'), toPath(dest, 'dest'), mode);
+    },
+
+    async cp(src, dest, options) {
+      return storage.cp(toPath(src, 'src'), toPath(dest, 'dest'), options);
+    },
+
+    async lstat(path) {
+      return storage.lstat(toPath(path));
+    },
+
+    async mkdir(path, options) {
+      return storage.mkdir(toPath(path), toOptions(options, 'mode'));
+    },
+
+    async open(path, flags = 'r', mode) {
+      return storage.open(toPath(path), flags, mode);
+    },
+
+    async readdir(path, options) {
+      options = toOptions(options);
+      if (options.recursive) {
+        throw invalidArgValue('options.recursive', options.recursive, 'is not supported');
+      }
+      const entries = await storage.readdir(toPath(path), options);
+      if (options.encoding === 'buffer' && !options.withFileTypes) {
+        return entries.map(name => Buffer.from(name));
+      }
+      return entries;
+    },
+
+    async readlink(path, options) {
+      return storage.readlink(toPath(path), toOptions(options));
+    },
+
+    async realpath(path, options) {
+      return storage.realpath(toPath(path), toOptions(options));
+    },
+
+    async readFile(path, options) {
+      options = toOptions(options);
+      if (path instanceof FileHandle) {
+        return path.readFile(options);
+      }
+      return storage.readFile(toPath(path), options);
+    },
+
+    async rename(oldPath, newPath) {
+      return storage.rename(toPath(oldPath, 'oldPath'), toPath(newPath, 'newPath'));
+    },
+
+    async rm(path, options) {
+      return storage.rm(toPath(path), options);
+    },
+
+    async rmdir(path) {
+      return storage.rmdir(toPath(path));
+    },
+
+    async stat(path, options) {
+      return storage.stat(toPath(path), toOptions(options));
+    },
+
+    async symlink(target, path, type) {
+      return storage.symlink(toPath(target, 'target'), toPath(path), type);
+    },
+
+    async truncate(path, len = 0) {
+      const handle = await storage.open(toPath(path), 'r+');
+      try {
+        await handle.truncate(len);
+      } finally {
+        await handle.close();
+      }
+    },
+
+    async unlink(path) {
+      return storage.unlink(toPath(path));
+    },
+
+    async utimes(path, atime, mtime) {
+      return storage.utimes(toPath(path), atime, mtime);
+    },
+
+    async *watch(filename, options) {
+      options = toOptions(options);
+      const watcher = storage.watch(toPath(filename, 'filename'), options);
+      try {
+        for await (const [eventType, name] of on(watcher, 'change', { signal: options.signal })) {
+          yield { eventType, filename: name };
+        }
+      } finally {
+        watcher.close();
+      }
+    },
+
+    async writeFile(file, data, options) {
+      options = toOptions(options);
+      if (file instanceof FileHandle) {
+        return file.writeFile(data, options);
+      }
+      return storage.writeFile(toPath(file, 'file'), data, options);
+    }
+  };
+
+  // Numeric file descriptors of the callback API
+  const handles = new Map();
+
+  function getHandle(fd, syscall) {
+    const handle = handles.get(fd);
+    if (!handle) {
+      throw ErrorHandler.createFileSystemError('EBADF', null, syscall);
+    }
+    return handle;
+  }
+
+  const fs = {
+    constants,
+    promises,
+
+    createReadStream(path, options) {
+      return storage.createReadStream(toPath(path), options);
+    },
+
+    createWriteStream(path, options) {
+      return storage.createWriteStream(toPath(path), options);
+    },
+
+    watch(filename, options, listener) {
+      return storage.watch(toPath(filename, 'filename'), options, listener);
+    },
+
+    watchFile(filename, options, listener) {
+      return storage.watchFile(toPath(filename, 'filename'), options, listener);
+    },
+
+    unwatchFile(filename, listener) {
+      storage.unwatchFile(toPath(filename, 'filename'), listener);
+    },
+
+    exists(path, callback) {
+      if (typeof callback !== 'function') {
+        throw invalidArgType('cb', 'function', callback);
+      }
+      promises.access(path).then(() => true, () => false).then(exists => process.nextTick(callback, exists));
+    },
+
+    open: callbackify(async (path, flags, mode) => {
+      const handle = await promises.open(path, flags, mode);
+      handles.set(handle.fd, handle);
+      return handle.fd;
+    }),
+
+    close: callbackify(async (fd) => {
+      const handle = getHandle(fd, 'close');
+      handles.delete(fd);
+      await handle.close();
+    }),
+
+    read: callbackify(
+      async (fd, ...args) => getHandle(fd, 'read').read(...args),
+      result => [result.bytesRead, result.buffer]
+    ),
+
+    write: callbackify(
+      async (fd, ...args) => getHandle(fd, 'write').write(...args),
+      result => [result.bytesWritten, result.buffer]
+    ),
+
+    fstat: callbackify(async (fd) => getHandle(fd, 'fstat').stat()),
+
+    fsync: callbackify(async (fd) => getHandle(fd, 'fsync').sync()),
+
+    fdatasync: callbackify(async (fd) => getHandle(fd, 'fdatasync').datasync()),
+
+    ftruncate: callbackify(async (fd, len = 0) => getHandle(fd, 'ftruncate').truncate(len)),
+
+    // Synchronous variants block on ObjectStorage's worker thread
+    accessSync(path) {
+      path = toPath(path);
+      try {
+        storage.statSync(path);
+      } catch (error) {
+        if (ErrorHandler.isNotFoundError(error) || error.code === 'ENOTDIR') {
+          throw ErrorHandler.createFileSystemError(error.code, path, 'access');
+        }
+        throw error;
+      }
+    },
+
+    existsSync(path) {
+      try {
+        return storage.existsSync(toPath(path));
+      } catch {
+        return false;
+      }
+    },
+
+    appendFileSync: (path, data, options) => storage.appendFileSync(toPath(path), data, toOptions(options)),
+    chmodSync: (path, mode) => storage.chmodSync(toPath(path), mode),
+    chownSync: (path, uid, gid) => storage.chownSync(toPath(path), uid, gid),
+    copyFileSync: (src, dest, mode = 0) => storage.copyFileSync(toPath(src, 'src'), toPath(dest, 'dest'), mode),
+    lstatSync: (path) => storage.lstatSync(toPath(path)),
+    mkdirSync: (path, options) => storage.mkdirSync(toPath(path), toOptions(options, 'mode')),
+    readdirSync(path, options) {
+      options = toOptions(options);
+      if (options.recursive) {
+        throw invalidArgValue('options.recursive', options.recursive, 'is not supported');
+      }
+      const entries = storage.readdirSync(toPath(path), options);
+      if (options.encoding === 'buffer' && !options.withFileTypes) {
+        return entries.map(name => Buffer.from(name));
+      }
+      return entries;
+    },
+    readFileSync: (path, options) => storage.readFileSync(toPath(path), toOptions(options)),
+    readlinkSync: (path, options) => storage.readlinkSync(toPath(path), toOptions(options)),
+    realpathSync: (path, options) => storage.realpathSync(toPath(path), toOptions(options)),
+    renameSync: (oldPath, newPath) => storage.renameSync(toPath(oldPath, 'oldPath'), toPath(newPath, 'newPath')),
+    rmSync: (path, options) => storage.rmSync(toPath(path), options),
+    rmdirSync: (path) => storage.rmdirSync(toPath(path)),
+    statSync: (path, options) => storage.statSync(toPath(path), toOptions(options)),
+    symlinkSync: (target, path, type) => storage.symlinkSync(toPath(target, 'target'), toPath(path), type),
+    unlinkSync: (path) => storage.unlinkSync(toPath(path)),
+    utimesSync: (path, atime, mtime) => storage.utimesSync(toPath(path), atime, mtime),
+    writeFileSync: (file, data, options) => storage.writeFileSync(toPath(file, 'file'), data, toOptions(options))
+  };
+
+  for (const name of ['access', 'appendFile', 'chmod', 'chown', 'copyFile', 'cp', 'lstat', 'mkdir', 'readdir',
+    'readFile', 'readlink', 'realpath', 'rename', 'rm', 'rmdir', 'stat', 'symlink', 'truncate', 'unlink', 'utimes',
+    'writeFile']) {
+    fs[name] = callbackify(promises[name]);
+  }
+
+  // There is no native resolver to prefer
+  fs.realpath.native = fs.realpath;
+  fs.realpathSync.native = fs.realpathSync;
+
+  return fs;
+}
@@ -0,0 +1,38 @@
+// syncWorker.js - Worker thread entry that serves SyncRunner requests with its own ObjectStorage
+
+import { workerData } from 'worker_threads';
+import ObjectStorage from './ObjectStorage.js';
+import SyncRunner from './SyncRunner.js';
+import MinioBackend from './backends/MinioBackend.js';
+import FsBackend from './backends/FsBackend.js';
+
+// Backends that can be recreated from StorageBackend.getWorkerConfig()
+const BACKENDS = { MinioBackend, FsBackend };
+
+const { options, port, flag } = workerData;
+let storage = null;
+
+// Wake a waiting caller when the thread dies instead of replying
+process.on('exit', () => {
+  Atomics.store(flag, 0, 2);
+  Atomics.notify(flag, 0);
+});
+
+port.on('message', async ({ method, args }) => {
+  let message;
+  try {
+    if (!storage) {
+      const Backend = BACKENDS[options.backend.type];
+      storage = new ObjectStorage({ ...options, backend: new Backend(options.backend.options) });
+    }
+    const result = await storage[method](...SyncRunner.decode(args));
+    message = { result: SyncRunner.encode(result) };
+  } catch (error) {
+    message = { error: SyncRunner.encodeError(error) };
+  }
+
+  // Post the reply before waking the caller, it is read with receiveMessageOnPort
+  port.postMessage(message);
+  Atomics.store(flag, 0, 1);
+  Atomics.notify(flag, 0);
+});
@@ -4,8 +4,21 @@
 import ErrorHandler from './src/lib/ErrorHandler.js';
 import PathConverter from './src/lib/PathConverter.js';
 import StreamConverter from './src/lib/StreamConverter.js';
+import ObjectStorage from './src/lib/ObjectStorage.js';
+import StorageBackend from './src/lib/backends/StorageBackend.js';
+import MemoryBackend from './src/lib/backends/MemoryBackend.js';
+import FsBackend from './src/lib/backends/FsBackend.js';
+import MinioBackend from './src/lib/backends/MinioBackend.js';
+import createFs from './src/lib/createFs.js';
 import { strict as assert } from 'assert';
 import { test } from 'node:test';
+import { Readable } from 'stream';
+import { EventEmitter } from 'events';
+import { pipeline } from 'stream/promises';
+import nodeFs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
 
 // ErrorHandler tests
 test('ErrorHandler - convert NoSuchKey to ENOENT', () => {
@@ -98,4 +111,1421 @@ test('StreamConverter - normalize data (buffer)', () => {
   assert.strictEqual(result, buffer);
 });
 
+// MemoryBackend tests
+test('MemoryBackend - put, stat and get object', async () => {
+  const backend = new MemoryBackend({ buckets: ['bucket'] });
+  await backend.putObject('bucket', 'dir/file.txt', 'Hello, World!');
+  const info = await backend.statObject('bucket', 'dir/file.txt');
+  assert.strictEqual(info.size, 13);
+  assert.strictEqual(info.metaData['content-type'], 'application/octet-stream');
+  const content = await StreamConverter.streamToString(await backend.getObject('bucket', 'dir/file.txt'));
+  assert.strictEqual(content, 'Hello, World!');
+});
+
+test('MemoryBackend - list objects with common prefixes', async () => {
+  const backend = new MemoryBackend({ buckets: ['bucket'] });
+  await backend.putObject('bucket', 'a/b.txt', 'b');
+  await backend.putObject('bucket', 'a-c.txt', 'c');
+  await backend.putObject('bucket', 'empty/', '');
+  const entries = [];
+  for await (const entry of backend.listObjectsV2('bucket', '', false)) {
+    entries.push(entry.name || entry.prefix);
+  }
+  assert.deepStrictEqual(entries, ['a-c.txt', 'a/', 'empty/']);
+});
+
+test('MemoryBackend - listing a marker key includes the marker', async () => {
+  const backend = new MemoryBackend({ buckets: ['bucket'] });
+  const storage = new ObjectStorage({ bucket: 'bucket', backend });
+  await storage.mkdir('/d');
+  await storage.writeFile('/d/f.txt', 'f');
+  for (const recursive of [true, false]) {
+    const entries = [];
+    for await (const entry of backend.listObjectsV2('bucket', 'd/', recursive)) {
+      entries.push(entry.name || entry.prefix);
+    }
+    assert.deepStrictEqual(entries, ['d/', 'd/f.txt']);
+  }
+});
+
+test('MemoryBackend - object cannot be parent of another object', async () => {
+  const backend = new MemoryBackend({ buckets: ['bucket'] });
+  await backend.putObject('bucket', 'file', 'data');
+  await assert.rejects(backend.putObject('bucket', 'file/child', 'data'), { code: 'XMinioParentIsObject' });
+});
+
+// ObjectStorage tests (in-memory backend)
+test('ObjectStorage - write, read and unlink with memory backend', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.writeFile('/data/hello.txt', 'Hello, World!');
+  assert.strictEqual(await storage.readFile('/data/hello.txt', 'utf8'), 'Hello, World!');
+  assert.deepStrictEqual(await storage.readdir('/data'), ['hello.txt']);
+  await storage.copyFile('/data/hello.txt', '/data/copy.txt');
+  await storage.unlink('/data/hello.txt');
+  assert.strictEqual(await storage.exists('/data/hello.txt'), false);
+  assert.strictEqual(await storage.readFile('/data/copy.txt', 'utf8'), 'Hello, World!');
+  await assert.rejects(storage.readFile('/missing.txt'), { code: 'ENOENT' });
+});
+
+test('ObjectStorage - stat distinguishes files, marker and implicit directories', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.writeFile('/implicit/file.txt', 'data');
+  await storage.mkdir('/marker');
+
+  const fileStats = await storage.stat('/implicit/file.txt');
+  assert.ok(fileStats.isFile());
+  const implicitStats = await storage.stat('/implicit');
+  assert.ok(implicitStats.isDirectory());
+  assert.ok(implicitStats.isImplicitDirectory());
+  const markerStats = await storage.stat('/marker');
+  assert.ok(markerStats.isDirectory());
+  assert.ok(!markerStats.isImplicitDirectory());
+  await assert.rejects(storage.stat('/missing'), { code: 'ENOENT' });
+});
+
+test('ObjectStorage - readdir withFileTypes returns directory entries', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.writeFile('/root/file.txt', 'data');
+  await storage.writeFile('/root/sub/nested.txt', 'data');
+  await storage.mkdir('/root/empty');
+  await storage.symlink('file.txt', '/root/link');
+
+  const statIfExists = storage._statIfExists;
+  const stats = [];
+  storage._statIfExists = function (bucket, key, ...rest) {
+    stats.push(key);
+    return statIfExists.call(this, bucket, key, ...rest);
+  };
+  const entries = await storage.readdir('/root', { withFileTypes: true });
+  delete storage._statIfExists;
+  assert.deepStrictEqual(entries.map(entry => [entry.name, entry.isDirectory(), entry.isImplicitDirectory(), entry.isSymbolicLink()]), [
+    ['empty', true, false, false],
+    ['file.txt', false, false, false],
+    ['link', false, false, true],
+    ['sub', true, true, false]
+  ]);
+  // Files with content are known from the listing
+  assert.deepStrictEqual(stats.sort(), ['root/empty/', 'root/link', 'root/sub/']);
+  await assert.rejects(storage.readdir('/root/file.txt'), { code: 'ENOTDIR' });
+  await assert.rejects(storage.readdir('/missing'), { code: 'ENOENT' });
+});
+
+test('ObjectStorage - implicit directory mode does not store markers', async () => {
+  const backend = new MemoryBackend();
+  const storage = new ObjectStorage({ bucket: 'bucket', backend, directoryMode: 'implicit' });
+  await storage.mkdir('/dir');
+  assert.strictEqual(await storage.exists('/dir'), false);
+  await storage.writeFile('/dir/file.txt', 'data');
+  assert.ok((await storage.stat('/dir')).isImplicitDirectory());
+});
+
+test('ObjectStorage - rename file and directory tree', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.writeFile('/src/file.txt', 'file');
+  await storage.writeFile('/src/sub/nested.txt', 'nested');
+  await storage.mkdir('/src/empty');
+
+  await storage.rename('/src/file.txt', '/src/renamed.txt');
+  assert.deepStrictEqual(await storage.readdir('/src'), ['empty', 'renamed.txt', 'sub']);
+
+  await storage.rename('/src', '/dest');
+  assert.strictEqual(await storage.exists('/src'), false);
+  assert.deepStrictEqual(await storage.readdir('/dest'), ['empty', 'renamed.txt', 'sub']);
+  assert.strictEqual(await storage.readFile('/dest/sub/nested.txt', 'utf8'), 'nested');
+  assert.ok(!(await storage.stat('/dest/empty')).isImplicitDirectory());
+
+  // The marker of the renamed directory moves along
+  await storage.mkdir('/d');
+  await storage.rename('/d', '/e');
+  assert.deepStrictEqual(await storage.readdir('/'), ['dest', 'e']);
+  assert.ok(!(await storage.stat('/e')).isImplicitDirectory());
+});
+
+test('ObjectStorage - rename reports fs-style errors', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.writeFile('/dir/file.txt', 'file');
+  await storage.writeFile('/other/file.txt', 'file');
+  await storage.writeFile('/plain.txt', 'plain');
+
+  await assert.rejects(storage.rename('/missing', '/dest'), { code: 'ENOENT', syscall: 'rename' });
+  await assert.rejects(storage.rename('/dir', '/other'), { code: 'EEXIST' });
+  await assert.rejects(storage.rename('/dir', '/plain.txt'), { code: 'ENOTDIR' });
+  await assert.rejects(storage.rename('/plain.txt', '/dir'), { code: 'EISDIR' });
+  await assert.rejects(storage.rename('/dir', '/dir/inside'), { code: 'EINVAL' });
+});
+
+test('ObjectStorage - rm removes directory trees recursively', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.writeFile('/tree/file.txt', 'file');
+  await storage.writeFile('/tree/sub/nested.txt', 'nested');
+  await storage.mkdir('/tree/empty');
+
+  await assert.rejects(storage.rm('/tree'), { code: 'EISDIR' });
+  await storage.rm('/tree', { recursive: true });
+  assert.strictEqual(await storage.exists('/tree'), false);
+
+  await assert.rejects(storage.rm('/tree'), { code: 'ENOENT' });
+  await storage.rm('/tree', { force: true });
+
+  // Directories created with mkdir lose their marker
+  await storage.mkdir('/d');
+  await storage.writeFile('/d/f.txt', 'f');
+  await storage.rm('/d', { recursive: true });
+  assert.strictEqual(await storage.exists('/d'), false);
+  await storage.mkdir('/m');
+  await storage.rm('/m', { recursive: true });
+  assert.strictEqual(await storage.exists('/m'), false);
+  assert.deepStrictEqual(await storage.readdir('/'), []);
+});
+
+test('ObjectStorage - rm aggregates per-key failures', async () => {
+  const backend = new MemoryBackend();
+  const storage = new ObjectStorage({ bucket: 'bucket', backend });
+  await storage.writeFile('/tree/a.txt', 'a');
+  await storage.writeFile('/tree/b.txt', 'b');
+
+  const removeObject = backend.removeObject.bind(backend);
+  backend.removeObject = async (bucket, key) => {
+    if (key === 'tree/b.txt') {
+      const error = new Error('Access Denied.');
+      error.code = 'AccessDenied';
+      throw error;
+    }
+    return removeObject(bucket, key);
+  };
+
+  await assert.rejects(storage.rm('/tree', { recursive: true }), error => {
+    assert.strictEqual(error.code, 'EACCES');
+    assert.deepStrictEqual(error.errors.map(item => item.path), ['/tree/b.txt']);
+    return true;
+  });
+  assert.deepStrictEqual(await storage.readdir('/tree'), ['b.txt']);
+});
+
+test('ObjectStorage - cp copies directory trees with filter', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.writeFile('/customer-a/config.json', '{}');
+  await storage.writeFile('/customer-a/logs/app.log', 'log');
+  await storage.writeFile('/customer-a/data/file.txt', 'data');
+
+  await assert.rejects(storage.cp('/customer-a', '/customer-b'), { code: 'EISDIR' });
+  await storage.cp('/customer-a', '/customer-b', {
+    recursive: true,
+    filter: (src) => !src.endsWith('/logs')
+  });
+  assert.deepStrictEqual(await storage.readdir('/customer-b'), ['config.json', 'data']);
+  assert.strictEqual(await storage.readFile('/customer-b/data/file.txt', 'utf8'), 'data');
+  await assert.rejects(storage.cp('/customer-a', '/customer-a/copy', { recursive: true }), { code: 'EINVAL' });
+
+  // Markers of directories created with mkdir are copied, empty or not
+  await storage.mkdir('/empty');
+  await storage.cp('/empty', '/empty-copy', { recursive: true });
+  assert.ok(!(await storage.stat('/empty-copy')).isImplicitDirectory());
+  await storage.mkdir('/full');
+  await storage.writeFile('/full/a.txt', 'a');
+  await storage.cp('/full', '/full-copy', { recursive: true });
+  assert.ok(!(await storage.stat('/full-copy')).isImplicitDirectory());
+  assert.strictEqual(await storage.readFile('/full-copy/a.txt', 'utf8'), 'a');
+});
+
+test('ObjectStorage - cp respects force and errorOnExist', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.writeFile('/src.txt', 'new');
+  await storage.writeFile('/dest.txt', 'old');
+
+  await storage.cp('/src.txt', '/dest.txt', { force: false });
+  assert.strictEqual(await storage.readFile('/dest.txt', 'utf8'), 'old');
+  await assert.rejects(storage.cp('/src.txt', '/dest.txt', { force: false, errorOnExist: true }), { code: 'EEXIST' });
+
+  // The destination is checked by the copy itself, not by an earlier stat
+  const copyObject = storage.backend.copyObject.bind(storage.backend);
+  storage.backend.copyObject = async (...args) => {
+    await storage.backend.putObject('bucket', 'late.txt', 'late', 4);
+    return copyObject(...args);
+  };
+  await storage.cp('/src.txt', '/late.txt', { force: false });
+  assert.strictEqual(await storage.readFile('/late.txt', 'utf8'), 'late');
+  await storage.unlink('/late.txt');
+  await assert.rejects(storage.copyFile('/src.txt', '/late.txt', nodeFs.constants.COPYFILE_EXCL), { code: 'EEXIST', dest: '/late.txt' });
+  assert.strictEqual(await storage.readFile('/late.txt', 'utf8'), 'late');
+  storage.backend.copyObject = copyObject;
+  await storage.cp('/src.txt', '/dest.txt');
+  assert.strictEqual(await storage.readFile('/dest.txt', 'utf8'), 'new');
+});
+
+test('ObjectStorage - copyFile errors report source and destination', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await assert.rejects(storage.copyFile('/missing.txt', '/dest.txt'), {
+    code: 'ENOENT',
+    syscall: 'copyfile',
+    path: '/missing.txt',
+    dest: '/dest.txt'
+  });
+});
+
+test('FileHandle - positional reads use byte ranges', async () => {
+  const backend = new MemoryBackend();
+  const storage = new ObjectStorage({ bucket: 'bucket', backend });
+  await storage.writeFile('/file.txt', 'Hello, World!');
+
+  const ranges = [];
+  const getPartialObject = backend.getPartialObject.bind(backend);
+  backend.getPartialObject = (bucket, key, offset, length) => {
+    ranges.push([offset, length]);
+    return getPartialObject(bucket, key, offset, length);
+  };
+
+  const handle = await storage.open('/file.txt', 'r');
+  const buffer = Buffer.alloc(5);
+  const { bytesRead } = await handle.read(buffer, 0, 5, 7);
+  assert.strictEqual(bytesRead, 5);
+  assert.strictEqual(buffer.toString(), 'World');
+  assert.deepStrictEqual(ranges, [[7, 5]]);
+  await assert.rejects(handle.write('data'), { code: 'EBADF' });
+  await handle.close();
+  await assert.rejects(handle.read(buffer, 0, 5, 0), { code: 'EBADF' });
+});
+
+test('FileHandle - writes are committed on close', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.writeFile('/file.txt', 'Hello, World!');
+
+  const handle = await storage.open('/file.txt', 'r+');
+  await handle.write('J', 0);
+  await handle.write(Buffer.from('!!'), 0, 2, 13);
+  assert.strictEqual((await handle.stat()).size, 15);
+  assert.strictEqual(await storage.readFile('/file.txt', 'utf8'), 'Hello, World!');
+  await handle.close();
+  assert.strictEqual(await storage.readFile('/file.txt', 'utf8'), 'Jello, World!!!');
+
+  const created = await storage.open('/new.txt', 'wx');
+  await created.write('new');
+  await created.truncate(2);
+  await created.close();
+  assert.strictEqual(await storage.readFile('/new.txt', 'utf8'), 'ne');
+  await assert.rejects(storage.open('/new.txt', 'wx'), { code: 'EEXIST' });
+  await assert.rejects(storage.open('/missing.txt', 'r'), { code: 'ENOENT' });
+
+  // Exclusive handles opened side by side: the second commit finds the file
+  const first = await storage.open('/race.txt', 'wx');
+  const second = await storage.open('/race.txt', 'wx');
+  await first.write('first');
+  await second.write('second');
+  await first.close();
+  await assert.rejects(second.close(), { code: 'EEXIST' });
+  assert.strictEqual(await storage.readFile('/race.txt', 'utf8'), 'first');
+
+  // Read-modify-write does not overwrite changes made since open()
+  const edited = await storage.open('/race.txt', 'r+');
+  await edited.write('F', 0);
+  await storage.writeFile('/race.txt', 'other');
+  await assert.rejects(edited.close(), { code: 'ESTALE' });
+  assert.strictEqual(await storage.readFile('/race.txt', 'utf8'), 'other');
+  const appended = await storage.open('/race.txt', 'a');
+  await appended.write('!');
+  await appended.sync();
+  await appended.write('!');
+  await appended.close();
+  assert.strictEqual(await storage.readFile('/race.txt', 'utf8'), 'other!!');
+});
+
+test('ObjectStorage - createReadStream returns a stream with byte ranges', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.writeFile('/file.txt', 'Hello, World!');
+
+  const stream = storage.createReadStream('/file.txt', { start: 7, end: 11 });
+  assert.ok(stream instanceof Readable);
+  assert.strictEqual(await StreamConverter.streamToString(stream), 'World');
+
+  const chunks = [];
+  const chunked = storage.createReadStream('/file.txt', { highWaterMark: 4 });
+  await new Promise((resolve, reject) => {
+    chunked.on('data', chunk => chunks.push(chunk.toString()));
+    chunked.on('end', resolve);
+    chunked.on('error', reject);
+  });
+  assert.deepStrictEqual(chunks, ['Hell', 'o, W', 'orld', '!']);
+});
+
+test('ObjectStorage - createReadStream emits errors on the stream', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  const stream = storage.createReadStream('/missing.txt');
+  const error = await new Promise(resolve => stream.on('error', resolve));
+  assert.strictEqual(error.code, 'ENOENT');
+  assert.strictEqual(error.path, '/missing.txt');
+});
+
+test('ObjectStorage - createWriteStream finishes after the object is stored', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  const stream = storage.createWriteStream('/file.txt');
+  stream.write('Hello, ');
+  stream.end('World!');
+  await new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+  assert.strictEqual(await storage.readFile('/file.txt', 'utf8'), 'Hello, World!');
+  assert.strictEqual(stream.size, 13);
+  assert.strictEqual(stream.etag, (await storage.stat('/file.txt')).etag);
+
+  const append = storage.createWriteStream('/file.txt', { flags: 'a' });
+  await pipeline(Readable.from(['!!']), append);
+  assert.strictEqual(await storage.readFile('/file.txt', 'utf8'), 'Hello, World!!!');
+  assert.strictEqual(append.size, 15);
+});
+
+test('ObjectStorage - createWriteStream reports upload failures as errors', async () => {
+  const backend = new MemoryBackend();
+  const storage = new ObjectStorage({ bucket: 'bucket', backend });
+  await storage.writeFile('/exists.txt', 'data');
+
+  const exclusive = storage.createWriteStream('/exists.txt', { flags: 'wx' });
+  exclusive.end('new');
+  await assert.rejects(new Promise((resolve, reject) => {
+    exclusive.on('finish', resolve);
+    exclusive.on('error', reject);
+  }), { code: 'EEXIST' });
+
+  // Writes landing while the stream is open are not overwritten
+  const finished = stream => new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+  const racing = storage.createWriteStream('/race.txt', { flags: 'wx' });
+  await new Promise(resolve => racing.once('ready', resolve));
+  await storage.writeFile('/race.txt', 'first');
+  racing.end('second');
+  await assert.rejects(finished(racing), { code: 'EEXIST' });
+  const appending = storage.createWriteStream('/exists.txt', { flags: 'a' });
+  await new Promise(resolve => appending.once('ready', resolve));
+  await storage.writeFile('/exists.txt', 'replaced');
+  appending.end('!');
+  await assert.rejects(finished(appending), { code: 'ESTALE' });
+  assert.strictEqual(await storage.readFile('/race.txt', 'utf8'), 'first');
+  assert.strictEqual(await storage.readFile('/exists.txt', 'utf8'), 'replaced');
+
+  backend.putObject = async (bucket, key, data) => {
+    data.resume();
+    const error = new Error('Access Denied.');
+    error.code = 'AccessDenied';
+    throw error;
+  };
+  const failing = storage.createWriteStream('/denied.txt');
+  failing.end('data');
+  await assert.rejects(new Promise((resolve, reject) => {
+    failing.on('finish', resolve);
+    failing.on('error', reject);
+  }), { code: 'EACCES' });
+});
+
+test('ObjectStorage - appendFile creates and extends files', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+
+  await storage.appendFile('/log.txt', 'a\n');
+  await storage.appendFile('/log.txt', Buffer.from('b\n'));
+  await Promise.all(['c\n', 'd\n', 'e\n'].map(line => storage.appendFile('/log.txt', line)));
+
+  const lines = (await storage.readFile('/log.txt', 'utf8')).split('\n');
+  assert.deepStrictEqual(lines.slice(0, 2), ['a', 'b']);
+  assert.deepStrictEqual(lines.slice(2, 5).sort(), ['c', 'd', 'e']);
+
+  await storage.mkdir('/dir');
+  await assert.rejects(storage.appendFile('/dir', 'x'), { code: 'EISDIR' });
+  await assert.rejects(storage.appendFile('/log.txt/x', 'x'), { code: 'ENOTDIR' });
+});
+
+test('ObjectStorage - appendFile composes large objects server-side', async () => {
+  const backend = new MemoryBackend();
+  const storage = new ObjectStorage({ bucket: 'bucket', backend });
+  await storage.initialize();
+
+  const content = Buffer.alloc(5 * 1024 * 1024, 'x');
+  await backend.putObject('bucket', 'big.log', content, content.length, { 'Content-Type': 'text/plain' });
+  const composeObject = backend.composeObject.bind(backend);
+  const composed = [];
+  backend.composeObject = async (bucket, key, sources, metaData) => {
+    composed.push(sources.length);
+    return composeObject(bucket, key, sources, metaData);
+  };
+
+  await storage.appendFile('/big.log', 'tail');
+
+  assert.deepStrictEqual(composed, [2]);
+  assert.strictEqual((await storage.readFile('/big.log')).subarray(-5).toString(), 'xtail');
+  const info = await backend.statObject('bucket', 'big.log');
+  assert.strictEqual(info.size, content.length + 4);
+  assert.strictEqual(info.metaData['content-type'], 'text/plain');
+  assert.deepStrictEqual(await storage.readdir('/'), ['big.log']);
+});
+
+test('createFs - callback API matches Node signatures', async () => {
+  const fs = createFs(new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() }));
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    fs[method](...args, (error, ...results) => error ? reject(error) : resolve(results));
+  });
+
+  await call('writeFile', '/file.txt', 'Hello, World!');
+  assert.deepStrictEqual(await call('readFile', '/file.txt', 'utf8'), ['Hello, World!']);
+  await assert.rejects(call('readFile', '/missing.txt'), { code: 'ENOENT', syscall: 'open' });
+  assert.throws(() => fs.readFile('/file.txt'), { code: 'ERR_INVALID_ARG_TYPE' });
+
+  const [fd] = await call('open', '/file.txt', 'r');
+  assert.strictEqual(typeof fd, 'number');
+  const [bytesRead, buffer] = await call('read', fd, Buffer.alloc(5), 0, 5, 7);
+  assert.strictEqual(bytesRead, 5);
+  assert.strictEqual(buffer.toString(), 'World');
+  await call('close', fd);
+  await assert.rejects(call('fstat', fd), { code: 'EBADF' });
+
+  assert.strictEqual(await new Promise(resolve => fs.exists('/file.txt', resolve)), true);
+});
+
+test('createFs - promises namespace matches fs.promises', async () => {
+  const { promises, constants } = createFs(new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() }));
+
+  assert.strictEqual(await promises.mkdir('/a/b/c', { recursive: true }), '/a');
+  assert.strictEqual(await promises.mkdir('/a/b/c', { recursive: true }), undefined);
+  await promises.access('/a/b');
+  await assert.rejects(promises.access('/missing'), { code: 'ENOENT', syscall: 'access' });
+
+  await promises.writeFile('/log.txt', 'a', { flag: 'a' });
+  await promises.writeFile(Buffer.from('/log.txt'), 'b', { flag: 'a' });
+  assert.strictEqual(await promises.readFile(new URL('file:///log.txt'), 'utf8'), 'ab');
+  await promises.truncate('/log.txt', 1);
+  assert.strictEqual(await promises.readFile('/log.txt', 'utf8'), 'a');
+
+  await promises.writeFile('/copy.txt', 'c');
+  await assert.rejects(promises.copyFile('/copy.txt', '/log.txt', constants.COPYFILE_EXCL),
+    { code: 'EEXIST', syscall: 'copyfile', path: '/copy.txt', dest: '/log.txt' });
+  assert.strictEqual(await promises.readFile('/log.txt', 'utf8'), 'a');
+  await promises.copyFile('/copy.txt', '/copy2.txt', constants.COPYFILE_EXCL);
+  assert.strictEqual(await promises.readFile('/copy2.txt', 'utf8'), 'c');
+  await assert.rejects(promises.readdir('/', { recursive: true }), { code: 'ERR_INVALID_ARG_VALUE', name: 'TypeError' });
+
+  const stats = await promises.stat('/log.txt');
+  assert.strictEqual(stats.mode & constants.S_IFMT, constants.S_IFREG);
+  assert.strictEqual(stats.mtimeMs, stats.mtime.getTime());
+});
+
+test('ObjectStorage - sync methods block on a worker thread', async () => {
+  const root = nodeFs.mkdtempSync(path.join(os.tmpdir(), 'fs-object-storage-'));
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new FsBackend({ root }) });
+
+  try {
+    storage.writeFileSync('/config.json', '{"debug":true}');
+    assert.deepStrictEqual(JSON.parse(storage.readFileSync('/config.json', 'utf8')), { debug: true });
+    assert.ok(Buffer.isBuffer(storage.readFileSync('/config.json')));
+    assert.strictEqual(storage.existsSync('/config.json'), true);
+    assert.strictEqual(storage.existsSync('/missing.json'), false);
+
+    const stats = storage.statSync('/config.json');
+    assert.strictEqual(stats.size, 14);
+    assert.strictEqual(stats.isFile(), true);
+    assert.ok(stats.mtime instanceof Date);
+
+    assert.throws(() => storage.readFileSync('/missing.json'), { code: 'ENOENT', errno: -2, syscall: 'open', path: '/missing.json' });
+
+    const fs = createFs(storage);
+    assert.deepStrictEqual(fs.readdirSync('/'), ['config.json']);
+    assert.strictEqual(fs.existsSync(Buffer.from('/config.json')), true);
+    assert.strictEqual(await storage.readFile('/config.json', 'utf8'), '{"debug":true}');
+  } finally {
+    await storage.close();
+    nodeFs.rmSync(root, { recursive: true, force: true });
+  }
+
+  const memory = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  assert.throws(() => memory.readFileSync('/config.json'), { code: 'ENOSYS' });
+});
+
+test('ObjectStorage - sync methods fail instead of waiting for a lost worker', async () => {
+  const root = nodeFs.mkdtempSync(path.join(os.tmpdir(), 'fs-object-storage-'));
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new FsBackend({ root }), syncTimeout: 1 });
+
+  try {
+    // The worker cannot even start within 1 ms
+    assert.throws(() => storage.existsSync('/config.json'), { code: 'ETIMEDOUT', syscall: 'stat', path: '/config.json' });
+
+    storage._syncRunner.timeout = 60000;
+    storage.writeFileSync('/config.json', '{}');
+    await storage._syncRunner._worker.terminate();
+    assert.throws(() => storage.readFileSync('/config.json'), { code: 'EIO', syscall: 'open' });
+
+    // The next call starts a new worker
+    assert.strictEqual(storage.readFileSync('/config.json', 'utf8'), '{}');
+  } finally {
+    await storage.close();
+    nodeFs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('ObjectStorage - watch reports changes by polling listings', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.writeFile('/templates/index.html', 'v1');
+  await storage.writeFile('/templates/old.html', 'v1');
+
+  const events = [];
+  const watcher = storage.watch('/templates', { interval: 20 }, (eventType, filename) => {
+    events.push([eventType, filename]);
+  });
+  await new Promise(resolve => setTimeout(resolve, 40));
+
+  await storage.writeFile('/templates/index.html', 'v2');
+  await storage.writeFile('/templates/new.html', 'v1');
+  await storage.unlink('/templates/old.html');
+  await storage.writeFile('/templates/partials/header.html', 'v1');
+  await new Promise(resolve => setTimeout(resolve, 80));
+  watcher.close();
+
+  assert.deepStrictEqual(events.sort(), [
+    ['change', 'index.html'],
+    ['rename', 'new.html'],
+    ['rename', 'old.html'],
+    ['rename', 'partials']
+  ]);
+
+  // Polls see writes of other clients that cached listings do not show yet
+  const cached = new ObjectStorage({ bucket: 'bucket', backend: storage.backend, metadataCache: { ttl: 60000 } });
+  assert.deepStrictEqual(await cached.readdir('/templates'), ['index.html', 'new.html', 'partials']);
+  const seen = [];
+  const cachedWatcher = cached.watch('/templates', { interval: 20 }, (eventType, filename) => seen.push([eventType, filename]));
+  await new Promise(resolve => setTimeout(resolve, 40));
+  await storage.writeFile('/templates/late.html', 'v1');
+  await new Promise(resolve => setTimeout(resolve, 80));
+  cachedWatcher.close();
+  assert.deepStrictEqual(seen, [['rename', 'late.html']]);
+  assert.deepStrictEqual(await cached.readdir('/templates'), ['index.html', 'late.html', 'new.html', 'partials']);
+
+  const missing = storage.watch('/missing');
+  await assert.rejects(new Promise((resolve, reject) => missing.on('error', reject)), { code: 'ENOENT', syscall: 'watch' });
+});
+
+test('ObjectStorage - watch rescans on bucket notifications', async () => {
+  const backend = new MemoryBackend();
+  const poller = Object.assign(new EventEmitter(), { stop: () => {} });
+  backend.listenBucketNotification = (bucket, prefix) => {
+    poller.prefix = prefix;
+    return poller;
+  };
+  const storage = new ObjectStorage({ bucket: 'bucket', backend });
+  await storage.writeFile('/app.css', 'a');
+
+  const changed = new Promise(resolve => {
+    storage.watch('/app.css', { interval: 60000, persistent: false }, (eventType, filename) => resolve([eventType, filename]));
+  });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(poller.prefix, 'app.css');
+
+  await storage.writeFile('/app.css', 'b');
+  poller.emit('notification', { eventName: 's3:ObjectCreated:Put', s3: { object: { key: 'app.css' } } });
+  assert.deepStrictEqual(await changed, ['change', 'app.css']);
+});
+
+test('ObjectStorage - watch notifications bypass cached listings', async () => {
+  const backend = new MemoryBackend();
+  const poller = Object.assign(new EventEmitter(), { stop: () => {} });
+  backend.listenBucketNotification = () => poller;
+  const storage = new ObjectStorage({ bucket: 'bucket', backend, metadataCache: { ttl: 60000 } });
+  const other = new ObjectStorage({ bucket: 'bucket', backend });
+  await storage.mkdir('/assets');
+  await storage.writeFile('/assets/app.css', 'a');
+
+  const changed = new Promise(resolve => {
+    storage.watch('/assets', { interval: 60000, persistent: false }, (eventType, filename) => resolve([eventType, filename]));
+  });
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  // The listing is cached when another client writes
+  assert.deepStrictEqual(await storage.readdir('/assets'), ['app.css']);
+  await other.writeFile('/assets/app.js', 'b');
+  assert.deepStrictEqual(await storage.readdir('/assets'), ['app.css']);
+  poller.emit('notification', { eventName: 's3:ObjectCreated:Put', s3: { object: { key: 'assets/app.js' } } });
+  assert.deepStrictEqual(await changed, ['rename', 'app.js']);
+});
+
+test('ObjectStorage - watchFile polls stats', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.writeFile('/file.txt', 'a');
+
+  const changes = [];
+  const listener = (current, previous) => changes.push([current.size, previous.size]);
+  storage.watchFile('/file.txt', { interval: 20 }, listener);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  await storage.writeFile('/file.txt', 'abc');
+  await new Promise(resolve => setTimeout(resolve, 60));
+  await storage.unlink('/file.txt');
+  await new Promise(resolve => setTimeout(resolve, 60));
+  storage.unwatchFile('/file.txt', listener);
+
+  assert.deepStrictEqual(changes, [[3, 1], [0, 3]]);
+});
+
+test('ObjectStorage - chmod/chown/utimes persist in object metadata', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.mkdir('/bin');
+  await storage.writeFile('/bin/run.sh', 'echo', { mode: 0o700 });
+  assert.strictEqual((await storage.stat('/bin/run.sh')).mode, 0o100700);
+
+  await storage.chmod('/bin/run.sh', '755');
+  await storage.chown('/bin/run.sh', 1000, -1);
+  await storage.utimes('/bin/run.sh', 1000, new Date(2000000));
+  let stats = await storage.stat('/bin/run.sh');
+  assert.strictEqual(stats.mode, 0o100755);
+  assert.strictEqual(stats.uid, 1000);
+  assert.strictEqual(stats.gid, 0);
+  assert.strictEqual(stats.atimeMs, 1000000);
+  assert.strictEqual(stats.mtimeMs, 2000000);
+
+  // New content keeps mode and owner, mtime becomes the write time
+  await storage.writeFile('/bin/run.sh', 'echo 2');
+  stats = await storage.stat('/bin/run.sh');
+  assert.strictEqual(stats.mode, 0o100755);
+  assert.strictEqual(stats.uid, 1000);
+  assert.ok(stats.mtimeMs > 2000000);
+
+  await storage.chmod('/bin', 0o750);
+  assert.strictEqual((await storage.stat('/bin')).mode, 0o40750);
+
+  await assert.rejects(storage.chmod('/missing', 0o644), { code: 'ENOENT', syscall: 'chmod' });
+  await assert.rejects(storage.chown('/bin/run.sh', 1.5, 0), { code: 'EINVAL' });
+
+  const implicit = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend(), directoryMode: 'implicit' });
+  await implicit.writeFile('/dir/file.txt', 'a');
+  await assert.rejects(implicit.utimes('/dir', 0, 0), { code: 'EPERM', syscall: 'utime' });
+});
+
+test('ObjectStorage - symlinks are followed by reads', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.mkdir('/cache/pkg/1.2.3', { recursive: true });
+  await storage.writeFile('/cache/pkg/1.2.3/index.js', 'v1.2.3');
+  await storage.symlink('1.2.3', '/cache/pkg/latest');
+  await storage.symlink('/cache/pkg/latest/index.js', '/main.js');
+
+  assert.strictEqual(await storage.readlink('/cache/pkg/latest'), '1.2.3');
+  assert.strictEqual(await storage.readFile('/cache/pkg/latest/index.js', 'utf8'), 'v1.2.3');
+  assert.strictEqual(await storage.readFile('/main.js', 'utf8'), 'v1.2.3');
+  assert.strictEqual(await storage.realpath('/main.js'), '/cache/pkg/1.2.3/index.js');
+  assert.deepStrictEqual(await storage.readdir('/cache/pkg/latest'), ['index.js']);
+
+  const chunks = [];
+  for await (const chunk of storage.createReadStream('/cache/pkg/latest/index.js', { start: 1 })) {
+    chunks.push(chunk);
+  }
+  assert.strictEqual(Buffer.concat(chunks).toString(), '1.2.3');
+
+  const stats = await storage.stat('/cache/pkg/latest');
+  assert.ok(stats.isDirectory());
+  const linkStats = await storage.lstat('/cache/pkg/latest');
+  assert.ok(linkStats.isSymbolicLink());
+  assert.ok(!linkStats.isFile());
+  assert.strictEqual(linkStats.size, 5);
+
+  const dirents = await storage.readdir('/cache/pkg', { withFileTypes: true });
+  assert.deepStrictEqual(dirents.map(d => [d.name, d.isSymbolicLink()]), [['1.2.3', false], ['latest', true]]);
+
+  // Writes through a link replace the target, not the link
+  await storage.writeFile('/main.js', 'v2');
+  assert.strictEqual(await storage.readFile('/cache/pkg/1.2.3/index.js', 'utf8'), 'v2');
+  assert.strictEqual(await storage.readlink('/main.js'), '/cache/pkg/latest/index.js');
+
+  await assert.rejects(storage.symlink('x', '/main.js'), { code: 'EEXIST', path: 'x', dest: '/main.js' });
+  await assert.rejects(storage.readlink('/cache/pkg/1.2.3'), { code: 'EINVAL', syscall: 'readlink' });
+  await assert.rejects(storage.realpath('/cache/pkg/latest/missing.js'), { code: 'ENOENT' });
+
+  // A missing file in an existing directory does not stat its parents
+  const statted = [];
+  const statIfExists = storage._statIfExists.bind(storage);
+  storage._statIfExists = (bucket, key) => {
+    statted.push(key);
+    return statIfExists(bucket, key);
+  };
+  await assert.rejects(storage.readFile('/cache/pkg/1.2.3/missing.js'), { code: 'ENOENT' });
+  assert.ok(!statted.some(key => ['cache', 'cache/pkg', 'cache/pkg/1.2.3'].includes(key)));
+});
+
+test('ObjectStorage - symlink loops fail with ELOOP', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await storage.symlink('b', '/a');
+  await storage.symlink('a', '/b');
+
+  await assert.rejects(storage.readFile('/a'), { code: 'ELOOP', syscall: 'open', path: '/a' });
+  await assert.rejects(storage.stat('/b/file.txt'), { code: 'ELOOP', syscall: 'stat' });
+  assert.ok((await storage.lstat('/a')).isSymbolicLink());
+
+  const stream = storage.createReadStream('/a');
+  await assert.rejects(new Promise((resolve, reject) => stream.on('error', reject)), { code: 'ELOOP' });
+});
+
+test('ObjectStorage - multi-bucket mode maps the first path segment to the bucket', async () => {
+  const backend = new MemoryBackend({ buckets: ['assets'] });
+  const storage = new ObjectStorage({ multiBucket: true, backend });
+
+  assert.strictEqual(await storage.mkdir('/uploads/2024', { recursive: true }), '/uploads');
+  assert.deepStrictEqual(await storage.readdir('/'), ['assets', 'uploads']);
+  assert.ok((await storage.stat('/uploads')).isDirectory());
+  assert.ok((await storage.readdir('/', { withFileTypes: true })).every(dirent => dirent.isDirectory()));
+
+  await storage.writeFile('/assets/logo.svg', '<svg/>');
+  await storage.copyFile('/assets/logo.svg', '/uploads/2024/logo.svg');
+  await storage.rename('/assets/logo.svg', '/uploads/logo.svg');
+  assert.strictEqual(await storage.readFile('/uploads/2024/logo.svg', 'utf8'), '<svg/>');
+  assert.deepStrictEqual(await storage.readdir('/assets'), []);
+  assert.deepStrictEqual((await backend.statObject('uploads', 'logo.svg')).size, 6);
+
+  await assert.rejects(storage.readdir('/missing'), { code: 'ENOENT' });
+  await assert.rejects(storage.mkdir('/assets'), { code: 'EEXIST' });
+  await assert.rejects(storage.rmdir('/uploads'), { code: 'ENOTEMPTY' });
+  await assert.rejects(storage.rename('/assets', '/static'), { code: 'EBUSY' });
+
+  await storage.rmdir('/assets');
+  await storage.rm('/uploads', { recursive: true });
+  assert.deepStrictEqual(await storage.readdir('/'), []);
+});
+
+test('ObjectStorage - writeFile supports exclusive create and etag preconditions', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+
+  // Only one of the racing creators wins
+  const results = await Promise.allSettled(['a', 'b', 'c'].map(writer =>
+    storage.writeFile('/manifest.json', writer, { flag: 'wx' })));
+  assert.strictEqual(results.filter(result => result.status === 'fulfilled').length, 1);
+  for (const result of results.filter(result => result.status === 'rejected')) {
+    assert.strictEqual(result.reason.code, 'EEXIST');
+    assert.strictEqual(result.reason.path, '/manifest.json');
+  }
+
+  const { etag } = await storage.stat('/manifest.json');
+  await storage.writeFile('/manifest.json', 'v2', { ifMatch: etag });
+  await assert.rejects(storage.writeFile('/manifest.json', 'v3', { ifMatch: etag }), (error) => {
+    assert.strictEqual(error.code, 'ESTALE');
+    assert.ok(ErrorHandler.isPreconditionError(error));
+    return true;
+  });
+  assert.strictEqual(await storage.readFile('/manifest.json', 'utf8'), 'v2');
+
+  await storage.writeFile('/manifest.json', '+', { flag: 'a' });
+  assert.strictEqual(await storage.readFile('/manifest.json', 'utf8'), 'v2+');
+  await assert.rejects(storage.writeFile('/missing.json', 'x', { ifMatch: etag }), { code: 'ENOENT' });
+  await assert.rejects(storage.writeFile('/manifest.json', 'x', { flag: 'r' }), { code: 'EBADF' });
+});
+
+test('ObjectStorage - writes store content headers and user metadata', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+
+  await storage.writeFile('/index.html', '<p>hi</p>');
+  let stats = await storage.stat('/index.html');
+  assert.strictEqual(stats.contentType, 'text/html; charset=utf-8');
+  assert.deepStrictEqual(stats.metadata, {});
+
+  await storage.chmod('/index.html', 0o600);
+  await storage.writeFile('/index.html', '<p>v2</p>', {
+    cacheControl: 'max-age=60',
+    contentDisposition: 'inline',
+    metadata: { Owner: 'web' }
+  });
+  stats = await storage.stat('/index.html');
+  assert.strictEqual(stats.cacheControl, 'max-age=60');
+  assert.strictEqual(stats.contentDisposition, 'inline');
+  assert.deepStrictEqual(stats.metadata, { owner: 'web' });
+  assert.strictEqual(stats.mode & 0o777, 0o600);
+
+  // Headers that are not given are kept on overwrite
+  await storage.writeFile('/index.html', '<p>v3</p>');
+  stats = await storage.stat('/index.html');
+  assert.strictEqual(stats.cacheControl, 'max-age=60');
+  assert.deepStrictEqual(stats.metadata, { owner: 'web' });
+
+  const stream = storage.createWriteStream('/data.bin.gz', { contentType: 'application/json', contentEncoding: 'gzip' });
+  stream.end(Buffer.from([1, 2, 3]));
+  await new Promise((resolve, reject) => stream.on('finish', resolve).on('error', reject));
+  stats = await storage.stat('/data.bin.gz');
+  assert.strictEqual(stats.contentType, 'application/json');
+  assert.strictEqual(stats.contentEncoding, 'gzip');
+
+  await storage.writeFile('/notes', 'x');
+  assert.strictEqual((await storage.stat('/notes')).contentType, 'application/octet-stream');
+  await assert.rejects(storage.writeFile('/a.txt', 'x', { metadata: { 'fs-mode': '777' } }), { code: 'EINVAL' });
+});
+
+test('ObjectStorage - presigned URLs and POST policies use the converted key', async () => {
+  // Signing is local: the region is configured and multi-bucket mode skips the bucket check
+  const backend = new MinioBackend({ endpoint: 'localhost:9000', accessKey: 'minioadmin', secretKey: 'minioadmin123' });
+  const storage = new ObjectStorage({ multiBucket: true, prefix: 'app', backend });
+
+  const url = new URL(await storage.getSignedUrl('/assets/docs/a b.pdf', {
+    expires: 60,
+    responseHeaders: { contentDisposition: 'attachment' }
+  }));
+  assert.strictEqual(url.pathname, '/assets/app/docs/a%20b.pdf');
+  assert.strictEqual(url.searchParams.get('X-Amz-Expires'), '60');
+  assert.strictEqual(url.searchParams.get('response-content-disposition'), 'attachment');
+
+  const post = await storage.getSignedPost('/assets/uploads/', { maxSize: 1024, metadata: { owner: 'web' } });
+  assert.strictEqual(post.url, 'http://localhost:9000/assets');
+  assert.strictEqual(post.fields.key, 'app/uploads/${filename}');
+  assert.strictEqual(post.fields['x-amz-meta-owner'], 'web');
+  const policy = JSON.parse(Buffer.from(post.fields.policy, 'base64').toString());
+  assert.deepStrictEqual(policy.conditions.find(condition => condition[0] === 'content-length-range'), ['content-length-range', 0, 1024]);
+
+  assert.strictEqual((await storage.getSignedPost('/assets/logo.png')).fields['Content-Type'], 'image/png');
+  await assert.rejects(storage.getSignedUrl('/assets'), { code: 'EISDIR' });
+  await assert.rejects(storage.getSignedUrl('/assets/a', { method: 'DELETE' }), { code: 'EINVAL' });
+  await assert.rejects(storage.getSignedUrl('/assets/a', { expires: 8 * 24 * 3600 }), { code: 'EINVAL' });
+
+  // Presigned PUTs cannot carry encryption headers, POST policies can
+  const encrypted = new ObjectStorage({ multiBucket: true, backend, sse: { type: 'SSE-KMS', keyId: 'key-1' } });
+  await assert.rejects(encrypted.getSignedUrl('/assets/a', { method: 'PUT' }), { code: 'ENOSYS', syscall: 'presign' });
+  assert.ok(await encrypted.getSignedUrl('/assets/a', { method: 'PUT', sse: null }));
+  assert.ok(await encrypted.getSignedUrl('/assets/a'));
+  const encryptedPost = await encrypted.getSignedPost('/assets/a');
+  assert.strictEqual(encryptedPost.fields['x-amz-server-side-encryption'], 'aws:kms');
+  assert.strictEqual(encryptedPost.fields['x-amz-server-side-encryption-aws-kms-key-id'], 'key-1');
+  const customer = { type: 'SSE-C', key: crypto.randomBytes(32) };
+  await assert.rejects(encrypted.getSignedUrl('/assets/a', { sse: customer }), { code: 'ENOSYS' });
+  await assert.rejects(encrypted.getSignedPost('/assets/a', { sse: customer }), { code: 'ENOSYS' });
+
+  const memory = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await assert.rejects(memory.getSignedUrl('/a'), { code: 'ENOSYS' });
+  assert.strictEqual(memory.getMinioClient(), null);
+
+  // The client is found below the wrappers of the compression and cache options
+  const wrapped = new ObjectStorage({ bucket: 'assets', backend, compression: { rules: [{ pattern: '**', codec: 'gzip' }] }, metadataCache: {} });
+  assert.strictEqual(wrapped.getMinioClient(), backend.client);
+});
+
+test('ObjectStorage - versions can be listed, read and restored', async () => {
+  // Records every upload as a version, like a bucket with versioning enabled
+  class VersionedBackend extends MemoryBackend {
+    constructor() {
+      super({ buckets: ['bucket'] });
+      this.versions = [];
+      this.versioning = {};
+    }
+    async getBucketVersioning() { return this.versioning; }
+    async setBucketVersioning(bucket, config) { this.versioning = config; }
+    async putObject(bucket, key, data, size, metaData) {
+      const content = await StreamConverter.streamToBuffer(StreamConverter.toReadableStream(data));
+      const result = await super.putObject(bucket, key, content, content.length, metaData);
+      const version = { ...await super.statObject(bucket, key), name: key, versionId: `v${this.versions.length + 1}`, content };
+      this.versions.push(version);
+      return { ...result, versionId: version.versionId };
+    }
+    _version(key, versionId) {
+      const version = this.versions.find(v => v.name === key && v.versionId === versionId);
+      if (!version) throw StorageBackend.createError('NoSuchVersion', 'The specified version does not exist');
+      return version;
+    }
+    async statObject(bucket, key, statOpts = {}) {
+      if (statOpts.versionId) return this._version(key, statOpts.versionId);
+      const latest = this.versions.filter(v => v.name === key).pop();
+      return { ...await super.statObject(bucket, key), versionId: latest ? latest.versionId : null };
+    }
+    async getObject(bucket, key, getOpts = {}) {
+      return getOpts.versionId ? Readable.from([this._version(key, getOpts.versionId).content]) : super.getObject(bucket, key);
+    }
+    async copyObject(bucket, key, source) {
+      const [, versionId] = source.split('?versionId=');
+      const version = this._version(key, versionId);
+      return this.putObject(bucket, key, version.content, version.size, version.metaData);
+    }
+    listObjectVersions(bucket, prefix) {
+      const latest = new Map(this.versions.map(v => [v.name, v]));
+      return Readable.from(this.versions.filter(v => v.name.startsWith(prefix)).reverse()
+        .map(v => ({ ...v, isLatest: latest.get(v.name) === v, isDeleteMarker: false })));
+    }
+  }
+
+  const backend = new VersionedBackend();
+  const storage = new ObjectStorage({ bucket: 'bucket', backend, versioning: 'Enabled' });
+  await storage.writeFile('/config.json', '{"v":1}');
+  assert.deepStrictEqual(backend.versioning, { Status: 'Enabled' });
+  await storage.writeFile('/config.json', '{"v":2}');
+  await storage.writeFile('/config.json.bak', 'other');
+
+  const versions = await storage.listVersions('/config.json');
+  assert.deepStrictEqual(versions.map(v => [v.versionId, v.isLatest]), [['v2', true], ['v1', false]]);
+  assert.strictEqual(await storage.readFile('/config.json', { versionId: 'v1', encoding: 'utf8' }), '{"v":1}');
+  assert.strictEqual((await storage.stat('/config.json', { versionId: 'v1' })).versionId, 'v1');
+  assert.strictEqual((await storage.stat('/config.json')).versionId, 'v2');
+
+  await storage.restoreVersion('/config.json', 'v1');
+  assert.strictEqual(await storage.readFile('/config.json', 'utf8'), '{"v":1}');
+  assert.strictEqual((await storage.listVersions('/config.json')).length, 3);
+  await assert.rejects(storage.restoreVersion('/config.json', 'v9'), { code: 'ENOENT', syscall: 'restoreversion' });
+  await assert.rejects(storage.readFile('/config.json', { versionId: 'v9' }), { code: 'ENOENT' });
+
+  // Unversioned buckets only have the version 'null'
+  const plain = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+  await plain.writeFile('/a.txt', 'a');
+  assert.deepStrictEqual((await plain.listVersions('/a.txt')).map(v => v.versionId), ['null']);
+  assert.strictEqual(await plain.readFile('/a.txt', { versionId: 'null', encoding: 'utf8' }), 'a');
+  await assert.rejects(plain.stat('/a.txt', { versionId: 'v1' }), { code: 'ENOENT' });
+  await assert.rejects(plain.listVersions('/b.txt'), { code: 'ENOENT' });
+
+  const unsupported = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend(), versioning: 'Enabled' });
+  await assert.rejects(unsupported.initialize(), { code: 'ENOSYS' });
+});
+
 console.log('✅ All unit tests completed successfully!');
+
+test('ObjectStorage - tags are set on writes and filter readdir', async () => {
+  const storage = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend() });
+
+  await storage.writeFile('/reports/a.csv', 'a', { tags: { project: 'atlas', year: 2024 } });
+  await storage.writeFile('/reports/b.csv', 'b');
+  await storage.mkdir('/reports/archive');
+  assert.deepStrictEqual(await storage.getTags('/reports/a.csv'), { project: 'atlas', year: '2024' });
+  assert.deepStrictEqual(await storage.getTags('/reports/b.csv'), {});
+
+  const stream = storage.createWriteStream('/reports/c.csv', { tags: { project: 'atlas' } });
+  stream.end('c');
+  await new Promise((resolve, reject) => stream.on('finish', resolve).on('error', reject));
+
+  // Tags go up with the content instead of in a second request
+  const tagged = [];
+  const setObjectTagging = storage.backend.setObjectTagging.bind(storage.backend);
+  storage.backend.setObjectTagging = (bucket, key, tags) => {
+    tagged.push(key);
+    return setObjectTagging(bucket, key, tags);
+  };
+  await storage.writeFile('/reports/log.txt', 'a', { flag: 'a', tags: { 'a&b': 'x=y' } });
+  await storage.appendFile('/reports/log.txt', 'b', { tags: { stage: 'raw' } });
+  assert.deepStrictEqual(await storage.getTags('/reports/log.txt'), { stage: 'raw' });
+  await storage.writeFile('/reports/log.txt', 'c', { flag: 'a', tags: { 'a&b': 'x=y' } });
+  assert.deepStrictEqual(await storage.getTags('/reports/log.txt'), { 'a&b': 'x=y' });
+  assert.strictEqual(await storage.readFile('/reports/log.txt', 'utf8'), 'abc');
+  assert.deepStrictEqual(tagged, []);
+  storage.backend.setObjectTagging = setObjectTagging;
+  await storage.unlink('/reports/log.txt');
+
+  const minio = new MinioBackend({ endpoint: 'localhost:9000', accessKey: 'minioadmin', secretKey: 'minioadmin123' });
+  const uploads = [];
+  minio.client.uploadBuffer = async (bucket, key, headers) => {
+    uploads.push(headers);
+    return { etag: 'e', versionId: null };
+  };
+  await minio.putObject('bucket', 'a.csv', Readable.from([Buffer.from('a')]), 1, { 'x-amz-tagging': 'project=atlas', owner: 'web' });
+  assert.strictEqual(uploads[0]['x-amz-tagging'], 'project=atlas');
+  assert.strictEqual(uploads[0]['x-amz-meta-owner'], 'web');
+
+  assert.deepStrictEqual(await storage.readdir('/reports', { tags: { project: 'atlas' } }), ['a.csv', 'c.csv']);
+  assert.deepStrictEqual(await storage.readdir('/reports', { tags: { project: 'atlas', year: '2024' } }), ['a.csv']);
+
+  // Attribute changes and renames keep tags, new content replaces them
+  await storage.setTags('/reports/b.csv', { project: 'zeus' });
+  await storage.chmod('/reports/b.csv', 0o600);
+  await storage.rename('/reports/b.csv', '/reports/b2.csv');
+  assert.deepStrictEqual(await storage.getTags('/reports/b2.csv'), { project: 'zeus' });
+  await storage.writeFile('/reports/b2.csv', 'new');
+  assert.deepStrictEqual(await storage.getTags('/reports/b2.csv'), {});
+
+  await storage.removeTags('/reports/a.csv');
+  assert.deepStrictEqual(await storage.getTags('/reports/a.csv'), {});
+
+  await assert.rejects(storage.getTags('/reports/archive'), { code: 'EISDIR' });
+  await assert.rejects(storage.getTags('/reports/missing.csv'), { code: 'ENOENT' });
+  const tooMany = Object.fromEntries(Array.from({ length: 11 }, (_, i) => [`k${i}`, 'v']));
+  await assert.rejects(storage.setTags('/reports/c.csv', tooMany), { code: 'EINVAL' });
+  await assert.rejects(storage.writeFile('/reports/d.csv', 'd', { tags: 'project=atlas' }), { code: 'EINVAL' });
+  assert.strictEqual(await storage.exists('/reports/d.csv'), false);
+});
+
+test('ObjectStorage - encryption stores only ciphertext and wrapped keys', async () => {
+  // Wraps data keys with a master key, like a KMS would
+  const masterKey = crypto.randomBytes(32);
+  const keyProvider = {
+    async wrapKey(dataKey) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+      return Buffer.concat([iv, cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]);
+    },
+    async unwrapKey(wrapped) {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, wrapped.subarray(0, 12));
+      decipher.setAuthTag(wrapped.subarray(-16));
+      return Buffer.concat([decipher.update(wrapped.subarray(12, -16)), decipher.final()]);
+    }
+  };
+  const backend = new MemoryBackend();
+  const storage = new ObjectStorage({ bucket: 'bucket', backend, encryption: { keyProvider } });
+  const content = 'confidential '.repeat(100);
+
+  await storage.writeFile('/doc.txt', content, { metadata: { owner: 'legal' } });
+  const stored = backend.volume.readFileSync('/bucket/doc.txt');
+  assert.strictEqual(stored.length, Buffer.byteLength(content) + 16);
+  assert.ok(!stored.toString('latin1').includes('confidential'));
+
+  assert.strictEqual(await storage.readFile('/doc.txt', 'utf8'), content);
+  const stats = await storage.stat('/doc.txt');
+  assert.strictEqual(stats.size, Buffer.byteLength(content));
+  assert.deepStrictEqual(stats.metadata, { owner: 'legal' });
+
+  // Byte ranges are decrypted without reading from the start
+  const chunks = [];
+  for await (const chunk of storage.createReadStream('/doc.txt', { start: 20, end: 44 })) chunks.push(chunk);
+  assert.strictEqual(Buffer.concat(chunks).toString(), content.substring(20, 45));
+
+  const stream = storage.createWriteStream('/streamed.txt');
+  stream.end('streamed data');
+  await new Promise((resolve, reject) => stream.on('finish', resolve).on('error', reject));
+  assert.strictEqual((await storage.stat('/streamed.txt')).size, 13);
+  await storage.appendFile('/streamed.txt', '!');
+  await storage.chmod('/streamed.txt', 0o600);
+  assert.strictEqual(await storage.readFile('/streamed.txt', 'utf8'), 'streamed data!');
+  // Listings have no metadata and report the stored size
+  assert.strictEqual((await storage.listVersions('/streamed.txt'))[0].size, 14 + 16);
+
+  await storage.symlink('doc.txt', '/link');
+  assert.strictEqual(await storage.readFile('/link', 'utf8'), content);
+
+  // An object replaced between the stat and the GET is stat'ed again, not decrypted with the old key
+  await storage.writeFile('/race.txt', 'first version');
+  const statObject = backend.statObject;
+  let replaced = false;
+  backend.statObject = async function (bucket, key, statOpts) {
+    const info = await statObject.call(this, bucket, key, statOpts);
+    if (key === 'race.txt' && !replaced) {
+      replaced = true;
+      await storage.writeFile('/race.txt', 'second version');
+    }
+    return info;
+  };
+  const raced = await storage.backend.getObject('bucket', 'race.txt');
+  delete backend.statObject;
+  const racedChunks = [];
+  for await (const chunk of raced) racedChunks.push(chunk);
+  assert.strictEqual(Buffer.concat(racedChunks).toString(), 'second version');
+
+  // Tampered content fails authentication
+  const tampered = Buffer.from(stored);
+  tampered[0] ^= 1;
+  backend.volume.writeFileSync('/bucket/doc.txt', tampered);
+  await assert.rejects(storage.readFile('/doc.txt'), { code: 'EIO' });
+
+  await assert.rejects(storage.getSignedUrl('/doc.txt'), { code: 'ENOSYS' });
+  // The client of the wrapped backend would bypass the encryption
+  const minio = new MinioBackend({ endpoint: 'localhost:9000', accessKey: 'minioadmin', secretKey: 'minioadmin123' });
+  assert.strictEqual(new ObjectStorage({ bucket: 'bucket', backend: minio, encryption: { keyProvider } }).getMinioClient(), null);
+  assert.throws(() => new ObjectStorage({ bucket: 'bucket', backend, encryption: {} }), /keyProvider/);
+});
+
+test('ObjectStorage - server-side encryption headers are sent on writes, reads and copies', async () => {
+  // Records encryption headers and requires the SSE-C key of an object on reads, like S3
+  class SseBackend extends MemoryBackend {
+    constructor() {
+      super({ buckets: ['bucket'] });
+      this.requests = [];
+      this.keys = new Map();
+      this.trusted = false;
+    }
+    _split(headers = {}) {
+      const plain = {};
+      const sse = {};
+      for (const [name, value] of Object.entries(headers)) {
+        (name.includes('server-side-encryption') ? sse : plain)[name] = value;
+      }
+      return { plain, sse };
+    }
+    _checkKey(key, keyMD5) {
+      if (!this.trusted && this.keys.get(key) !== keyMD5) {
+        throw StorageBackend.createError('InvalidRequest', 'The SSE-C key does not match');
+      }
+    }
+    async _asTrusted(fn) {
+      this.trusted = true;
+      try {
+        return await fn();
+      } finally {
+        this.trusted = false;
+      }
+    }
+    async putObject(bucket, key, data, size, metaData) {
+      const { plain, sse } = this._split(metaData);
+      this.requests.push(['put', key, sse]);
+      const result = await this._asTrusted(() => super.putObject(bucket, key, data, size, plain));
+      this.keys.set(key, sse['x-amz-server-side-encryption-customer-key-md5']);
+      return result;
+    }
+    async statObject(bucket, key, { versionId, SSECustomerKeyMD5 } = {}) {
+      const info = await super.statObject(bucket, key, { versionId });
+      this._checkKey(key, SSECustomerKeyMD5);
+      return info;
+    }
+    async getObject(bucket, key, { versionId, SSECustomerKeyMD5 } = {}) {
+      this._checkKey(key, SSECustomerKeyMD5);
+      return super.getObject(bucket, key, { versionId });
+    }
+    async getPartialObject(bucket, key, offset, length, { SSECustomerKeyMD5 } = {}) {
+      this._checkKey(key, SSECustomerKeyMD5);
+      return this._asTrusted(() => super.getPartialObject(bucket, key, offset, length));
+    }
+    async copyObject(bucket, key, source, conditions, headers) {
+      const { sse } = this._split(headers);
+      this.requests.push(['copy', key, sse]);
+      this._checkKey(source.substring(source.indexOf('/', 1) + 1), sse['x-amz-copy-source-server-side-encryption-customer-key-md5']);
+      const result = await this._asTrusted(() => super.copyObject(bucket, key, source, conditions));
+      this.keys.set(key, sse['x-amz-server-side-encryption-customer-key-md5']);
+      return result;
+    }
+    async setObjectMetadata(bucket, key, metaData) {
+      const { plain, sse } = this._split(metaData);
+      this._checkKey(key, sse['x-amz-copy-source-server-side-encryption-customer-key-md5']);
+      return this._asTrusted(() => super.setObjectMetadata(bucket, key, plain));
+    }
+  }
+
+  const backend = new SseBackend();
+  const key = crypto.randomBytes(32);
+  const keyMD5 = crypto.createHash('md5').update(key).digest('base64');
+  const storage = new ObjectStorage({ bucket: 'bucket', backend, sse: { type: 'SSE-C', key } });
+
+  await storage.mkdir('/docs');
+  await storage.writeFile('/docs/a.txt', 'secret');
+  assert.deepStrictEqual(backend.requests.at(-1)[2], {
+    'x-amz-server-side-encryption-customer-algorithm': 'AES256',
+    'x-amz-server-side-encryption-customer-key': key.toString('base64'),
+    'x-amz-server-side-encryption-customer-key-md5': keyMD5
+  });
+  await storage.appendFile('/docs/a.txt', '!');
+  assert.strictEqual(await storage.readFile('/docs/a.txt', 'utf8'), 'secret!');
+
+  // Copies send the key of the source along
+  await storage.copyFile('/docs/a.txt', '/docs/b.txt');
+  const [, , copyHeaders] = backend.requests.find(request => request[0] === 'copy');
+  assert.strictEqual(copyHeaders['x-amz-copy-source-server-side-encryption-customer-key-md5'], keyMD5);
+  assert.strictEqual(copyHeaders['x-amz-server-side-encryption-customer-key-md5'], keyMD5);
+  await storage.chmod('/docs/b.txt', 0o600);
+  assert.strictEqual((await storage.stat('/docs/b.txt')).mode & 0o777, 0o600);
+  const chunks = [];
+  for await (const chunk of storage.createReadStream('/docs/b.txt', { start: 1, end: 3 })) chunks.push(chunk);
+  assert.strictEqual(Buffer.concat(chunks).toString(), 'ecr');
+
+  // Renamed files keep their encryption
+  await storage.rename('/docs/b.txt', '/docs/c.txt');
+  const [, renamedKey, renameHeaders] = backend.requests.findLast(request => request[0] === 'copy');
+  assert.strictEqual(renamedKey, 'docs/c.txt');
+  assert.strictEqual(renameHeaders['x-amz-server-side-encryption-customer-key-md5'], keyMD5);
+  assert.strictEqual(await storage.readFile('/docs/c.txt', 'utf8'), 'secret!');
+
+  // Per-call options replace the instance option
+  const plain = new ObjectStorage({ bucket: 'bucket', backend });
+  await assert.rejects(plain.readFile('/docs/a.txt'));
+  assert.strictEqual(await plain.readFile('/docs/a.txt', { sse: { type: 'SSE-C', key }, encoding: 'utf8' }), 'secret!');
+  await plain.writeFile('/kms.txt', 'k', { sse: { type: 'SSE-KMS', keyId: 'key-1' } });
+  assert.deepStrictEqual(backend.requests.at(-1)[2], {
+    'x-amz-server-side-encryption': 'aws:kms',
+    'x-amz-server-side-encryption-aws-kms-key-id': 'key-1'
+  });
+  await assert.rejects(plain.writeFile('/x.txt', 'x', { sse: { type: 'SSE-C', key: Buffer.alloc(16) } }), { code: 'EINVAL' });
+  assert.throws(() => new ObjectStorage({ bucket: 'bucket', backend, sse: { type: 'AES' } }), /sse/);
+
+  // Plain files cannot be encrypted
+  const memory = new ObjectStorage({ bucket: 'bucket', backend: new MemoryBackend(), sse: { type: 'SSE-S3' } });
+  await assert.rejects(memory.writeFile('/a.txt', 'a'), { code: 'ENOSYS' });
+});
+
+test('ObjectStorage - compression rules compress matching paths', async () => {
+  const backend = new MemoryBackend({ buckets: ['bucket'] });
+  const storage = new ObjectStorage({
+    bucket: 'bucket',
+    backend,
+    compression: { rules: [{ pattern: '**/*.json', codec: 'gzip' }, { pattern: 'logs/**', codec: 'br' }] }
+  });
+  const json = JSON.stringify({ items: Array.from({ length: 200 }, (_, i) => ({ id: i })) });
+
+  await storage.writeFile('/data/items.json', json);
+  const stored = backend.volume.readFileSync('/bucket/data/items.json');
+  assert.deepStrictEqual([...stored.subarray(0, 2)], [0x1f, 0x8b]);
+  assert.strictEqual(await storage.readFile('/data/items.json', 'utf8'), json);
+  const stats = await storage.stat('/data/items.json');
+  assert.strictEqual(stats.size, json.length);
+  assert.strictEqual(stats.storedSize, stored.length);
+  assert.ok(stats.storedSize < stats.size);
+
+  // Streams record their size after the upload
+  const stream = storage.createWriteStream('/logs/app.log');
+  for (let i = 0; i < 100; i++) stream.write(`line ${i}\n`);
+  stream.end();
+  await new Promise((resolve, reject) => stream.on('finish', resolve).on('error', reject));
+  const lines = Array.from({ length: 100 }, (_, i) => `line ${i}\n`).join('');
+  assert.strictEqual((await storage.stat('/logs/app.log')).size, lines.length);
+  assert.notStrictEqual(backend.volume.readFileSync('/bucket/logs/app.log').length, lines.length);
+
+  await storage.appendFile('/logs/app.log', 'end\n');
+  await storage.chmod('/logs/app.log', 0o600);
+  assert.strictEqual(await storage.readFile('/logs/app.log', 'utf8'), lines + 'end\n');
+  const chunks = [];
+  for await (const chunk of storage.createReadStream('/logs/app.log', { start: 7, end: 13 })) chunks.push(chunk);
+  assert.strictEqual(Buffer.concat(chunks).toString(), lines.substring(7, 14));
+
+  // Uploads interrupted before the size was recorded report the stored size and are read to the end
+  const { metaData } = await backend.statObject('bucket', 'logs/app.log');
+  delete metaData['fs-compression-size'];
+  await backend.setObjectMetadata('bucket', 'logs/app.log', metaData);
+  const unsized = await storage.stat('/logs/app.log');
+  assert.strictEqual(unsized.size, unsized.storedSize);
+  assert.strictEqual(await storage.readFile('/logs/app.log', 'utf8'), lines + 'end\n');
+  const handle = await storage.open('/logs/app.log', 'r');
+  assert.strictEqual(await handle.readFile('utf8'), lines + 'end\n');
+  await handle.close();
+
+  // The size is only recorded on the object of the upload, not on a replacement
+  const setObjectMetadata = backend.setObjectMetadata;
+  backend.setObjectMetadata = async function (bucket, key, metaData) {
+    await backend.putObject('bucket', 'logs/race.log', Buffer.from('other'));
+    return setObjectMetadata.call(this, bucket, key, metaData);
+  };
+  const raced = storage.createWriteStream('/logs/race.log');
+  raced.end('streamed');
+  await new Promise((resolve, reject) => raced.on('finish', resolve).on('error', reject));
+  delete backend.setObjectMetadata;
+  assert.strictEqual(await storage.readFile('/logs/race.log', 'utf8'), 'other');
+
+  // An object replaced between the stat and the GET is stat'ed again, not decompressed with the old codec
+  const statObject = backend.statObject;
+  let replaced = false;
+  backend.statObject = async function (bucket, key, statOpts) {
+    const info = await statObject.call(this, bucket, key, statOpts);
+    if (key === 'data/items.json' && !replaced) {
+      replaced = true;
+      await backend.putObject('bucket', 'data/items.json', Buffer.from('replaced'));
+    }
+    return info;
+  };
+  assert.strictEqual(await storage.readFile('/data/items.json', 'utf8'), 'replaced');
+  delete backend.statObject;
+
+  // Other paths are stored as-is
+  await storage.writeFile('/notes.txt', 'plain');
+  assert.strictEqual(backend.volume.readFileSync('/bucket/notes.txt', 'utf8'), 'plain');
+  assert.strictEqual((await storage.stat('/notes.txt')).storedSize, 5);
+
+  assert.throws(() => new ObjectStorage({ bucket: 'bucket', backend, compression: { rules: [{ pattern: '*', codec: 'zip' }] } }), /compression/);
+  assert.throws(() => new ObjectStorage({ bucket: 'bucket', backend, compression: { rules: [{ pattern: 'logs/{a,b', codec: 'gzip' }] } }),
+    { name: 'Error', message: "compression.rules: Glob pattern has an unclosed '{': logs/{a,b" });
+});
+
+test('ObjectStorage - read cache revalidates with the etag', async () => {
+  class CountingBackend extends MemoryBackend {
+    constructor(options) {
+      super(options);
+      this.downloads = 0;
+    }
+
+    async getObject(bucket, key, getOpts) {
+      this.downloads++;
+      return super.getObject(bucket, key, getOpts);
+    }
+  }
+  const backend = new CountingBackend({ buckets: ['bucket'] });
+  const directory = nodeFs.mkdtempSync(path.join(os.tmpdir(), 'fs-object-storage-'));
+  const storage = new ObjectStorage({ bucket: 'bucket', backend, cache: { maxMemoryBytes: 128, directory } });
+  const other = new ObjectStorage({ bucket: 'bucket', backend });
+
+  try {
+    await storage.writeFile('/page.html', '<p>v1</p>');
+    assert.strictEqual(await storage.readFile('/page.html', 'utf8'), '<p>v1</p>');
+    assert.strictEqual(await storage.readFile('/page.html', 'utf8'), '<p>v1</p>');
+    assert.strictEqual(backend.downloads, 1);
+
+    // Changes by other clients fail the revalidation
+    await other.writeFile('/page.html', '<p>v2</p>');
+    assert.strictEqual(await storage.readFile('/page.html', 'utf8'), '<p>v2</p>');
+    assert.strictEqual(backend.downloads, 2);
+
+    // Larger files are only cached on disk, which a new instance shares
+    await storage.writeFile('/large.html', 'x'.repeat(100));
+    await storage.readFile('/large.html');
+    const restarted = new ObjectStorage({ bucket: 'bucket', backend, cache: { directory } });
+    assert.strictEqual((await restarted.readFile('/large.html')).length, 100);
+    assert.strictEqual(backend.downloads, 3);
+
+    // Without a memory tier nothing stays in memory, empty files neither
+    await storage.writeFile('/empty.html', '');
+    assert.strictEqual((await restarted.readFile('/empty.html')).length, 0);
+    assert.strictEqual(restarted._cache._entries.size, 0);
+    await storage.unlink('/empty.html');
+
+    // Own writes and removals drop the entries
+    await storage.copyFile('/large.html', '/page.html');
+    assert.strictEqual((await storage.readFile('/page.html')).length, 100);
+    await storage.unlink('/large.html');
+    assert.strictEqual(nodeFs.readdirSync(directory).length, 1);
+    await assert.rejects(storage.readFile('/large.html'), { code: 'ENOENT' });
+    const stream = storage.createWriteStream('/page.html');
+    stream.end('<p>v3</p>');
+    await new Promise((resolve, reject) => stream.on('finish', resolve).on('error', reject));
+    assert.strictEqual(nodeFs.readdirSync(directory).length, 0);
+    await storage.readFile('/page.html');
+    await storage.chmod('/page.html', 0o600);
+    assert.strictEqual(nodeFs.readdirSync(directory).length, 0);
+    await storage.readFile('/page.html');
+    const handle = await storage.open('/page.html', 'w');
+    await handle.writeFile('<p>v4</p>');
+    await handle.close();
+    assert.strictEqual(nodeFs.readdirSync(directory).length, 0);
+    assert.strictEqual(await storage.readFile('/page.html', 'utf8'), '<p>v4</p>');
+
+    assert.throws(() => new ObjectStorage({ bucket: 'bucket', backend, cache: { maxMemoryBytes: -1 } }), /cache/);
+    // The disk cache would hold the plaintext of encrypted files
+    const keyProvider = { async wrapKey(key) { return key; }, async unwrapKey(key) { return key; } };
+    assert.throws(() => new ObjectStorage({ bucket: 'bucket', backend, cache: { directory }, encryption: { keyProvider } }), /encryption/);
+  } finally {
+    nodeFs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('ObjectStorage - metadata cache saves stats and listings until changes', async () => {
+  class CountingBackend extends MemoryBackend {
+    constructor(options) {
+      super(options);
+      this.requests = 0;
+    }
+
+    async statObject(bucket, key, statOpts) {
+      this.requests++;
+      return super.statObject(bucket, key, statOpts);
+    }
+
+    listObjectsV2(bucket, prefix, recursive) {
+      this.requests++;
+      return super.listObjectsV2(bucket, prefix, recursive);
+    }
+  }
+  const backend = new CountingBackend({ buckets: ['bucket'] });
+  const storage = new ObjectStorage({ bucket: 'bucket', backend, metadataCache: { ttl: 60000 } });
+  const other = new ObjectStorage({ bucket: 'bucket', backend });
+
+  await storage.mkdir('/a/b/c', { recursive: true });
+  await storage.writeFile('/a/b/c/file.txt', 'data');
+  const lookups = async () => {
+    assert.strictEqual((await storage.stat('/a/b/c/file.txt')).size, 4);
+    assert.strictEqual(await storage.exists('/a/b/c/missing.txt'), false);
+    await storage.mkdir('/a/b/c', { recursive: true });
+  };
+  await lookups();
+  let requests = backend.requests;
+  await lookups();
+  assert.strictEqual(backend.requests, requests);
+
+  // Own writes drop the stale entries
+  await storage.writeFile('/a/b/c/missing.txt', 'new');
+  assert.strictEqual(await storage.exists('/a/b/c/missing.txt'), true);
+  assert.deepStrictEqual(await storage.readdir('/a/b/c'), ['file.txt', 'missing.txt']);
+  await storage.unlink('/a/b/c/missing.txt');
+  assert.deepStrictEqual(await storage.readdir('/a/b/c'), ['file.txt']);
+
+  // A recursive listing answers for everything below it
+  await storage.cp('/a', '/copy', { recursive: true });
+  requests = backend.requests;
+  assert.deepStrictEqual(await storage.readdir('/a/b'), ['c']);
+  assert.strictEqual(await storage.exists('/a/b/other.txt'), false);
+  assert.strictEqual(backend.requests, requests);
+
+  // Changes by other clients show after the TTL
+  await other.writeFile('/a/b/c/file.txt', 'changed');
+  assert.strictEqual((await storage.stat('/a/b/c/file.txt')).size, 4);
+  storage._metadataCache.clear();
+  assert.strictEqual((await storage.stat('/a/b/c/file.txt')).size, 7);
+
+  assert.throws(() => new ObjectStorage({ bucket: 'bucket', backend, metadataCache: { ttl: -1 } }), /metadataCache/);
+});